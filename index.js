@@ -18,13 +18,52 @@ const configRoutes = require('./routes/configRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const areaRoutes = require('./routes/areaRoutes');
 const seatRoutes = require('./routes/seatRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const reservaRoutes = require('./routes/reservaRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const { pool } = require('./db');
+const { startJobRunner } = require('./services/jobRunner');
+const { checkPaymentConfig } = require('./services/paymentGateways');
+const { checkMailConfig } = require('./services/mailer');
+
+// In production the mock payment provider is disabled: a real provider (PAYMENT_PROVIDER_MODULE) and the webhook secret are required
+const paymentConfigProblems = checkPaymentConfig();
+if (paymentConfigProblems.length > 0) {
+  paymentConfigProblems.forEach(problem => console.error(`FATAL ERROR: ${problem}`));
+  process.exit(1);
+}
+
+// Email carries reset and verification tokens and activates accounts, so a transport that delivers it is required
+const mailConfigProblems = checkMailConfig();
+if (mailConfigProblems.length > 0) {
+  mailConfigProblems.forEach(problem => console.error(`FATAL ERROR: ${problem}`));
+  process.exit(1);
+}
 
 const app = express();
 const port = process.env.PORT || 3001; // Use port 3001 for backend
 
+// Behind a reverse proxy req.ip is the proxy's address unless Express trusts it (login throttling counts per IP).
+// TRUST_PROXY takes the values of Express' 'trust proxy' setting: true, a number of hops, or addresses/subnets.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy, 10));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
 // Middleware
 app.use(cors()); // Enable CORS for all origins (adjust in production)
-app.use(express.json()); // Parse JSON request bodies
+// Parse JSON request bodies (the raw body is kept to verify payment webhook signatures)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Serve static files from the 'uploads' directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -45,11 +84,19 @@ app.use('/api/config', configRoutes);
 app.use('/api/lugares', locationRoutes);
 app.use('/api/areas', areaRoutes);
 app.use('/api/asientos', seatRoutes);
+app.use('/api/notificaciones', notificationRoutes);
+app.use('/api/reportes', reportRoutes);
+app.use('/api/reservas', reservaRoutes);
+app.use('/api/reembolsos', refundRoutes);
+app.use('/api/invitaciones', invitationRoutes);
+app.use('/api/catalogo', catalogRoutes); // Public, no authentication
+app.use('/api/trabajos', jobRoutes);
 
 
 // Start the server
 app.listen(port, () => {
   console.log(`GEventos backend listening at http://localhost:${port}`);
+  startJobRunner(pool); // Reminders, expired holds and payments, ended events and activity purge
 });
 
 // Error handling middleware (basic example)
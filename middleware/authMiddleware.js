@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { pool } = require('../db'); // Import the pool from db.js
 
 // JWT Secret (Read from environment variable)
 const jwtSecret = process.env.JWT_SECRET;
@@ -19,15 +20,35 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ message: 'Authentication token required' });
   }
 
-  jwt.verify(token, jwtSecret, (err, user) => {
+  jwt.verify(token, jwtSecret, async (err, user) => {
     if (err) {
       // If token is invalid, return 403 Forbidden
       console.error('JWT verification error:', err.message);
       return res.status(403).json({ message: 'Invalid or expired token' });
     }
 
+    // A valid signature is not enough: the session must still be open and the user still ACTIVO
+    try {
+      const result = await pool.query(
+        'SELECT u.estado, s.sesionID, s.revocada, s.fechaExpiracion < NOW() AS expirada '
+        + 'FROM Usuario u LEFT JOIN SesionUsuario s ON s.sesionID = $2 AND s.usuarioID = u.usuarioID '
+        + 'WHERE u.usuarioID = $1',
+        [user.userId, Number.isInteger(user.sid) ? user.sid : null]
+      );
+      const current = result.rows[0];
+      if (!current || current.estado !== 'ACTIVO') {
+        return res.status(401).json({ message: 'User is not active' });
+      }
+      if (!current.sesionid || current.revocada || current.expirada) {
+        return res.status(401).json({ message: 'Session has been revoked or expired' });
+      }
+    } catch (error) {
+      console.error('Error checking session during authentication:', error);
+      return res.status(500).json({ message: 'Error checking session' });
+    }
+
     // If token is valid, attach user information to request
-    req.user = user; // user object contains { userId, role, nivelPermiso }
+    req.user = user; // user object contains { userId, role, nivelPermiso, sid }
     next(); // Pass the request to the next middleware or route handler
   });
 }
@@ -0,0 +1,38 @@
+const { pool } = require('../db');
+const { getEventAccess } = require('../services/eventAccess');
+
+// Middleware for event-level authorization. Use after authenticateToken and authorizeRoles:
+// the role says what kind of user can call the route, this says which events they can call it on.
+// paramName is the route parameter holding the event ID.
+// With ownerOnly, event staff (EventoPersonal) are refused: only the organizer of the event or an administrator pass.
+// The event is left in req.evento for the route handler.
+function authorizeEventAccess(paramName, { ownerOnly = false } = {}) {
+    return async (req, res, next) => {
+        const eventoID = req.params[paramName];
+        if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+            return res.status(400).json({ message: 'Invalid event ID provided.' });
+        }
+
+        try {
+            const access = await getEventAccess(pool, req.user, parseInt(eventoID, 10));
+            if (!access) {
+                return res.status(404).json({ message: 'Event not found' });
+            }
+            const allowed = ownerOnly ? req.user.role === 'ADMINISTRADOR' || access.owner : access.allowed;
+            if (!allowed) {
+                return res.status(403).json({
+                    message: ownerOnly
+                        ? 'Forbidden: only the event organizer or an administrator can do this.'
+                        : 'Forbidden: you are not the organizer or staff of this event.'
+                });
+            }
+            req.evento = access.evento;
+            next();
+        } catch (error) {
+            console.error(`Error checking access to event ${eventoID}:`, error);
+            res.status(500).json({ message: 'Error checking event permissions' });
+        }
+    };
+}
+
+module.exports = authorizeEventAccess;
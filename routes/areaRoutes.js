@@ -3,6 +3,12 @@ const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const { canManageLugar } = require('../services/eventAccess');
+const { checkAreaCapacity } = require('../services/capacity');
+
+// Areas belong to a Lugar shared by its events: organizers can only modify them when they organize (or are staff of)
+// every non-cancelled event held there (services/eventAccess.js).
+const forbiddenLugarMessage = 'Forbidden: this location is used by events you do not organize.';
 
 // Area API Routes
 // GET /api/lugares/:lugarID/areas - Get all areas for a specific location (accessible to authenticated users)
@@ -87,24 +93,40 @@ router.post('/lugares/:lugarID/areas', authenticateToken, authorizeRoles(['ORGAN
 
     const parsedCapacidad = parseInt(capacidad, 10);
 
+    let client;
     try {
         // Check if the location exists
         const lugarCheck = await pool.query('SELECT lugarID FROM Lugar WHERE lugarID = $1', [lugarID]);
         if (lugarCheck.rows.length === 0) {
             return res.status(404).json({ message: 'Location not found.' });
         }
+        if (!(await canManageLugar(pool, req.user, lugarID))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        // The areas of a location cannot hold more people than the location itself
+        const capacityErrors = await checkAreaCapacity(client, parseInt(lugarID, 10), [{ areaID: null, capacidad: parsedCapacidad }]);
+        if (capacityErrors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: capacityErrors });
+        }
 
         // Insert new area
-        const result = await pool.query(
+        const result = await client.query(
             'INSERT INTO Area(nombre, capacidad, tipo, lugarID) VALUES($1, $2, $3, $4) RETURNING areaID',
             [nombre, parsedCapacidad, tipo.toUpperCase(), lugarID]
         );
+        await client.query('COMMIT');
 
         const newAreaId = result.rows[0].areaid; // Lowercase as returned by pg
 
         res.status(201).json({ message: 'Area created successfully', areaId: newAreaId });
 
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error(`Error creating area for lugar ID ${lugarID}:`, error);
          // Check for specific foreign key violation errors if necessary
         if (error.code === '23503') { // Foreign key violation error code
@@ -113,6 +135,8 @@ router.post('/lugares/:lugarID/areas', authenticateToken, authorizeRoles(['ORGAN
         } else {
             res.status(500).json({ message: `Error creating area for lugar ID ${lugarID}` });
         }
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -187,9 +211,31 @@ router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
     const queryText = `UPDATE Area SET ${queryParts.join(', ')} WHERE areaID = $${paramIndex} RETURNING areaID`;
     queryParams.push(areaID);
 
+    let client;
     try {
+        const areaCheckResult = await pool.query('SELECT lugarID FROM Area WHERE areaID = $1', [areaID]);
+        if (areaCheckResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Area not found' });
+        }
+        if (!(await canManageLugar(pool, req.user, areaCheckResult.rows[0].lugarid))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        // A new capacity must fit in the location and still hold the seats of the area
+        if (updateFields.capacidad !== undefined) {
+            const capacityErrors = await checkAreaCapacity(client, areaCheckResult.rows[0].lugarid, [{ areaID: parseInt(areaID, 10), capacidad: updateFields.capacidad }]);
+            if (capacityErrors.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ messages: capacityErrors });
+            }
+        }
+
         // Update area
-        const result = await pool.query(queryText, queryParams);
+        const result = await client.query(queryText, queryParams);
+        await client.query('COMMIT');
 
         if (result.rows.length > 0) {
             res.status(200).json({ message: 'Area updated successfully', areaId: result.rows[0].areaid });
@@ -198,8 +244,11 @@ router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
         }
 
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error(`Error updating area with ID ${areaID}:`, error);
         res.status(500).json({ message: `Error updating area with ID ${areaID}` });
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -214,10 +263,13 @@ router.delete('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINIS
 
     try {
         // Check if area exists before attempting deletion
-        const areaCheckResult = await pool.query('SELECT areaID FROM Area WHERE areaID = $1', [areaID]);
+        const areaCheckResult = await pool.query('SELECT areaID, lugarID FROM Area WHERE areaID = $1', [areaID]);
         if (areaCheckResult.rows.length === 0) {
             return res.status(404).json({ message: 'Area not found.' });
         }
+        if (!(await canManageLugar(pool, req.user, areaCheckResult.rows[0].lugarid))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
 
         // Proceed with deletion if area exists
         // Due to ON DELETE CASCADE on Asiento table's fk_asiento_area, seats in this area will also be deleted.
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const { createSession, rotateSession, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService');
+const { sendMail } = require('../services/mailer');
+const { notifySafely } = require('../services/notificationService');
+const { ACCOUNT_LOCK_MINUTES, reserveIpAttempt, reserveAccountAttempt, registerFailure, registerSuccess } = require('../services/loginThrottle');
 
 // JWT Secret (Read from environment variable)
 const jwtSecret = process.env.JWT_SECRET;
@@ -12,13 +17,50 @@ if (!jwtSecret) {
     process.exit(1); // Exit the process if secret is not defined
 }
 
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 30;
+const VERIFICATION_TOKEN_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_MINUTES, 10) || 24 * 60;
+// Resend throttling: minimum wait between emails and maximum emails per hour
+const VERIFICATION_RESEND_SECONDS = 60;
+const VERIFICATION_MAX_PER_HOUR = 5;
+
+// Logs an account security event to Actividad (never fails the request)
+async function logAccountActivity(usuarioID, descripcion, detalles, direccionIP) {
+    try {
+        await pool.query(
+            'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+            [usuarioID, 'OTRO', descripcion, detalles ? JSON.stringify(detalles) : null, direccionIP]
+        );
+    } catch (activityLogError) {
+        console.error('Error logging account activity:', activityLogError);
+    }
+}
+
+async function sendVerificationEmail(user, token) {
+    const verifyUrl = `${process.env.APP_BASE_URL || ''}/verificar-correo?token=${token}`;
+    await sendMail({
+        to: user.correoElectronico,
+        subject: 'Verifica tu correo de GEventos',
+        text: `Hola ${user.nombre},\n\nConfirma tu correo abriendo el siguiente enlace:\n${verifyUrl}\n\n`
+            + `Código de verificación: ${token}\n\nSi no creaste una cuenta en GEventos, ignora este mensaje.`
+    });
+}
+
+function validateNewPassword(password) {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `La nueva contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+    }
+    return null;
+}
+
 // Authentication Routes
+// Public registration creates attendee accounts only; organizers and administrators join through invitations (/api/invitaciones)
 router.post('/register', async (req, res) => {
   const { nombre, correoElectronico, contraseña, telefono, role } = req.body;
 
   // Basic validation
-  if (!nombre || !correoElectronico || !contraseña || !role) {
-    return res.status(400).json({ message: 'Missing required fields: nombre, correoElectronico, contraseña, role' });
+  if (!nombre || !correoElectronico || !contraseña) {
+    return res.status(400).json({ message: 'Missing required fields: nombre, correoElectronico, contraseña' });
   }
 
   // Validate email format (basic regex)
@@ -27,11 +69,9 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Invalid email format' });
   }
 
-  // Validate role
-  const validRoles = ['ASISTENTE', 'ORGANIZADOR']; // Assuming these are the roles registerable via this endpoint
-  const allowedRolesForRegistration = ['ASISTENTE', 'ORGANIZADOR', 'ADMINISTRADOR']; // Temporarily allow ADMIN registration
-  if (!allowedRolesForRegistration.includes(role.toUpperCase())) {
-      return res.status(400).json({ message: 'Invalid role specified. Must be ASISTENTE, ORGANIZADOR, or ADMINISTRADOR' });
+  // role is optional and kept for backwards compatibility, but only ASISTENTE can be self-registered
+  if (role !== undefined && role !== null && (typeof role !== 'string' || role.toUpperCase() !== 'ASISTENTE')) {
+      return res.status(403).json({ message: 'Only ASISTENTE accounts can be registered. Organizer and administrator accounts require an invitation.' });
   }
 
   try {
@@ -52,22 +92,24 @@ router.post('/register', async (req, res) => {
       // Insert into Usuario table
       const userInsertResult = await client.query(
         'INSERT INTO Usuario(nombre, correoElectronico, contraseñaHash, telefono, estado, fechaCreacion, fechaModificacion) VALUES($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING usuarioID',
-        [nombre, correoElectronico, hashedPassword, telefono, 'ACTIVO']
+        [nombre, correoElectronico, hashedPassword, telefono, 'PENDIENTE'] // ACTIVO once the email is verified
       );
       const newUserId = userInsertResult.rows[0].usuarioid; // Lowercase 'usuarioid' as returned by pg
 
-      // Insert into appropriate role table (Asistente or Organizador)
-      if (role.toUpperCase() === 'ASISTENTE') {
-        await client.query('INSERT INTO Asistente(usuarioID) VALUES($1)', [newUserId]);
-      } else if (role.toUpperCase() === 'ORGANIZADOR') {
-          // For organizer, we need nivelPermiso. Assuming default is ORGANIZADOR for now, but ideally should be in request body or handled via admin interface.
-          // For simplicity, hardcoding 'ORGANIZADOR' nivelPermiso. If department is needed, add it to request body.
-          await client.query('INSERT INTO Organizador(usuarioID, nivelPermiso) VALUES($1, $2)', [newUserId, 'ORGANIZADOR']);
-      }
+      await client.query('INSERT INTO Asistente(usuarioID) VALUES($1)', [newUserId]);
+
+      const verificationToken = await createUserToken(client, newUserId, 'VERIFICAR_CORREO', VERIFICATION_TOKEN_MINUTES, req.ip);
 
       await client.query('COMMIT');
 
-      res.status(201).json({ message: 'User registered successfully', userId: newUserId });
+      // The account exists even if the email cannot be sent now; the user can ask for it again
+      try {
+        await sendVerificationEmail({ nombre, correoElectronico }, verificationToken);
+      } catch (mailError) {
+        console.error('Error sending verification email during registration:', mailError);
+      }
+
+      res.status(201).json({ message: 'User registered successfully. Check your email to verify your account.', userId: newUserId });
 
     } catch (e) {
       await client.query('ROLLBACK');
@@ -97,10 +139,20 @@ router.post('/login', async (req, res) => {
         return res.status(400).json({ message: 'Missing required fields: correoElectronico, contraseña' });
     }
 
+    const direccionIP = req.ip;
+
     try {
+        // Too many failures from this address: refuse before spending a bcrypt comparison
+        const ipCheck = await reserveIpAttempt(pool, direccionIP);
+        if (!ipCheck.allowed) {
+            res.set('Retry-After', String(ipCheck.retryAfter));
+            return res.status(429).json({ message: `Too many failed login attempts. Try again in ${ipCheck.retryAfter} seconds.`, retryAfter: ipCheck.retryAfter });
+        }
+
         // Find user by email
         const userQuery = await pool.query(
             'SELECT u.usuarioID, u.nombre, u.correoElectronico, u.contraseñaHash, u.estado, u.ultimoAcceso, '
+            + 'u.intentosFallidos, u.ultimoIntentoFallido, u.bloqueadoHasta, '
             + 'CASE WHEN a.usuarioID IS NOT NULL THEN \'ASISTENTE\' '
             + 'WHEN o.usuarioID IS NOT NULL AND o.nivelPermiso = \'ADMINISTRADOR\' THEN \'ADMINISTRADOR\' '
             + 'WHEN o.usuarioID IS NOT NULL THEN \'ORGANIZADOR\' '
@@ -114,33 +166,67 @@ router.post('/login', async (req, res) => {
 
         const user = userQuery.rows[0];
 
-        // Check if user exists and is active
-        if (!user || user.estado !== 'ACTIVO') {
-            return res.status(401).json({ message: 'Invalid credentials or user is not active' });
+        let accountCheck = null;
+        if (user) {
+            accountCheck = await reserveAccountAttempt(pool, user);
+            if (!accountCheck.allowed && !accountCheck.locked) {
+                res.set('Retry-After', String(accountCheck.retryAfter));
+                return res.status(429).json({ message: `Too many failed login attempts. Try again in ${accountCheck.retryAfter} seconds.`, retryAfter: accountCheck.retryAfter });
+            }
         }
 
-        // Compare password
-        const passwordMatch = await bcrypt.compare(contraseña, user['contraseñahash']); // Corrected key access to lowercase
+        // Compare password. A locked account refuses the attempt without comparing it, so the lock stops guessing
+        // and the answer is the same whether the password was right or not.
+        const accountLocked = Boolean(accountCheck && accountCheck.locked);
+        const passwordMatch = user && !accountLocked ? await bcrypt.compare(contraseña, user['contraseñahash']) : false; // Corrected key access to lowercase
 
         if (!passwordMatch) {
-            // If password doesn't match
+            // If the user does not exist, the account is locked or the password doesn't match
+            const failure = await registerFailure(pool, direccionIP, accountLocked ? null : user);
+            try {
+                await pool.query(
+                    'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                    [
+                        user ? user.usuarioid : null,
+                        'INICIO_SESION',
+                        failure.bloqueado ? 'Cuenta bloqueada por intentos fallidos de inicio de sesión' : 'Intento fallido de inicio de sesión',
+                        JSON.stringify({ exitoso: false, correoElectronico, cuentaBloqueada: accountLocked, intentosFallidos: failure.intentosFallidos || null, bloqueadoHasta: failure.bloqueadoHasta || null }),
+                        direccionIP
+                    ]
+                );
+            } catch (activityLogError) {
+                console.error('Error logging activity for failed login:', activityLogError);
+            }
+
+            if (failure.bloqueado) {
+                await notifySafely(pool, {
+                    usuarioID: user.usuarioid,
+                    titulo: 'Cuenta bloqueada temporalmente',
+                    mensaje: `Tu cuenta se bloqueó por ${ACCOUNT_LOCK_MINUTES} minutos tras varios intentos fallidos de inicio de sesión. Si no fuiste tú, cambia tu contraseña.`,
+                    tipo: 'SISTEMA'
+                });
+            }
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
+        await registerSuccess(pool, direccionIP, user);
+
+        // Check the account state only after the password, so it is not revealed to someone guessing
+        if (user.estado === 'PENDIENTE') {
+            return res.status(403).json({ message: 'Email not verified. Check your inbox or request a new verification email.', code: 'EMAIL_NOT_VERIFIED' });
+        }
+        if (user.estado !== 'ACTIVO') {
+            return res.status(401).json({ message: 'Invalid credentials or user is not active' });
+        }
+
         // Update last access timestamp
         await pool.query(
             'UPDATE Usuario SET ultimoAcceso = NOW() WHERE usuarioID = $1',
             [user.usuarioid] // Lowercase as returned by pg
         );
 
-        // TODO: Implement JWT or session management for persistent login
-
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.usuarioid, role: user.role, nivelPermiso: user.nivelpermiso }, // Payload
-            jwtSecret, // Secret key
-            { expiresIn: '1h' } // Token expiration time (adjust as needed)
-        );
+        // Open a server-side session: short-lived access JWT + rotating refresh token
+        const { token, refreshToken } = await createSession(pool, user, { direccionIP: req.ip, agenteUsuario: req.headers['user-agent'] });
 
         // Log login activity
         try {
@@ -154,8 +240,9 @@ router.post('/login', async (req, res) => {
         }
 
         // Return user information and JWT token
-        const { contraseñaHash, ...userInfo } = user;
-        res.status(200).json({ message: 'Login successful', user: userInfo, token: token });
+        // pg returns lowercase column names; the hash and the lockout counters never leave the server
+        const { contraseñahash, intentosfallidos, ultimointentofallido, bloqueadohasta, ...userInfo } = user;
+        res.status(200).json({ message: 'Login successful', user: userInfo, token: token, refreshToken: refreshToken });
 
     } catch (error) {
         console.error('Server error during user login:', error);
@@ -163,4 +250,266 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for a new access token (the refresh token is rotated)
+// Body: { refreshToken }
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: refreshToken' });
+    }
+
+    const errorMessages = {
+        INVALID: 'Invalid refresh token',
+        EXPIRED: 'Refresh token expired, please log in again',
+        REVOKED: 'Session has been revoked, please log in again',
+        REUSED: 'Refresh token was already used; the session has been revoked for safety',
+        INACTIVE_USER: 'User is not active',
+    };
+
+    try {
+        const result = await rotateSession(pool, refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: errorMessages[result.error], code: result.error });
+        }
+        res.status(200).json({ message: 'Token refreshed', token: result.token, refreshToken: result.refreshToken });
+    } catch (error) {
+        console.error('Server error during token refresh:', error);
+        res.status(500).json({ message: 'Server error during token refresh' });
+    }
+});
+
+// POST /api/auth/logout - Close the current session. Body: { todas?: boolean } closes every session of the user.
+router.post('/logout', authenticateToken, async (req, res) => {
+    const closeAll = req.body && req.body.todas === true;
+
+    try {
+        const revoked = closeAll
+            ? await revokeUserSessions(pool, req.user.userId)
+            : (await revokeSession(pool, req.user.userId, req.user.sid) ? 1 : 0);
+        res.status(200).json({ message: 'Logged out successfully', sesionesCerradas: revoked });
+    } catch (error) {
+        console.error('Server error during logout:', error);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
+// POST /api/auth/forgot-password - Send a password reset link. Body: { correoElectronico }
+// Always answers the same way so it cannot be used to find out which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+    const { correoElectronico } = req.body;
+    const genericResponse = { message: 'If the email is registered, a password reset link has been sent.' };
+
+    if (!correoElectronico || typeof correoElectronico !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: correoElectronico' });
+    }
+
+    try {
+        const userResult = await pool.query(
+            'SELECT usuarioID, nombre, correoElectronico, estado FROM Usuario WHERE correoElectronico = $1',
+            [correoElectronico]
+        );
+        const user = userResult.rows[0];
+        // Blocked or deactivated accounts are handled by an administrator
+        if (!user || !['ACTIVO', 'PENDIENTE'].includes(user.estado)) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const token = await createUserToken(pool, user.usuarioid, 'RESTABLECER_CONTRASENA', RESET_TOKEN_MINUTES, req.ip);
+        const resetUrl = `${process.env.APP_BASE_URL || ''}/restablecer-contrasena?token=${token}`;
+        try {
+            await sendMail({
+                to: user.correoelectronico,
+                subject: 'Restablecer tu contraseña de GEventos',
+                text: `Hola ${user.nombre},\n\nPara restablecer tu contraseña abre el siguiente enlace (válido por ${RESET_TOKEN_MINUTES} minutos):\n${resetUrl}\n\n`
+                    + `Código: ${token}\n\nSi no solicitaste este cambio, ignora este mensaje.`
+            });
+        } catch (mailError) {
+            // Same answer as for unknown emails; a 500 here would reveal that the account exists
+            console.error('Error sending password reset email:', mailError.message);
+            return res.status(200).json(genericResponse);
+        }
+
+        await logAccountActivity(user.usuarioid, 'Solicitud de restablecimiento de contraseña', null, req.ip);
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Server error during forgot password:', error);
+        res.status(500).json({ message: 'Server error during password reset request' });
+    }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token. Body: { token, nuevaContraseña }
+// The token works once; every open session of the user is closed.
+router.post('/reset-password', async (req, res) => {
+    const { token, nuevaContraseña } = req.body;
+
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: token' });
+    }
+    const passwordError = validateNewPassword(nuevaContraseña);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(nuevaContraseña, 10);
+
+        const client = await pool.connect();
+        let usuarioID;
+        try {
+            await client.query('BEGIN');
+            usuarioID = await consumeUserToken(client, 'RESTABLECER_CONTRASENA', token);
+            if (!usuarioID) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'Invalid or expired reset token' });
+            }
+            // The reset link proves the email belongs to the user, so a pending account is verified as well
+            await client.query(
+                'UPDATE Usuario SET contraseñaHash = $1, estado = CASE WHEN estado = \'PENDIENTE\' THEN \'ACTIVO\'::estado_usuario ELSE estado END, '
+                + 'fechaModificacion = NOW() WHERE usuarioID = $2',
+                [hashedPassword, usuarioID]
+            );
+            await revokeUserSessions(client, usuarioID);
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        await logAccountActivity(usuarioID, 'Contraseña restablecida mediante enlace de recuperación', null, req.ip);
+        res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Server error during password reset:', error);
+        res.status(500).json({ message: 'Server error during password reset' });
+    }
+});
+
+// POST /api/auth/change-password - Change the password of the logged in user. Body: { contraseñaActual, nuevaContraseña }
+// The other sessions of the user are closed; the current one stays open.
+router.post('/change-password', authenticateToken, async (req, res) => {
+    const { contraseñaActual, nuevaContraseña } = req.body;
+
+    if (!contraseñaActual || typeof contraseñaActual !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: contraseñaActual' });
+    }
+    const passwordError = validateNewPassword(nuevaContraseña);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+    if (contraseñaActual === nuevaContraseña) {
+        return res.status(400).json({ message: 'La nueva contraseña debe ser distinta de la actual.' });
+    }
+
+    try {
+        const userResult = await pool.query('SELECT contraseñaHash FROM Usuario WHERE usuarioID = $1', [req.user.userId]);
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const passwordMatch = await bcrypt.compare(contraseñaActual, userResult.rows[0]['contraseñahash']);
+        if (!passwordMatch) {
+            await logAccountActivity(req.user.userId, 'Intento fallido de cambio de contraseña', null, req.ip);
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+
+        const hashedPassword = await bcrypt.hash(nuevaContraseña, 10);
+        await pool.query('UPDATE Usuario SET contraseñaHash = $1, fechaModificacion = NOW() WHERE usuarioID = $2', [hashedPassword, req.user.userId]);
+        const closedSessions = await revokeUserSessions(pool, req.user.userId, req.user.sid);
+
+        await logAccountActivity(req.user.userId, 'Contraseña cambiada', { sesionesCerradas: closedSessions }, req.ip);
+        res.status(200).json({ message: 'Password changed successfully', sesionesCerradas: closedSessions });
+    } catch (error) {
+        console.error('Server error during password change:', error);
+        res.status(500).json({ message: 'Server error during password change' });
+    }
+});
+
+// POST /api/auth/verify-email - Activate a PENDIENTE account with the emailed token. Body: { token }
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: token' });
+    }
+
+    try {
+        const client = await pool.connect();
+        let usuarioID;
+        try {
+            await client.query('BEGIN');
+            usuarioID = await consumeUserToken(client, 'VERIFICAR_CORREO', token);
+            if (!usuarioID) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'Invalid or expired verification token' });
+            }
+            await client.query(
+                'UPDATE Usuario SET estado = \'ACTIVO\', fechaModificacion = NOW() WHERE usuarioID = $1 AND estado = \'PENDIENTE\'',
+                [usuarioID]
+            );
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        await logAccountActivity(usuarioID, 'Correo electrónico verificado', null, req.ip);
+        res.status(200).json({ message: 'Email verified successfully. You can now log in.' });
+    } catch (error) {
+        console.error('Server error during email verification:', error);
+        res.status(500).json({ message: 'Server error during email verification' });
+    }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email. Body: { correoElectronico }
+// Throttled per account (silently, with the same answer); a new email makes the previous link stop working.
+router.post('/resend-verification', async (req, res) => {
+    const { correoElectronico } = req.body;
+    const genericResponse = { message: 'If the account is pending verification, a new email has been sent.' };
+
+    if (!correoElectronico || typeof correoElectronico !== 'string') {
+        return res.status(400).json({ message: 'Missing required field: correoElectronico' });
+    }
+
+    try {
+        const userResult = await pool.query(
+            'SELECT usuarioID, nombre, correoElectronico, estado FROM Usuario WHERE correoElectronico = $1',
+            [correoElectronico]
+        );
+        const user = userResult.rows[0];
+        if (!user || user.estado !== 'PENDIENTE') {
+            return res.status(200).json(genericResponse);
+        }
+
+        const recentResult = await pool.query(
+            'SELECT COUNT(*)::int AS total, EXTRACT(EPOCH FROM (NOW() - MAX(fechaCreacion)))::int AS segundosDesdeUltimo '
+            + 'FROM TokenUsuario WHERE usuarioID = $1 AND tipo = \'VERIFICAR_CORREO\' AND fechaCreacion > NOW() - INTERVAL \'1 hour\'',
+            [user.usuarioid]
+        );
+        const recent = recentResult.rows[0];
+        // Throttled requests get the generic answer too; a 429 would reveal that the account exists and is pending
+        if (recent.total >= VERIFICATION_MAX_PER_HOUR
+            || (recent.segundosdesdeultimo !== null && recent.segundosdesdeultimo < VERIFICATION_RESEND_SECONDS)) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const token = await createUserToken(pool, user.usuarioid, 'VERIFICAR_CORREO', VERIFICATION_TOKEN_MINUTES, req.ip);
+        try {
+            await sendVerificationEmail({ nombre: user.nombre, correoElectronico: user.correoelectronico }, token);
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError.message);
+            return res.status(200).json(genericResponse);
+        }
+
+        await logAccountActivity(user.usuarioid, 'Reenvío de correo de verificación', null, req.ip);
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Server error during verification resend:', error);
+        res.status(500).json({ message: 'Server error during verification resend' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { pool } = require('../db'); // Import the pool from db.js
+const { parseEventListQuery, buildEventFilters, orderByClause, paginationClause, paginationInfo } = require('../services/eventSearch');
+const { getEventSeats } = require('../services/seatInventory');
+
+// Public Catalog Routes (no authentication)
+// Read-only views of ACTIVO events for people without an account. They never expose the organizer
+// or any other user data, only the event, its venue and its availability.
+
+// How long browsers and shared caches may reuse a response before revalidating it with If-None-Match
+const CATALOG_MAX_AGE_SECONDS = parseInt(process.env.CATALOG_MAX_AGE_SECONDS, 10) || 60;
+
+const publicEventColumns = 'e.eventoID, e.nombre, e.descripcion, e.fecha, e.horaInicio, e.horaFin, e.precio, e.tipo, e.imagen, '
+    + 'e.capacidad, GREATEST(e.capacidad - e.boletosVendidos, 0) AS boletosDisponibles, '
+    + 'e.lugarID, l.nombre AS lugarNombre, l.direccion AS lugarDireccion';
+
+// Sends a JSON body with a strong ETag computed from its content, answering 304 when the client already has it.
+// There is no Last-Modified: availability and seat changes are not reflected in any timestamp,
+// so an If-Modified-Since check could keep serving a stale page.
+function sendCacheable(req, res, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    res.set('Cache-Control', `public, max-age=${CATALOG_MAX_AGE_SECONDS}`);
+    res.set('ETag', etag);
+
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*')) {
+        return res.status(304).end();
+    }
+    res.status(200).type('application/json').send(json);
+}
+
+function parseEventID(req, res) {
+    const eventoID = req.params.id;
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        res.status(400).json({ message: 'Invalid event ID provided.' });
+        return null;
+    }
+    return parseInt(eventoID, 10);
+}
+
+// GET /api/catalogo/eventos - Public list of ACTIVO events
+// Same query parameters as GET /api/eventos, except estado (always ACTIVO) and organizadorID.
+router.get('/eventos', async (req, res) => {
+    const { estado, organizadorID, ...query } = req.query;
+    const { options, errors } = parseEventListQuery(query, { defaultEstados: ['ACTIVO'] });
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    buildEventFilters(options, conditions, params);
+    const whereClause = `WHERE ${conditions.join(' AND ')} `;
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM Evento e ${whereClause}`, params);
+        const pageParams = [...params];
+        const result = await pool.query(
+            `SELECT ${publicEventColumns} FROM Evento e JOIN Lugar l ON e.lugarID = l.lugarID `
+            + whereClause
+            + `${orderByClause(options)} ${paginationClause(options, pageParams)}`,
+            pageParams
+        );
+        sendCacheable(req, res, { eventos: result.rows, paginacion: paginationInfo(options, countResult.rows[0].total) });
+    } catch (error) {
+        console.error('Error fetching public event catalog:', error);
+        res.status(500).json({ message: 'Error fetching events' });
+    }
+});
+
+// GET /api/catalogo/eventos/:id - Public detail of an ACTIVO event
+router.get('/eventos/:id', async (req, res) => {
+    const eventoID = parseEventID(req, res);
+    if (eventoID === null) return;
+
+    try {
+        const result = await pool.query(
+            `SELECT ${publicEventColumns}, l.capacidadMaxima AS lugarCapacidadMaxima `
+            + 'FROM Evento e JOIN Lugar l ON e.lugarID = l.lugarID '
+            + 'WHERE e.eventoID = $1 AND e.estado = \'ACTIVO\'',
+            [eventoID]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+        sendCacheable(req, res, result.rows[0]);
+    } catch (error) {
+        console.error(`Error fetching public event ${eventoID}:`, error);
+        res.status(500).json({ message: `Error fetching event with ID ${eventoID}` });
+    }
+});
+
+// GET /api/catalogo/eventos/:id/asientos - Public seat map of an ACTIVO event
+// Seats only say whether they can be bought (disponible), not why they cannot.
+router.get('/eventos/:id/asientos', async (req, res) => {
+    const eventoID = parseEventID(req, res);
+    if (eventoID === null) return;
+
+    try {
+        const eventResult = await pool.query('SELECT eventoID, lugarID FROM Evento WHERE eventoID = $1 AND estado = \'ACTIVO\'', [eventoID]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+
+        const croquisResult = await pool.query('SELECT configuracion FROM Croquis WHERE eventoID = $1', [eventoID]);
+        const areasResult = await pool.query(
+            'SELECT areaID, nombre, tipo, capacidad FROM Area WHERE lugarID = $1 ORDER BY nombre ASC',
+            [eventResult.rows[0].lugarid]
+        );
+        const seats = await getEventSeats(pool, eventoID);
+
+        sendCacheable(req, res, {
+            eventoID,
+            layoutConfig: croquisResult.rows[0] ? croquisResult.rows[0].configuracion : null,
+            areas: areasResult.rows,
+            seats: seats.map(seat => ({
+                asientoid: seat.asientoid,
+                codigo: seat.codigo,
+                fila: seat.fila,
+                columna: seat.columna,
+                areaid: seat.areaid,
+                disponible: seat.estado === 'DISPONIBLE'
+            }))
+        });
+    } catch (error) {
+        console.error(`Error fetching public seat map for event ${eventoID}:`, error);
+        res.status(500).json({ message: `Error fetching seat map for event ${eventoID}` });
+    }
+});
+
+module.exports = router;
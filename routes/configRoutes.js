@@ -26,7 +26,7 @@ router.get('/', authenticateToken, authorizeRoles(['ASISTENTE', 'ORGANIZADOR', '
 
 // PUT /api/config - Update general application configuration (Admin only)
 router.put('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
-    const { nombreAplicacion, contactoEmail, version } = req.body;
+    const { nombreAplicacion, contactoEmail, version, diasRetencionActividad } = req.body;
 
     // Refined Validations for config update (only validate provided fields)
     const updateFields = {};
@@ -56,6 +56,14 @@ router.put('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req
         }
     }
 
+    if (diasRetencionActividad !== undefined) {
+        if (!Number.isInteger(diasRetencionActividad) || diasRetencionActividad < 1) {
+            errors.push('Si se proporciona diasRetencionActividad, debe ser un número entero mayor a 0.');
+        } else {
+            updateFields.diasRetencionActividad = diasRetencionActividad;
+        }
+    }
+
     // If there are validation errors, return 400
     if (errors.length > 0) {
         return res.status(400).json({ messages: errors });
@@ -3,9 +3,18 @@ const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const authorizeEventAccess = require('../middleware/eventAccessMiddleware');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getAreaScope, scopeIncludesArea } = require('../services/areaScope');
+const { canManageLugar } = require('../services/eventAccess');
+const { notifySafely } = require('../services/notificationService');
+const { parseEventListQuery, buildEventFilters, orderByClause, paginationClause, paginationInfo } = require('../services/eventSearch');
+const { transitionEvent } = require('../services/eventLifecycle');
+const { lockVenue, findVenueConflicts } = require('../services/venueSchedule');
+const { checkEventCapacity, checkAreaCapacity, checkSeatCapacity, getEventCapacitySummary } = require('../services/capacity');
+const { eventSeatStates, manualSeatStates, addSeatsToInventories, setEventSeatState, setManualSeatState, getEventSeats, countTakenSeats, rebuildEventInventory } = require('../services/seatInventory');
 
 // Configure Multer for file uploads
 const uploadsDir = path.join(__dirname, '../uploads/events');
@@ -27,33 +36,88 @@ const storage = multer.diskStorage({
 const upload = multer({ storage: storage });
 
 // Event Routes (GET all, GET by ID, POST new event - OMITTED FOR BREVITY, assume they are correct from previous versions)
+// GET /api/eventos - Paginated event list
+// Query: q (text in nombre/descripcion), fechaDesde, fechaHasta (YYYY-MM-DD), tipo, estado (comma-separated; default ACTIVO),
+// lugarID, organizadorID, precioMin, precioMax, disponible (true/false), orden (fecha, nombre, precio, disponibles, creacion),
+// direccion (asc/desc), pagina (from 1), limite (max 100).
+// Drafts are only listed to administrators and to the organizer or staff of the event.
 router.get('/', authenticateToken, async (req, res) => {
+    const { options, errors } = parseEventListQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    buildEventFilters(options, conditions, params);
+    if (req.user.role !== 'ADMINISTRADOR') {
+        params.push(req.user.userId);
+        conditions.push(`(e.estado <> 'BORRADOR' OR e.organizadorID = $${params.length} `
+            + `OR EXISTS (SELECT 1 FROM EventoPersonal ep WHERE ep.eventoID = e.eventoID AND ep.organizadorID = $${params.length}))`);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')} ` : '';
+
     try {
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM Evento e ${whereClause}`, params);
+        const pageParams = [...params];
         const result = await pool.query(
-            'SELECT e.*, l.nombre as lugarNombre, l.direccion as lugarDireccion, l.capacidadMaxima as lugarCapacidadMaxima '
+            'SELECT e.*, (e.capacidad - e.boletosVendidos) AS boletosDisponibles, '
+            + 'l.nombre as lugarNombre, l.direccion as lugarDireccion, l.capacidadMaxima as lugarCapacidadMaxima '
             + 'FROM Evento e JOIN Lugar l ON e.lugarID = l.lugarID '
-            + 'ORDER BY e.fecha ASC, e.horaInicio ASC'
+            + whereClause
+            + `${orderByClause(options)} ${paginationClause(options, pageParams)}`,
+            pageParams
         );
-        res.status(200).json(result.rows);
+        res.status(200).json({ eventos: result.rows, paginacion: paginationInfo(options, countResult.rows[0].total) });
     } catch (error) {
         console.error('Error fetching events:', error);
         res.status(500).json({ message: 'Error fetching events' });
     }
 });
 
+// GET /api/eventos/asignaciones/mias - Areas the authenticated organizer manages (AreaManager)
+// Declared before '/:id' so 'asignaciones' is not taken as an event ID.
+router.get('/asignaciones/mias', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT am.areaManagerID, am.eventoID, e.nombre as eventoNombre, e.fecha, e.horaInicio, e.horaFin, e.estado as eventoEstado, '
+            + 'am.areaID, ar.nombre as areaNombre, ar.tipo as areaTipo, ar.capacidad as areaCapacidad, l.nombre as lugarNombre '
+            + 'FROM AreaManager am '
+            + 'JOIN Evento e ON am.eventoID = e.eventoID '
+            + 'JOIN Area ar ON am.areaID = ar.areaID '
+            + 'JOIN Lugar l ON e.lugarID = l.lugarID '
+            + 'WHERE am.organizadorID = $1 '
+            + 'ORDER BY e.fecha ASC, e.horaInicio ASC, ar.nombre ASC',
+            [req.user.userId]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching area assignments for user ${req.user.userId}:`, error);
+        res.status(500).json({ message: 'Error fetching area assignments' });
+    }
+});
+
 router.get('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR', 'ASISTENTE']), async (req, res) => {
     const eventId = req.params.id;
     if (isNaN(eventId) || parseInt(eventId, 10) <= 0) {
         return res.status(400).json({ message: 'Invalid event ID provided.' });
     }
+    // Drafts follow the rule of the list: hidden (404) from everyone but administrators and the organizer or staff
+    const params = [eventId];
+    let draftFilter = '';
+    if (req.user.role !== 'ADMINISTRADOR') {
+        params.push(req.user.userId);
+        draftFilter = ' AND (e.estado <> \'BORRADOR\' OR e.organizadorID = $2 '
+            + 'OR EXISTS (SELECT 1 FROM EventoPersonal ep WHERE ep.eventoID = e.eventoID AND ep.organizadorID = $2))';
+    }
     try {
         const result = await pool.query(
             'SELECT e.*, l.nombre as lugarnombre, u.nombre as organizadornombre ' +
             'FROM Evento e ' +
             'JOIN Lugar l ON e.lugarID = l.lugarID ' +
             'JOIN Usuario u ON e.organizadorID = u.usuarioID ' +
-            'WHERE e.eventoID = $1',
-            [eventId]
+            'WHERE e.eventoID = $1' + draftFilter,
+            params
         );
         if (result.rows.length > 0) {
             res.status(200).json(result.rows[0]);
@@ -67,32 +131,607 @@ router.get('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
 });
 
 router.post('/', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), upload.single('imagen'), async (req, res) => {
-    const { nombre, descripcion, fecha, horaInicio, horaFin, precio, capacidad, estado, tipo, lugarID, organizadorID } = req.body;
+    const { nombre, descripcion, fecha, horaInicio, horaFin, precio, capacidad, estado, tipo, lugarID, organizadorID, fechaLimiteReembolso } = req.body;
     const imagen = req.file ? req.file.filename : null;
     // Basic Validations (ensure all required fields are present and of correct type)
     // ... (omitted for brevity, assume they are correct)
+    if (fechaLimiteReembolso && isNaN(Date.parse(fechaLimiteReembolso))) {
+        removeEventImage(imagen);
+        return res.status(400).json({ message: 'Si se proporciona fechaLimiteReembolso, debe ser una fecha válida.' });
+    }
+    // Every event starts as a draft; it goes on sale through POST /:id/publicar
+    if (estado !== undefined && estado !== null && estado !== '' && String(estado).toUpperCase() !== 'BORRADOR') {
+        removeEventImage(imagen);
+        return res.status(400).json({ message: 'Los eventos se crean como BORRADOR. Use POST /api/eventos/:id/publicar para publicarlo.' });
+    }
+    // The venue booking check needs a valid slot
+    const scheduleErrors = [];
+    if (typeof fecha !== 'string' || !dateRegex.test(fecha) || isNaN(Date.parse(fecha))) {
+        scheduleErrors.push('fecha es requerida y debe tener el formato YYYY-MM-DD.');
+    }
+    if (typeof horaInicio !== 'string' || !timeRegex.test(horaInicio)) {
+        scheduleErrors.push('horaInicio es requerida y debe tener el formato HH:MM.');
+    }
+    if (typeof horaFin !== 'string' || !timeRegex.test(horaFin)) {
+        scheduleErrors.push('horaFin es requerida y debe tener el formato HH:MM.');
+    } else if (scheduleErrors.length === 0 && normalizeTime(horaFin) <= normalizeTime(horaInicio)) {
+        scheduleErrors.push('horaFin debe ser posterior a horaInicio.');
+    }
+    if (isNaN(lugarID) || parseInt(lugarID, 10) <= 0) {
+        scheduleErrors.push('lugarID es requerido y debe ser un número entero positivo.');
+    }
+    if (scheduleErrors.length > 0) {
+        removeEventImage(imagen);
+        return res.status(400).json({ messages: scheduleErrors });
+    }
+    // Organizers create their own events; only administrators can create an event on behalf of another organizer
+    const organizadorEvento = organizadorID !== undefined && organizadorID !== null && organizadorID !== '' ? parseInt(organizadorID, 10) : req.user.userId;
+    if (req.user.role !== 'ADMINISTRADOR' && organizadorEvento !== req.user.userId) {
+        removeEventImage(imagen);
+        return res.status(403).json({ message: 'Forbidden: organizers can only create events they organize.' });
+    }
+
+    let client;
     try {
-        const result = await pool.query(
-            'INSERT INTO Evento(nombre, descripcion, fecha, horaInicio, horaFin, precio, capacidad, estado, imagen, tipo, fechaCreacion, fechaModificacion, lugarID, organizadorID) '
-            + 'VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW(), $11, $12) RETURNING eventoID',
-            [nombre, descripcion, fecha, horaInicio, horaFin, parseFloat(precio), parseInt(capacidad, 10), estado.toUpperCase(), imagen, tipo.toUpperCase(), parseInt(lugarID, 10), parseInt(organizadorID, 10)]
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const capacityErrors = await checkEventCapacity(client, parseInt(lugarID, 10), parseInt(capacidad, 10));
+        if (capacityErrors.length > 0) {
+            await client.query('ROLLBACK');
+            removeEventImage(imagen);
+            return res.status(400).json({ messages: capacityErrors });
+        }
+
+        const conflictCheck = await checkVenueConflicts(client, req, {
+            lugarID: parseInt(lugarID, 10), fecha, horaInicio, horaFin
+        });
+        if (conflictCheck.response) {
+            await client.query('ROLLBACK');
+            removeEventImage(imagen);
+            return res.status(409).json(conflictCheck.response);
+        }
+
+        const result = await client.query(
+            'INSERT INTO Evento(nombre, descripcion, fecha, horaInicio, horaFin, precio, capacidad, estado, imagen, tipo, fechaCreacion, fechaModificacion, lugarID, organizadorID, fechaLimiteReembolso) '
+            + 'VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW(), $11, $12, $13) RETURNING eventoID',
+            [nombre, descripcion, fecha, horaInicio, horaFin, parseFloat(precio), parseInt(capacidad, 10), 'BORRADOR', imagen, tipo.toUpperCase(), parseInt(lugarID, 10), organizadorEvento, fechaLimiteReembolso || null]
         );
+        await client.query('COMMIT');
         const newEventId = result.rows[0].eventoid;
-        res.status(201).json({ message: 'Event created successfully', eventId: newEventId });
+
+        // Overriding a booking conflict is recorded so it can be traced later
+        if (conflictCheck.ignored.length > 0) {
+            try {
+                await pool.query(
+                    'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                    [req.user.userId, 'CREACION_EVENTO', `Evento creado con conflicto de lugar (ID: ${newEventId})`, JSON.stringify({ eventoID: newEventId, conflictosIgnorados: conflictCheck.ignored }), req.ip]
+                );
+            } catch (activityLogError) {
+                console.error('Error logging activity for event creation:', activityLogError);
+            }
+        }
+
+        res.status(201).json({ message: 'Event created successfully', eventId: newEventId, estado: 'BORRADOR', conflictosIgnorados: conflictCheck.ignored });
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        removeEventImage(imagen);
         console.error('Error creating event:', error);
         res.status(500).json({ message: 'Error creating event' });
+    } finally {
+        if (client) client.release();
     }
 });
 
-router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
-    // Event update logic (omitted for brevity)
+// Checks the venue booking of an event slot inside the caller's transaction (locking the venue until it ends).
+// Conflicts are refused unless an administrator sends ignorarConflictos=true.
+// Returns { response } with the 409 body when refused, otherwise { ignored } with the eventoIDs overridden.
+async function checkVenueConflicts(client, req, slot) {
+    await lockVenue(client, slot.lugarID);
+    const conflicts = await findVenueConflicts(client, slot);
+    if (conflicts.length === 0) {
+        return { ignored: [] };
+    }
+
+    const override = req.body.ignorarConflictos === true || req.body.ignorarConflictos === 'true';
+    if (override && req.user.role === 'ADMINISTRADOR') {
+        return { ignored: conflicts.map(conflict => conflict.eventoid) };
+    }
+    return {
+        response: {
+            message: req.user.role === 'ADMINISTRADOR'
+                ? 'El lugar ya está reservado en ese horario. Envíe ignorarConflictos=true para crear el evento de todos modos.'
+                : 'El lugar ya está reservado en ese horario (incluyendo el margen de preparación del lugar).',
+            conflictos: conflicts
+        }
+    };
+}
+
+const validEventTypes = ['CONFERENCIA', 'TALLER', 'CEREMONIA', 'SEMINARIO', 'OTRO'];
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+const timeRegex = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Validates the fields of a partial event update. Multipart bodies send every value as a string.
+// Returns { updateFields, errors }.
+function validateEventUpdate(body) {
+    const { nombre, descripcion, fecha, horaInicio, horaFin, precio, capacidad, estado, tipo, lugarID, organizadorID, fechaLimiteReembolso } = body;
+    const updateFields = {};
+    const errors = [];
+
+    if (nombre !== undefined) {
+        if (typeof nombre !== 'string' || nombre.trim().length === 0 || nombre.length > 150) {
+            errors.push('Si se proporciona nombre, debe ser una cadena no vacía de máximo 150 caracteres.');
+        } else {
+            updateFields.nombre = nombre.trim();
+        }
+    }
+    if (descripcion !== undefined) {
+        if (descripcion !== null && typeof descripcion !== 'string') {
+            errors.push('Si se proporciona descripcion, debe ser una cadena o nulo.');
+        } else {
+            updateFields.descripcion = descripcion;
+        }
+    }
+    if (fecha !== undefined) {
+        if (typeof fecha !== 'string' || !dateRegex.test(fecha) || isNaN(Date.parse(fecha))) {
+            errors.push('Si se proporciona fecha, debe tener el formato YYYY-MM-DD.');
+        } else {
+            updateFields.fecha = fecha;
+        }
+    }
+    if (horaInicio !== undefined) {
+        if (typeof horaInicio !== 'string' || !timeRegex.test(horaInicio)) {
+            errors.push('Si se proporciona horaInicio, debe tener el formato HH:MM.');
+        } else {
+            updateFields.horaInicio = horaInicio;
+        }
+    }
+    if (horaFin !== undefined) {
+        if (typeof horaFin !== 'string' || !timeRegex.test(horaFin)) {
+            errors.push('Si se proporciona horaFin, debe tener el formato HH:MM.');
+        } else {
+            updateFields.horaFin = horaFin;
+        }
+    }
+    if (precio !== undefined) {
+        if (precio === null || precio === '' || isNaN(precio) || parseFloat(precio) < 0) {
+            errors.push('Si se proporciona precio, debe ser un número no negativo.');
+        } else {
+            updateFields.precio = parseFloat(precio);
+        }
+    }
+    if (capacidad !== undefined) {
+        if (capacidad === null || capacidad === '' || isNaN(capacidad) || parseInt(capacidad, 10) <= 0) {
+            errors.push('Si se proporciona capacidad, debe ser un número entero positivo.');
+        } else {
+            updateFields.capacidad = parseInt(capacidad, 10);
+        }
+    }
+    if (estado !== undefined) {
+        errors.push('El estado no se modifica aquí. Use /publicar, /cancelar, /completar o /borrador.');
+    }
+    if (tipo !== undefined) {
+        if (typeof tipo !== 'string' || !validEventTypes.includes(tipo.toUpperCase())) {
+            errors.push(`Si se proporciona tipo, debe ser uno de: ${validEventTypes.join(', ')}.`);
+        } else {
+            updateFields.tipo = tipo.toUpperCase();
+        }
+    }
+    if (lugarID !== undefined) {
+        if (lugarID === null || lugarID === '' || isNaN(lugarID) || parseInt(lugarID, 10) <= 0) {
+            errors.push('Si se proporciona lugarID, debe ser un número entero positivo.');
+        } else {
+            updateFields.lugarID = parseInt(lugarID, 10);
+        }
+    }
+    if (organizadorID !== undefined) {
+        if (organizadorID === null || organizadorID === '' || isNaN(organizadorID) || parseInt(organizadorID, 10) <= 0) {
+            errors.push('Si se proporciona organizadorID, debe ser un número entero positivo.');
+        } else {
+            updateFields.organizadorID = parseInt(organizadorID, 10);
+        }
+    }
+    if (fechaLimiteReembolso !== undefined) {
+        // null or '' removes the deadline (refunds can be requested until the event starts)
+        if (fechaLimiteReembolso === null || fechaLimiteReembolso === '') {
+            updateFields.fechaLimiteReembolso = null;
+        } else if (typeof fechaLimiteReembolso !== 'string' || isNaN(Date.parse(fechaLimiteReembolso))) {
+            errors.push('Si se proporciona fechaLimiteReembolso, debe ser una fecha válida o nulo.');
+        } else {
+            updateFields.fechaLimiteReembolso = fechaLimiteReembolso;
+        }
+    }
+
+    return { updateFields, errors };
+}
+
+// 'HH:MM' -> 'HH:MM:SS' so times can be compared as strings (pg returns TIME as 'HH:MM:SS').
+function normalizeTime(time) {
+    return time.length === 5 ? `${time}:00` : time;
+}
+
+// Removes a file from the events uploads directory, ignoring missing files.
+function removeEventImage(fileName) {
+    if (!fileName) return;
+    fs.promises.unlink(path.join(uploadsDir, path.basename(fileName))).catch(error => {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error removing event image ${fileName}:`, error);
+        }
+    });
+}
+
+// Notifies every holder of a valid ticket of the event.
+async function notifyTicketHolders(eventoID, titulo, mensaje) {
+    try {
+        const holders = await pool.query(
+            'SELECT DISTINCT usuarioID FROM Boleto WHERE eventoID = $1 AND estado = \'ACTIVO\'',
+            [eventoID]
+        );
+        for (const holder of holders.rows) {
+            await notifySafely(pool, { usuarioID: holder.usuarioid, titulo, mensaje, tipo: 'CAMBIO_EVENTO' });
+        }
+    } catch (error) {
+        console.error(`Error notifying ticket holders of event ${eventoID}:`, error);
+    }
+}
+
+// Tells the people with tickets of a cancelled event. Tickets refunded by the cancellation are no longer ACTIVO,
+// so their buyers hear about the refund and their holders are notified from the refund list.
+async function notifyEventCancelled(eventoID, nombre, reembolsos) {
+    const mensaje = `El evento "${nombre}" fue cancelado.`;
+    await notifyTicketHolders(eventoID, 'Evento cancelado', mensaje);
+
+    const notified = new Set();
+    for (const reembolso of reembolsos) {
+        await notifySafely(pool, {
+            usuarioID: reembolso.usuarioID,
+            titulo: 'Evento cancelado',
+            mensaje: `${mensaje} Se reembolsaron ${reembolso.monto.toFixed(2)} de tu pago #${reembolso.pagoID}.`,
+            tipo: 'CAMBIO_EVENTO'
+        });
+        notified.add(reembolso.usuarioID);
+    }
+    for (const usuarioID of reembolsos.flatMap(reembolso => reembolso.titulares)) {
+        if (notified.has(usuarioID)) continue;
+        notified.add(usuarioID);
+        await notifySafely(pool, { usuarioID, titulo: 'Evento cancelado', mensaje, tipo: 'CAMBIO_EVENTO' });
+    }
+}
+
+// PUT /api/eventos/:id - Partial update of an event
+// Accepts JSON or multipart/form-data. A new 'imagen' file replaces the current one; eliminarImagen=true removes it.
+router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id'), upload.single('imagen'), async (req, res) => {
+    const eventoID = req.params.id;
+    const newImage = req.file ? req.file.filename : null;
+    const removeImage = req.body.eliminarImagen === true || req.body.eliminarImagen === 'true';
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        removeEventImage(newImage);
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    const { updateFields, errors } = validateEventUpdate(req.body);
+    if (errors.length > 0) {
+        removeEventImage(newImage);
+        return res.status(400).json({ messages: errors });
+    }
+    if (newImage) {
+        updateFields.imagen = newImage;
+    } else if (removeImage) {
+        updateFields.imagen = null;
+    }
+
+    const fieldsToUpdateKeys = Object.keys(updateFields);
+    if (fieldsToUpdateKeys.length === 0) {
+        return res.status(400).json({ message: 'No valid fields provided for update.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const currentResult = await client.query('SELECT *, to_char(fecha, \'YYYY-MM-DD\') AS fechaTexto FROM Evento WHERE eventoID = $1 FOR UPDATE', [eventoID]);
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            removeEventImage(newImage);
+            return res.status(404).json({ message: 'Event not found' });
+        }
+        const current = currentResult.rows[0];
+
+        // Staff can edit the event, but only its organizer or an administrator can hand it over to someone else
+        if (updateFields.organizadorID !== undefined && updateFields.organizadorID !== current.organizadorid
+            && req.user.role !== 'ADMINISTRADOR' && current.organizadorid !== req.user.userId) {
+            await client.query('ROLLBACK');
+            removeEventImage(newImage);
+            return res.status(403).json({ message: 'Forbidden: only the event organizer or an administrator can change organizadorID.' });
+        }
+
+        // Cross-field checks against the values the event will have after the update
+        const finalHoraInicio = normalizeTime(updateFields.horaInicio || current.horainicio);
+        const finalHoraFin = normalizeTime(updateFields.horaFin || current.horafin);
+        const crossErrors = [];
+        if (finalHoraFin <= finalHoraInicio) {
+            crossErrors.push('horaFin debe ser posterior a horaInicio.');
+        }
+        if (updateFields.capacidad !== undefined && updateFields.capacidad < current.boletosvendidos) {
+            crossErrors.push(`La capacidad no puede ser menor a los boletos vendidos (${current.boletosvendidos}).`);
+        }
+        const venueChanged = updateFields.lugarID !== undefined && updateFields.lugarID !== current.lugarid;
+        if (updateFields.lugarID !== undefined) {
+            const lugarCheck = await client.query('SELECT lugarID FROM Lugar WHERE lugarID = $1', [updateFields.lugarID]);
+            if (lugarCheck.rows.length === 0) {
+                crossErrors.push(`El lugar con ID ${updateFields.lugarID} no existe.`);
+            }
+        }
+        if (venueChanged) {
+            // Held or sold seats belong to the current venue
+            const takenSeats = await countTakenSeats(client, eventoID);
+            if (takenSeats > 0) {
+                crossErrors.push(`El evento tiene ${takenSeats} asiento(s) reservado(s) u ocupado(s) en su lugar actual y no puede cambiar de lugar.`);
+            }
+        }
+        if (updateFields.capacidad !== undefined || updateFields.lugarID !== undefined) {
+            crossErrors.push(...await checkEventCapacity(
+                client,
+                updateFields.lugarID !== undefined ? updateFields.lugarID : current.lugarid,
+                updateFields.capacidad !== undefined ? updateFields.capacidad : current.capacidad
+            ));
+        }
+        if (updateFields.organizadorID !== undefined) {
+            const organizerCheck = await client.query('SELECT usuarioID FROM Organizador WHERE usuarioID = $1', [updateFields.organizadorID]);
+            if (organizerCheck.rows.length === 0) {
+                crossErrors.push(`El usuario con ID ${updateFields.organizadorID} no es un organizador.`);
+            }
+        }
+        if (crossErrors.length > 0) {
+            await client.query('ROLLBACK');
+            removeEventImage(newImage);
+            return res.status(400).json({ messages: crossErrors });
+        }
+
+        // Moving the event in time or to another venue must not double-book the venue
+        let ignoredConflicts = [];
+        const slotChanged = ['fecha', 'horaInicio', 'horaFin', 'lugarID'].some(key => updateFields[key] !== undefined);
+        if (slotChanged && current.estado !== 'CANCELADO') {
+            const conflictCheck = await checkVenueConflicts(client, req, {
+                lugarID: updateFields.lugarID !== undefined ? updateFields.lugarID : current.lugarid,
+                fecha: updateFields.fecha || current.fechatexto,
+                horaInicio: finalHoraInicio,
+                horaFin: finalHoraFin,
+                excludeEventoID: current.eventoid
+            });
+            if (conflictCheck.response) {
+                await client.query('ROLLBACK');
+                removeEventImage(newImage);
+                return res.status(409).json(conflictCheck.response);
+            }
+            ignoredConflicts = conflictCheck.ignored;
+        }
+
+        const queryParts = [];
+        const queryParams = [];
+        let paramIndex = 1;
+
+        fieldsToUpdateKeys.forEach(key => {
+            queryParts.push(`${key} = $${paramIndex}`);
+            queryParams.push(updateFields[key]);
+            paramIndex++;
+        });
+        queryParts.push('fechaModificacion = NOW()');
+
+        const queryText = `UPDATE Evento SET ${queryParts.join(', ')} WHERE eventoID = $${paramIndex} RETURNING *`;
+        queryParams.push(eventoID);
+        const updateResult = await client.query(queryText, queryParams);
+        if (venueChanged) {
+            await rebuildEventInventory(client, eventoID);
+        }
+
+        await client.query('COMMIT');
+
+        // The previous image is only removed once the new value is committed
+        if (updateFields.imagen !== undefined && current.imagen && current.imagen !== updateFields.imagen) {
+            removeEventImage(current.imagen);
+        }
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'MODIFICACION_EVENTO', `Evento modificado (ID: ${eventoID})`, JSON.stringify({ eventoID: eventoID, updatedFields: fieldsToUpdateKeys, conflictosIgnorados: ignoredConflicts }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for event update:', activityLogError);
+            // Continue with event update success even if activity logging fails
+        }
+
+        // Ticket holders need to know when or where the event now takes place
+        if (slotChanged) {
+            await notifyTicketHolders(
+                eventoID,
+                'Cambio en tu evento',
+                `El evento "${updateResult.rows[0].nombre}" cambió de fecha, horario o lugar. Revisa los detalles actualizados.`
+            );
+        }
+
+        res.status(200).json({ message: 'Event updated successfully', evento: updateResult.rows[0], conflictosIgnorados: ignoredConflicts });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        removeEventImage(newImage);
+        console.error(`Error updating event with ID ${eventoID}:`, error);
+        res.status(500).json({ message: `Error updating event with ID ${eventoID}` });
+    } finally {
+        client.release();
+    }
 });
 
-router.delete('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
-    // Event delete logic (omitted for brevity)
+// DELETE /api/eventos/:id - Delete an event
+// Events with paid tickets are never deleted: the ON DELETE CASCADE on Pago/Boleto would destroy financial records.
+// For those, ?cancelar=true marks the event as CANCELADO instead; otherwise the request is refused with 409.
+router.delete('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id', { ownerOnly: true }), async (req, res) => {
+    const eventoID = req.params.id;
+    const cancelInstead = req.query.cancelar === 'true';
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const eventResult = await client.query('SELECT eventoID, nombre, estado, imagen FROM Evento WHERE eventoID = $1 FOR UPDATE', [eventoID]);
+        if (eventResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Event not found' });
+        }
+        const evento = eventResult.rows[0];
+
+        // Checkouts still waiting for the gateway count as paid: the webhook may confirm them at any moment
+        const paidTicketsResult = await client.query(
+            'SELECT COUNT(*)::int AS total FROM Boleto b JOIN Pago p ON b.pagoID = p.pagoID '
+            + 'WHERE b.eventoID = $1 AND p.estado IN (\'PENDIENTE\', \'COMPLETADO\', \'REEMBOLSADO\')',
+            [eventoID]
+        );
+        const paidTickets = paidTicketsResult.rows[0].total;
+
+        if (paidTickets > 0) {
+            if (!cancelInstead) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: `El evento tiene ${paidTickets} boleto(s) pagado(s) y no puede eliminarse. Use ?cancelar=true para cancelarlo.`,
+                    boletosPagados: paidTickets
+                });
+            }
+
+            const transition = await transitionEvent(client, eventoID, 'cancelar');
+            if (transition.error) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: `El evento tiene ${paidTickets} boleto(s) pagado(s) y no puede cancelarse desde el estado ${evento.estado}.`,
+                    messages: transition.messages,
+                    boletosPagados: paidTickets
+                });
+            }
+            await client.query('COMMIT');
+
+            try {
+                await pool.query(
+                    'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                    [req.user.userId, 'MODIFICACION_EVENTO', `Evento cancelado (ID: ${eventoID})`, JSON.stringify({ eventoID: eventoID, estadoAnterior: evento.estado, boletosPagados: paidTickets, pagosReembolsados: transition.reembolsos.map(reembolso => reembolso.pagoID) }), req.ip]
+                );
+            } catch (activityLogError) {
+                console.error('Error logging activity for event cancellation:', activityLogError);
+            }
+            await notifyEventCancelled(eventoID, evento.nombre, transition.reembolsos);
+
+            return res.status(200).json({ message: 'Event has paid tickets and was cancelled instead of deleted', eventId: evento.eventoid, estado: 'CANCELADO', reembolsos: transition.reembolsos });
+        }
+
+        await client.query('DELETE FROM Evento WHERE eventoID = $1', [eventoID]);
+        await client.query('COMMIT');
+
+        removeEventImage(evento.imagen);
+
+        try {
+            // Using type 'OTRO' as there is no ELIMINACION_EVENTO in the ENUM.
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'OTRO', `Evento eliminado (ID: ${eventoID})`, JSON.stringify({ deletedEventId: eventoID, nombre: evento.nombre }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for event deletion:', activityLogError);
+        }
+
+        res.status(200).json({ message: 'Event deleted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error deleting event with ID ${eventoID}:`, error);
+        res.status(500).json({ message: `Error deleting event with ID ${eventoID}` });
+    } finally {
+        client.release();
+    }
 });
 
+// Lifecycle transitions (see services/eventLifecycle.js). Evento.estado only changes through these routes.
+const transitionMessages = {
+    publicar: { verb: 'publicar', done: 'Event published', activity: 'Evento publicado' },
+    cancelar: { verb: 'cancelar', done: 'Event cancelled', activity: 'Evento cancelado' },
+    completar: { verb: 'completar', done: 'Event completed', activity: 'Evento completado' },
+    borrador: { verb: 'devolver a borrador', done: 'Event moved back to draft', activity: 'Evento devuelto a borrador' },
+};
+
+function eventTransitionHandler(accion) {
+    return async (req, res) => {
+        const eventoID = parseInt(req.params.id, 10);
+
+        let client;
+        try {
+            client = await pool.connect();
+            await client.query('BEGIN');
+            const result = await transitionEvent(client, eventoID, accion);
+            if (result.error) {
+                await client.query('ROLLBACK');
+                if (result.error === 'NOT_FOUND') {
+                    return res.status(404).json({ message: 'Event not found' });
+                }
+                if (result.error === 'INVALID_TRANSITION') {
+                    return res.status(409).json({ message: `No se puede ${transitionMessages[accion].verb} un evento en estado ${result.estado}.`, estado: result.estado });
+                }
+                return res.status(409).json({ message: `No se puede ${transitionMessages[accion].verb} el evento.`, messages: result.messages });
+            }
+            await client.query('COMMIT');
+
+            try {
+                await pool.query(
+                    'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                    [req.user.userId, 'MODIFICACION_EVENTO', `${transitionMessages[accion].activity} (ID: ${eventoID})`, JSON.stringify({ eventoID, estadoAnterior: result.estadoAnterior, estado: result.evento.estado, boletosExpirados: result.boletosExpirados, pagosReembolsados: result.reembolsos.map(reembolso => reembolso.pagoID) }), req.ip]
+                );
+            } catch (activityLogError) {
+                console.error(`Error logging activity for event transition ${accion}:`, activityLogError);
+            }
+            if (accion === 'cancelar') {
+                await notifyEventCancelled(eventoID, result.evento.nombre, result.reembolsos);
+            }
+
+            res.status(200).json({
+                message: transitionMessages[accion].done,
+                evento: result.evento,
+                estadoAnterior: result.estadoAnterior,
+                boletosExpirados: result.boletosExpirados,
+                reembolsos: result.reembolsos
+            });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK');
+            console.error(`Error applying transition ${accion} to event ${eventoID}:`, error);
+            res.status(500).json({ message: `Error updating state of event with ID ${eventoID}` });
+        } finally {
+            if (client) client.release();
+        }
+    };
+}
+
+// POST /api/eventos/:id/publicar - BORRADOR -> ACTIVO
+router.post('/:id/publicar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id'), eventTransitionHandler('publicar'));
+// POST /api/eventos/:id/cancelar - BORRADOR | ACTIVO -> CANCELADO (organizer of the event or administrator only)
+router.post('/:id/cancelar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id', { ownerOnly: true }), eventTransitionHandler('cancelar'));
+// POST /api/eventos/:id/completar - ACTIVO -> COMPLETADO (also done automatically once the event ends)
+router.post('/:id/completar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id'), eventTransitionHandler('completar'));
+// POST /api/eventos/:id/borrador - ACTIVO -> BORRADOR, only while no ticket is sold
+router.post('/:id/borrador', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('id'), eventTransitionHandler('borrador'));
+
+// GET /api/eventos/:eventoID/capacidad - Configured, seated and sold counts of the event, per area
+router.get('/:eventoID/capacidad', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID'), async (req, res) => {
+    const eventoID = parseInt(req.params.eventoID, 10);
+    try {
+        const summary = await getEventCapacitySummary(pool, eventoID);
+        if (!summary) {
+            return res.status(404).json({ message: 'Event not found' });
+        }
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error(`Error fetching capacity summary for event ${eventoID}:`, error);
+        res.status(500).json({ message: `Error fetching capacity of event with ID ${eventoID}` });
+    }
+});
 
 // Layout and Seating Routes
 router.get('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR', 'ASISTENTE']), async (req, res) => {
@@ -107,18 +746,11 @@ router.get('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
 
         const croquisQuery = await pool.query('SELECT configuracion FROM Croquis WHERE eventoID = $1', [eventoID]);
         const croquis = croquisQuery.rows[0];
-        const seatsQuery = await pool.query(
-            'SELECT a.asientoID, a.codigo, a.fila, a.columna, a.estado, a.areaID AS areaid ' +
-            'FROM Asiento a ' +
-            'JOIN Area ar ON a.areaID = ar.areaID ' +
-            'JOIN Lugar l ON ar.lugarID = l.lugarID ' +
-            'JOIN Evento e ON l.lugarID = e.lugarID ' +
-            'WHERE e.eventoID = $1 ORDER BY a.asientoID ASC',
-            [eventoID]
-        );
+        // Seats of the venue with their state for this event (services/seatInventory.js)
+        const seats = await getEventSeats(pool, eventoID);
         res.status(200).json({
             layoutConfig: croquis ? croquis.configuracion : null,
-            seats: seatsQuery.rows
+            seats
         });
     } catch (error) {
         console.error(`Error fetching layout and seats for event ${eventoID}:`, error);
@@ -149,7 +781,30 @@ router.put('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
         if (!asientos || !Array.isArray(asientos)) {
             return res.status(400).json({ error: 'Se requiere un array de asientos válido.' });
         }
-        // Add other necessary validations for asientos content if needed
+        const invalidStateSeats = asientos.filter(asiento => typeof asiento !== 'object' || asiento === null
+            || typeof asiento.estado !== 'string' || !eventSeatStates.includes(asiento.estado.toUpperCase()));
+        if (invalidStateSeats.length > 0) {
+            return res.status(400).json({ message: `Estado de asiento inválido. Use uno de: ${eventSeatStates.join(', ')}.` });
+        }
+        // RESERVADO and OCUPADO come from holds and tickets, so a new seat cannot start in them
+        const invalidNewSeats = asientos.filter(asiento => (asiento.asientoID === undefined || (typeof asiento.asientoID === 'number' && asiento.asientoID > 1000000000) || asiento.isNew)
+            && !manualSeatStates.includes(asiento.estado.toUpperCase()));
+        if (invalidNewSeats.length > 0) {
+            return res.status(400).json({ message: `Los asientos nuevos solo pueden crearse como ${manualSeatStates.join(' o ')}.` });
+        }
+
+        // Area managers can only change the state of seats in the areas assigned to them;
+        // the croquis and new areas or seats are reserved to the event's organizer, its staff and administrators
+        const areaScope = await getAreaScope(pool, req.user, eventoID);
+        if (!areaScope.unrestricted) {
+            if (areaScope.areaIDs.length === 0) {
+                return res.status(403).json({ message: 'Forbidden: you are not the organizer or staff of this event.' });
+            }
+            const addsSeats = asientos.some(asiento => asiento.asientoID === undefined || (typeof asiento.asientoID === 'number' && asiento.asientoID > 1000000000) || asiento.isNew);
+            if (configuracionCroquis !== undefined || addsSeats) {
+                return res.status(403).json({ message: 'Forbidden: area managers can only change the state of the seats in their areas.' });
+            }
+        }
 
         const client = await pool.connect();
         try {
@@ -164,10 +819,27 @@ router.put('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
                 return res.status(500).json({ message: 'Error interno: No se pudo determinar el lugar del evento.' });
             }
 
+            const isNewTable = table => (table.areaid && typeof table.areaid === 'number' && table.areaid > 1000000000) || (table.id && table.id.startsWith('new-table-'));
+            // New areas and seats are added to the Lugar, which other organizers' events may share
+            const addsAreas = !!(configuracionCroquis && Array.isArray(configuracionCroquis.tables) && configuracionCroquis.tables.some(isNewTable));
+            const addsSeats = asientos.some(asiento => asiento.asientoID === undefined || (typeof asiento.asientoID === 'number' && asiento.asientoID > 1000000000) || asiento.isNew);
+            if ((addsAreas || addsSeats) && !(await canManageLugar(client, req.user, lugarIDDelEvento))) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ message: 'Forbidden: the location of this event is used by events you do not organize; only an administrator can add areas or seats to it.' });
+            }
+
             if (configuracionCroquis && configuracionCroquis.tables && Array.isArray(configuracionCroquis.tables)) {
+                // The new areas must fit in the venue together with the existing ones
+                const newAreas = configuracionCroquis.tables.filter(isNewTable).map(table => ({ areaID: null, capacidad: table.capacidad || 50 }));
+                const areaErrors = newAreas.length > 0 ? await checkAreaCapacity(client, lugarIDDelEvento, newAreas) : [];
+                if (areaErrors.length > 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ messages: areaErrors });
+                }
+
                 for (let i = 0; i < configuracionCroquis.tables.length; i++) {
                     const table = configuracionCroquis.tables[i];
-                    if ((table.areaid && typeof table.areaid === 'number' && table.areaid > 1000000000) || (table.id && table.id.startsWith('new-table-'))) {
+                    if (isNewTable(table)) {
                         const tempAreaId = table.areaid;
                         console.log(`[Backend] Detectada nueva área potencial: id=${table.id}, tempAreaId=${tempAreaId}`);
                         const insertAreaParams = [`Área ${table.nombre || table.id}`, table.capacidad || 50, table.tipo || 'GENERAL', lugarIDDelEvento];
@@ -204,6 +876,26 @@ router.put('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
                 }
             }
 
+            // New seats per area must not exceed the capacity of their area
+            const newSeatsPerArea = {};
+            for (const asiento of asientos) {
+                const isNewSeat = asiento.asientoID === undefined || (typeof asiento.asientoID === 'number' && asiento.asientoID > 1000000000) || asiento.isNew;
+                if (isNewSeat && asiento.areaID && !isNaN(parseInt(asiento.areaID)) && parseInt(asiento.areaID) > 0) {
+                    newSeatsPerArea[parseInt(asiento.areaID)] = (newSeatsPerArea[parseInt(asiento.areaID)] || 0) + 1;
+                }
+            }
+            const seatErrors = [];
+            for (const [areaID, nuevos] of Object.entries(newSeatsPerArea)) {
+                seatErrors.push(...await checkSeatCapacity(client, parseInt(areaID), nuevos));
+            }
+            if (seatErrors.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ messages: seatErrors });
+            }
+
+            // The editor sends every seat back; only the changed states are applied, and never to held or sold seats
+            const currentStates = new Map((await getEventSeats(client, eventoID)).map(seat => [seat.asientoid, seat.estado]));
+            const refusedSeats = [];
             if (asientos && Array.isArray(asientos)) {
                 for (const asiento of asientos) {
                     const isNewSeat = asiento.asientoID === undefined || (typeof asiento.asientoID === 'number' && asiento.asientoID > 1000000000) || asiento.isNew;
@@ -213,40 +905,51 @@ router.put('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
                              console.error(`[Backend] Asiento nuevo ${asiento.codigo} no tiene un areaID válido (${asiento.areaID}). Omitiendo.`);
                              continue;
                         }
-                        await client.query(
-                            'INSERT INTO Asiento (codigo, fila, columna, estado, areaID) VALUES ($1, $2, $3, $4, $5) RETURNING asientoID, codigo, fila, columna, estado, areaID AS areaid',
-                            [asiento.codigo, asiento.fila || null, asiento.columna || null, asiento.estado.toUpperCase(), asiento.areaID]
+                        // The seat is physically available; the requested estado only applies to this event
+                        const newSeatResult = await client.query(
+                            'INSERT INTO Asiento (codigo, fila, columna, estado, areaID) VALUES ($1, $2, $3, \'DISPONIBLE\', $4) RETURNING asientoID',
+                            [asiento.codigo, asiento.fila || null, asiento.columna || null, asiento.areaID]
                         );
+                        const newSeatID = newSeatResult.rows[0].asientoid;
+                        await addSeatsToInventories(client, [newSeatID]);
+                        await setEventSeatState(client, eventoID, [newSeatID], asiento.estado.toUpperCase());
                     } else { 
                         const seatEventCheck = await client.query(
-                            'SELECT a.asientoID FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID WHERE a.asientoID = $1 AND ar.lugarID = $2',
+                            'SELECT a.asientoID, a.areaID AS areaid FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID WHERE a.asientoID = $1 AND ar.lugarID = $2',
                             [asiento.asientoID, lugarIDDelEvento]
                         );
-                        if (seatEventCheck.rows.length > 0) {
-                            await client.query(
-                                'UPDATE Asiento SET estado = $1 WHERE asientoID = $2',
-                                [asiento.estado.toUpperCase(), asiento.asientoID]
-                            );
+                        if (seatEventCheck.rows.length > 0 && !scopeIncludesArea(areaScope, seatEventCheck.rows[0].areaid)) {
+                            console.warn(`[Backend] Usuario ${req.user.userId} no tiene asignada el área ${seatEventCheck.rows[0].areaid} del asiento ${asiento.asientoID}. Omitiendo.`);
+                        } else if (seatEventCheck.rows.length > 0) {
+                            const seatID = seatEventCheck.rows[0].asientoid;
+                            const estado = asiento.estado.toUpperCase();
+                            if (currentStates.get(seatID) !== estado
+                                && (!manualSeatStates.includes(estado) || (await setManualSeatState(client, eventoID, [seatID], estado)).length > 0)) {
+                                refusedSeats.push(seatID);
+                            }
                         } else {
                             console.warn(`[Backend] Intento de actualizar asientoID ${asiento.asientoID} que no pertenece al evento ${eventoID}. Omitiendo.`);
                         }
                     }
                 }
             }
+            if (refusedSeats.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: 'Algunos asientos están reservados o vendidos para este evento, o se pidió un estado que solo asignan las reservas y los boletos (RESERVADO, OCUPADO).',
+                    asientoIDs: refusedSeats
+                });
+            }
 
             await client.query('COMMIT');
             
             const finalLayoutResponse = await client.query('SELECT configuracion FROM Croquis WHERE eventoID = $1', [eventoID]);
-            const finalSeatsResponse = await client.query(
-                'SELECT a.asientoID, a.codigo, a.fila, a.columna, a.estado, a.areaID AS areaid ' +
-                'FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID JOIN Evento e ON ar.lugarID = e.lugarID WHERE e.eventoID = $1 ORDER BY a.asientoID ASC',
-                [eventoID]
-            );
+            const finalSeats = await getEventSeats(client, eventoID);
 
             res.status(200).json({ 
                 message: 'Layout y asientos guardados exitosamente.',
                 layoutConfig: finalLayoutResponse.rows[0] ? finalLayoutResponse.rows[0].configuracion : null,
-                seats: finalSeatsResponse.rows
+                seats: finalSeats
             });
 
         } catch (e) {
@@ -262,7 +965,7 @@ router.put('/:eventoID/layout', authenticateToken, authorizeRoles(['ORGANIZADOR'
     }
 });
 
-router.delete('/:eventoID/areas/:areaID', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+router.delete('/:eventoID/areas/:areaID', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID'), async (req, res) => {
     const { eventoID, areaID } = req.params;
 
     if (isNaN(parseInt(eventoID)) || parseInt(eventoID) <= 0 || isNaN(parseInt(areaID)) || parseInt(areaID) <= 0) {
@@ -291,6 +994,11 @@ router.delete('/:eventoID/areas/:areaID', authenticateToken, authorizeRoles(['OR
             await client.query('ROLLBACK');
             return res.status(404).json({ message: `Área con ID ${areaID} no encontrada o no pertenece al evento ${eventoID}.` });
         }
+        // The area is shared by every event held at the Lugar
+        if (!(await canManageLugar(client, req.user, areaCheck.rows[0].lugarid))) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Forbidden: the location of this event is used by events you do not organize; only an administrator can delete its areas.' });
+        }
 
         const deleteAreaResult = await client.query('DELETE FROM Area WHERE areaID = $1 RETURNING areaID', [areaID]);
         if (deleteAreaResult.rowCount === 0) {
@@ -312,16 +1020,12 @@ router.delete('/:eventoID/areas/:areaID', authenticateToken, authorizeRoles(['OR
         await client.query('COMMIT');
         
         const finalLayoutResponse = await client.query('SELECT configuracion FROM Croquis WHERE eventoID = $1', [eventoID]);
-        const finalSeatsResponse = await client.query(
-            'SELECT a.asientoID, a.codigo, a.fila, a.columna, a.estado, a.areaID AS areaid ' +
-            'FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID JOIN Evento e ON ar.lugarID = e.lugarID WHERE e.eventoID = $1 ORDER BY a.asientoID ASC',
-            [eventoID]
-        );
+        const finalSeats = await getEventSeats(client, eventoID);
         
         res.status(200).json({ 
             message: `Área ${areaID} y sus asientos asociados eliminados exitosamente.`,
             layoutConfig: finalLayoutResponse.rows[0] ? finalLayoutResponse.rows[0].configuracion : { tables: [] },
-            seats: finalSeatsResponse.rows
+            seats: finalSeats
         });
 
     } catch (error) {
@@ -333,9 +1037,305 @@ router.delete('/:eventoID/areas/:areaID', authenticateToken, authorizeRoles(['OR
     }
 });
 
+// Area Manager Routes (AreaManager: one organizer per area and event)
+// Loads the event and area and checks that the area belongs to the event's Lugar.
+// Returns { evento } or sends the error response and returns null.
+async function loadEventArea(req, res) {
+    const { eventoID, areaID } = req.params;
+
+    if (isNaN(parseInt(eventoID)) || parseInt(eventoID) <= 0 || isNaN(parseInt(areaID)) || parseInt(areaID) <= 0) {
+        res.status(400).json({ message: 'IDs de evento y área inválidos.' });
+        return null;
+    }
+
+    const eventResult = await pool.query('SELECT eventoID, nombre, lugarID, organizadorID FROM Evento WHERE eventoID = $1', [eventoID]);
+    if (eventResult.rows.length === 0) {
+        res.status(404).json({ message: 'Evento no encontrado.' });
+        return null;
+    }
+    const evento = eventResult.rows[0];
+
+    const areaResult = await pool.query('SELECT areaID, nombre FROM Area WHERE areaID = $1 AND lugarID = $2', [areaID, evento.lugarid]);
+    if (areaResult.rows.length === 0) {
+        res.status(404).json({ message: `Área con ID ${areaID} no encontrada o no pertenece al evento ${eventoID}.` });
+        return null;
+    }
+
+    // Only the event's organizer or an administrator can manage the staff of the event
+    if (req.user.role !== 'ADMINISTRADOR' && evento.organizadorid !== req.user.userId) {
+        res.status(403).json({ message: 'Forbidden: only the event organizer or an administrator can manage area assignments.' });
+        return null;
+    }
+
+    return { evento, area: areaResult.rows[0] };
+}
+
+// Validates the organizadorID of the body. Returns the parsed ID or sends the error response and returns null.
+async function validateManagerCandidate(req, res) {
+    const { organizadorID } = req.body;
+
+    if (organizadorID === undefined || isNaN(parseInt(organizadorID)) || parseInt(organizadorID) <= 0) {
+        res.status(400).json({ message: 'Un organizadorID válido es requerido.' });
+        return null;
+    }
+
+    const organizerCheck = await pool.query(
+        'SELECT o.usuarioID FROM Organizador o JOIN Usuario u ON o.usuarioID = u.usuarioID WHERE o.usuarioID = $1 AND u.estado = \'ACTIVO\'',
+        [organizadorID]
+    );
+    if (organizerCheck.rows.length === 0) {
+        res.status(400).json({ message: `El usuario ${organizadorID} no es un organizador activo.` });
+        return null;
+    }
+
+    return parseInt(organizadorID);
+}
+
+async function notifyAssignment(organizadorID, evento, area) {
+    await notifySafely(pool, {
+        usuarioID: organizadorID,
+        titulo: 'Nueva asignación de área',
+        mensaje: `Fuiste asignado como encargado del área "${area.nombre}" en el evento "${evento.nombre}".`,
+        tipo: 'SISTEMA'
+    });
+}
+
+// GET /api/eventos/:eventoID/areas/:areaID/manager - Current manager of the area for the event
+router.get('/:eventoID/areas/:areaID/manager', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { eventoID, areaID } = req.params;
+    try {
+        const context = await loadEventArea(req, res);
+        if (!context) return;
+
+        const result = await pool.query(
+            'SELECT am.*, u.nombre as organizadorNombre, u.correoElectronico as organizadorCorreo, o.departamento '
+            + 'FROM AreaManager am '
+            + 'JOIN Usuario u ON am.organizadorID = u.usuarioID '
+            + 'JOIN Organizador o ON am.organizadorID = o.usuarioID '
+            + 'WHERE am.areaID = $1 AND am.eventoID = $2',
+            [areaID, eventoID]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'El área no tiene un encargado asignado para este evento.' });
+        }
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error fetching manager for area ${areaID} of event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el encargado del área.' });
+    }
+});
+
+// POST /api/eventos/:eventoID/areas/:areaID/manager - Assign a manager (fails if the area already has one)
+router.post('/:eventoID/areas/:areaID/manager', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { eventoID, areaID } = req.params;
+    try {
+        const context = await loadEventArea(req, res);
+        if (!context) return;
+        const organizadorID = await validateManagerCandidate(req, res);
+        if (organizadorID === null) return;
+
+        const result = await pool.query(
+            'INSERT INTO AreaManager(areaID, organizadorID, eventoID) VALUES($1, $2, $3) RETURNING *',
+            [areaID, organizadorID, eventoID]
+        );
+        await notifyAssignment(organizadorID, context.evento, context.area);
+        res.status(201).json({ message: 'Encargado asignado exitosamente.', asignacion: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation on (areaID, eventoID)
+            return res.status(409).json({ message: 'El área ya tiene un encargado para este evento. Use PUT para reemplazarlo.' });
+        }
+        console.error(`Error assigning manager to area ${areaID} of event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al asignar el encargado.' });
+    }
+});
+
+// PUT /api/eventos/:eventoID/areas/:areaID/manager - Assign or replace the manager
+router.put('/:eventoID/areas/:areaID/manager', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { eventoID, areaID } = req.params;
+    try {
+        const context = await loadEventArea(req, res);
+        if (!context) return;
+        const organizadorID = await validateManagerCandidate(req, res);
+        if (organizadorID === null) return;
+
+        const result = await pool.query(
+            'INSERT INTO AreaManager(areaID, organizadorID, eventoID) VALUES($1, $2, $3) '
+            + 'ON CONFLICT (areaID, eventoID) DO UPDATE SET organizadorID = EXCLUDED.organizadorID '
+            + 'RETURNING *',
+            [areaID, organizadorID, eventoID]
+        );
+        await notifyAssignment(organizadorID, context.evento, context.area);
+        res.status(200).json({ message: 'Encargado del área actualizado exitosamente.', asignacion: result.rows[0] });
+    } catch (error) {
+        console.error(`Error replacing manager of area ${areaID} for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al reemplazar el encargado.' });
+    }
+});
+
+// DELETE /api/eventos/:eventoID/areas/:areaID/manager - Remove the manager of the area
+router.delete('/:eventoID/areas/:areaID/manager', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { eventoID, areaID } = req.params;
+    try {
+        const context = await loadEventArea(req, res);
+        if (!context) return;
+
+        const result = await pool.query(
+            'DELETE FROM AreaManager WHERE areaID = $1 AND eventoID = $2 RETURNING organizadorID',
+            [areaID, eventoID]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'El área no tiene un encargado asignado para este evento.' });
+        }
+        res.status(200).json({ message: 'Encargado removido exitosamente.' });
+    } catch (error) {
+        console.error(`Error removing manager of area ${areaID} for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al remover el encargado.' });
+    }
+});
+
+// Event Staff Routes (EventoPersonal: organizers who can modify an event they do not organize)
+// Only the event's organizer or an administrator manage the staff; staff cannot add more staff.
+
+// GET /api/eventos/:eventoID/personal - Staff of the event
+router.get('/:eventoID/personal', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID'), async (req, res) => {
+    const { eventoID } = req.params;
+    try {
+        const result = await pool.query(
+            'SELECT ep.eventoPersonalID, ep.organizadorID, u.nombre as organizadorNombre, u.correoElectronico as organizadorCorreo, '
+            + 'o.departamento, ep.asignadoPorID, ep.fechaAsignacion '
+            + 'FROM EventoPersonal ep '
+            + 'JOIN Usuario u ON ep.organizadorID = u.usuarioID '
+            + 'JOIN Organizador o ON ep.organizadorID = o.usuarioID '
+            + 'WHERE ep.eventoID = $1 ORDER BY u.nombre ASC',
+            [eventoID]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching staff of event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al obtener el personal del evento.' });
+    }
+});
+
+// POST /api/eventos/:eventoID/personal - Add an organizer to the staff of the event. Body: { organizadorID }
+router.post('/:eventoID/personal', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID', { ownerOnly: true }), async (req, res) => {
+    const { eventoID } = req.params;
+    try {
+        const organizadorID = await validateManagerCandidate(req, res);
+        if (organizadorID === null) return;
+        if (organizadorID === req.evento.organizadorid) {
+            return res.status(400).json({ message: 'El organizador del evento no necesita ser agregado como personal.' });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO EventoPersonal(eventoID, organizadorID, asignadoPorID, fechaAsignacion) VALUES($1, $2, $3, NOW()) RETURNING *',
+            [eventoID, organizadorID, req.user.userId]
+        );
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'MODIFICACION_EVENTO', `Personal agregado al evento (ID: ${eventoID})`, JSON.stringify({ eventoID: parseInt(eventoID, 10), organizadorID }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for event staff assignment:', activityLogError);
+        }
+        await notifySafely(pool, {
+            usuarioID: organizadorID,
+            titulo: 'Agregado al personal de un evento',
+            mensaje: `Fuiste agregado al personal del evento "${req.evento.nombre}". Ahora puedes modificarlo.`,
+            tipo: 'SISTEMA'
+        });
+
+        res.status(201).json({ message: 'Personal agregado exitosamente.', personal: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation on (eventoID, organizadorID)
+            return res.status(409).json({ message: 'El organizador ya forma parte del personal de este evento.' });
+        }
+        console.error(`Error adding staff to event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al agregar personal al evento.' });
+    }
+});
+
+// DELETE /api/eventos/:eventoID/personal/:organizadorID - Remove an organizer from the staff of the event
+router.delete('/:eventoID/personal/:organizadorID', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID', { ownerOnly: true }), async (req, res) => {
+    const { eventoID, organizadorID } = req.params;
+
+    if (isNaN(organizadorID) || parseInt(organizadorID, 10) <= 0) {
+        return res.status(400).json({ message: 'Un organizadorID válido es requerido.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM EventoPersonal WHERE eventoID = $1 AND organizadorID = $2 RETURNING eventoPersonalID',
+            [eventoID, organizadorID]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'El organizador no forma parte del personal de este evento.' });
+        }
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'MODIFICACION_EVENTO', `Personal removido del evento (ID: ${eventoID})`, JSON.stringify({ eventoID: parseInt(eventoID, 10), organizadorID: parseInt(organizadorID, 10) }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for event staff removal:', activityLogError);
+        }
+
+        res.status(200).json({ message: 'Personal removido exitosamente.' });
+    } catch (error) {
+        console.error(`Error removing staff ${organizadorID} from event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error interno del servidor al remover personal del evento.' });
+    }
+});
+
+// GET /api/eventos/:eventoID/asistentes - Ticket holders of the event
+// Area managers only see the attendees seated in the areas they manage.
+router.get('/:eventoID/asistentes', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { eventoID } = req.params;
+
+    if (isNaN(parseInt(eventoID)) || parseInt(eventoID) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    try {
+        const scope = await getAreaScope(pool, req.user, eventoID);
+        if (!scope) {
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        if (!scope.unrestricted && scope.areaIDs.length === 0) {
+            return res.status(403).json({ message: 'Forbidden: you are not assigned to any area of this event.' });
+        }
+
+        const params = [eventoID];
+        let areaFilter = '';
+        if (!scope.unrestricted) {
+            params.push(scope.areaIDs);
+            areaFilter = 'AND a.areaID = ANY($2::int[]) ';
+        }
+
+        const result = await pool.query(
+            'SELECT b.boletoID, b.estado, b.fechaCompra, b.usuarioID, u.nombre as usuarioNombre, u.correoElectronico as usuarioCorreo, '
+            + 'b.asientoID, a.codigo as asientoCodigo, a.areaID as areaid, ar.nombre as areaNombre '
+            + 'FROM Boleto b '
+            + 'JOIN Usuario u ON b.usuarioID = u.usuarioID '
+            + 'LEFT JOIN Asiento a ON b.asientoID = a.asientoID '
+            + 'LEFT JOIN Area ar ON a.areaID = ar.areaID '
+            + 'WHERE b.eventoID = $1 '
+            + areaFilter
+            + 'ORDER BY ar.nombre ASC, a.codigo ASC, u.nombre ASC',
+            params
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching attendees for event ${eventoID}:`, error);
+        res.status(500).json({ message: `Error fetching attendees for event ${eventoID}` });
+    }
+});
+
 // El endpoint POST /:eventoID/asientos se mantiene por si se usa en otro lugar,
 // pero la lógica principal de creación de asientos para el croquis ahora está en PUT /:eventoID/layout
-router.post('/:eventoID/asientos', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+router.post('/:eventoID/asientos', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), authorizeEventAccess('eventoID'), async (req, res) => {
     const { eventoID } = req.params;
     const { codigo, fila, columna, estado, areaID } = req.body; 
 
@@ -345,9 +1345,8 @@ router.post('/:eventoID/asientos', authenticateToken, authorizeRoles(['ORGANIZAD
     if (areaID === undefined || isNaN(parseInt(areaID)) || parseInt(areaID) <= 0) {
         return res.status(400).json({ message: 'Un areaID válido es requerido.' });
     }
-    const validSeatStates = ['DISPONIBLE', 'OCUPADO', 'RESERVADO', 'BLOQUEADO']; 
-    if (!estado || !validSeatStates.includes(estado.toUpperCase())) {
-        return res.status(400).json({ message: `Estado de asiento inválido. Use uno de: ${validSeatStates.join(', ')}.` });
+    if (!estado || typeof estado !== 'string' || !manualSeatStates.includes(estado.toUpperCase())) {
+        return res.status(400).json({ message: `Estado de asiento inválido. Use uno de: ${manualSeatStates.join(', ')}.` });
     }
 
     const client = await pool.connect();
@@ -366,17 +1365,29 @@ router.post('/:eventoID/asientos', authenticateToken, authorizeRoles(['ORGANIZAD
             await client.query('ROLLBACK');
             return res.status(400).json({ message: `El área con ID ${areaID} no existe o no pertenece al lugar del evento.` });
         }
+        if (!(await canManageLugar(client, req.user, lugarIDDelEvento))) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Forbidden: the location of this event is used by events you do not organize; only an administrator can add seats to it.' });
+        }
+        const capacityErrors = await checkSeatCapacity(client, parseInt(areaID), 1);
+        if (capacityErrors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: capacityErrors });
+        }
 
+        // The seat is physically available; the requested estado only applies to this event
         const insertQuery = `
             INSERT INTO Asiento (codigo, fila, columna, estado, areaID)
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING asientoID, codigo, fila, columna, estado, areaID;
+            VALUES ($1, $2, $3, 'DISPONIBLE', $4)
+            RETURNING asientoID, codigo, fila, columna, areaID;
         `;
         const parsedFila = (fila !== undefined && !isNaN(parseInt(fila))) ? parseInt(fila) : null;
         const parsedColumna = (columna !== undefined && !isNaN(parseInt(columna))) ? parseInt(columna) : null;
 
-        const result = await client.query(insertQuery, [codigo.trim(), parsedFila, parsedColumna, estado.toUpperCase(), parseInt(areaID)]);
-        const nuevoAsiento = result.rows[0];
+        const result = await client.query(insertQuery, [codigo.trim(), parsedFila, parsedColumna, parseInt(areaID)]);
+        const nuevoAsiento = { ...result.rows[0], estado: estado.toUpperCase() };
+        await addSeatsToInventories(client, [nuevoAsiento.asientoid]);
+        await setEventSeatState(client, eventoID, [nuevoAsiento.asientoid], nuevoAsiento.estado);
 
         await client.query('COMMIT');
         res.status(201).json(nuevoAsiento);
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const { sendMail } = require('../services/mailer');
+
+// Organizer and administrator accounts are only created through invitations (public registration creates attendees).
+const INVITATION_DAYS = parseInt(process.env.INVITATION_DAYS, 10) || 7;
+const MAX_INVITATION_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const validInvitationRoles = ['ORGANIZADOR', 'ADMINISTRADOR'];
+// EXPIRADA is not stored: it is a PENDIENTE invitation past its fechaExpiracion
+const validInvitationStates = ['PENDIENTE', 'ACEPTADA', 'REVOCADA', 'EXPIRADA'];
+
+// Only the SHA-256 of the invitation token is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function logInvitationActivity(usuarioID, descripcion, detalles, direccionIP) {
+    try {
+        await pool.query(
+            'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+            [usuarioID, 'OTRO', descripcion, JSON.stringify(detalles), direccionIP]
+        );
+    } catch (activityLogError) {
+        console.error('Error logging activity for invitation:', activityLogError);
+        // Continue with the invitation success even if activity logging fails
+    }
+}
+
+async function sendInvitationEmail(invitacion, token) {
+    const acceptUrl = `${process.env.APP_BASE_URL || ''}/aceptar-invitacion?token=${token}`;
+    const rol = invitacion.nivelpermiso === 'ADMINISTRADOR' ? 'administrador' : 'organizador';
+    await sendMail({
+        to: invitacion.correoelectronico,
+        subject: 'Invitación a GEventos',
+        text: `Hola,\n\nTe invitaron a unirte a GEventos como ${rol}`
+            + (invitacion.departamento ? ` del departamento ${invitacion.departamento}` : '') + '.\n'
+            + `Crea tu cuenta abriendo el siguiente enlace (válido hasta ${new Date(invitacion.fechaexpiracion).toISOString()}):\n${acceptUrl}\n\n`
+            + `Código de invitación: ${token}\n\nSi no esperabas esta invitación, ignora este mensaje.`
+    });
+}
+
+// Columns returned to administrators (never the token hash)
+const invitationColumns = 'i.invitacionID, i.correoElectronico, i.nivelPermiso, i.departamento, '
+    + 'CASE WHEN i.estado = \'PENDIENTE\' AND i.fechaExpiracion <= NOW() THEN \'EXPIRADA\' ELSE i.estado::text END AS estado, '
+    + 'i.invitadoPorID, inv.nombre AS invitadoPorNombre, i.usuarioID, i.fechaCreacion, i.fechaExpiracion, i.fechaAceptacion, i.fechaRevocacion';
+
+// POST /api/invitaciones - Invite someone to create an organizer or administrator account (Admin only)
+// Body: { correoElectronico, role: 'ORGANIZADOR' | 'ADMINISTRADOR', nivelPermiso? (defaults to role), departamento?, diasValidez? }
+// A new invitation for the same email replaces the pending one.
+router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { correoElectronico, role, nivelPermiso, departamento, diasValidez } = req.body;
+    const errors = [];
+
+    if (!correoElectronico || typeof correoElectronico !== 'string' || !/\S+@\S+\.\S+/.test(correoElectronico)) {
+        errors.push('El email es obligatorio y debe tener un formato válido.');
+    }
+    if (!role || typeof role !== 'string' || !validInvitationRoles.includes(role.toUpperCase())) {
+        errors.push(`El rol es obligatorio y debe ser uno de los siguientes: ${validInvitationRoles.join(', ')}.`);
+    }
+    // Organizador.nivelPermiso is what determines the role, so both must agree
+    if (nivelPermiso !== undefined && nivelPermiso !== null
+        && (typeof nivelPermiso !== 'string' || typeof role !== 'string' || nivelPermiso.toUpperCase() !== role.toUpperCase())) {
+        errors.push('nivelPermiso debe coincidir con el rol de la invitación.');
+    }
+    if (departamento !== undefined && departamento !== null && (typeof departamento !== 'string' || departamento.length > 50)) {
+        errors.push('Si se proporciona departamento, debe ser una cadena de máximo 50 caracteres.');
+    }
+    if (diasValidez !== undefined && (!Number.isInteger(diasValidez) || diasValidez < 1 || diasValidez > MAX_INVITATION_DAYS)) {
+        errors.push(`diasValidez debe ser un entero entre 1 y ${MAX_INVITATION_DAYS}.`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    const correo = correoElectronico.trim();
+    const nivel = role.toUpperCase();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    let client;
+    let invitacion;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const userCheck = await client.query('SELECT usuarioID FROM Usuario WHERE correoElectronico = $1', [correo]);
+        if (userCheck.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: 'Email already registered' });
+        }
+
+        await client.query(
+            'UPDATE Invitacion SET estado = \'REVOCADA\', fechaRevocacion = NOW() WHERE correoElectronico = $1 AND estado = \'PENDIENTE\'',
+            [correo]
+        );
+        const insertResult = await client.query(
+            'INSERT INTO Invitacion(correoElectronico, nivelPermiso, departamento, tokenHash, estado, invitadoPorID, fechaCreacion, fechaExpiracion) '
+            + 'VALUES($1, $2, $3, $4, \'PENDIENTE\', $5, NOW(), NOW() + make_interval(days => $6)) '
+            + 'RETURNING invitacionID, correoElectronico, nivelPermiso, departamento, estado, fechaCreacion, fechaExpiracion',
+            [correo, nivel, departamento || null, hashToken(token), req.user.userId, diasValidez || INVITATION_DAYS]
+        );
+        invitacion = insertResult.rows[0];
+
+        await client.query('COMMIT');
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('Error creating invitation:', error);
+        return res.status(500).json({ message: 'Error creating invitation' });
+    } finally {
+        if (client) client.release();
+    }
+
+    await logInvitationActivity(req.user.userId, `Invitación creada para ${invitacion.correoelectronico} (Rol: ${nivel})`,
+        { invitacionID: invitacion.invitacionid, correoElectronico: invitacion.correoelectronico, nivelPermiso: nivel, departamento: invitacion.departamento }, req.ip);
+
+    // The invitation is valid even if the email cannot be sent now; the admin can issue a new one
+    let correoEnviado = true;
+    try {
+        await sendInvitationEmail(invitacion, token);
+    } catch (mailError) {
+        correoEnviado = false;
+        console.error('Error sending invitation email:', mailError);
+    }
+
+    res.status(201).json({ message: 'Invitation created successfully', invitacion, correoEnviado });
+});
+
+// GET /api/invitaciones - List invitations (Admin only). Query: estado? (PENDIENTE, ACEPTADA, REVOCADA, EXPIRADA), correoElectronico?
+router.get('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { estado, correoElectronico } = req.query;
+
+    if (estado !== undefined && !validInvitationStates.includes(String(estado).toUpperCase())) {
+        return res.status(400).json({ message: `estado debe ser uno de: ${validInvitationStates.join(', ')}.` });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (estado !== undefined) {
+        const estadoFiltro = String(estado).toUpperCase();
+        if (estadoFiltro === 'EXPIRADA') {
+            conditions.push('i.estado = \'PENDIENTE\' AND i.fechaExpiracion <= NOW()');
+        } else if (estadoFiltro === 'PENDIENTE') {
+            conditions.push('i.estado = \'PENDIENTE\' AND i.fechaExpiracion > NOW()');
+        } else {
+            params.push(estadoFiltro);
+            conditions.push(`i.estado = $${params.length}`);
+        }
+    }
+    if (correoElectronico !== undefined) {
+        params.push(String(correoElectronico).trim());
+        conditions.push(`i.correoElectronico = $${params.length}`);
+    }
+
+    try {
+        const result = await pool.query(
+            `SELECT ${invitationColumns} FROM Invitacion i LEFT JOIN Usuario inv ON i.invitadoPorID = inv.usuarioID `
+            + (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')} ` : '')
+            + 'ORDER BY i.fechaCreacion DESC',
+            params
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ message: 'Error fetching invitations' });
+    }
+});
+
+// PUT /api/invitaciones/:id/revocar - Revoke a pending invitation (Admin only)
+router.put('/:id/revocar', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const invitacionID = req.params.id;
+
+    if (isNaN(invitacionID) || parseInt(invitacionID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid invitation ID provided.' });
+    }
+
+    try {
+        const updateResult = await pool.query(
+            'UPDATE Invitacion SET estado = \'REVOCADA\', fechaRevocacion = NOW() '
+            + 'WHERE invitacionID = $1 AND estado = \'PENDIENTE\' RETURNING invitacionID, correoElectronico, estado, fechaRevocacion',
+            [invitacionID]
+        );
+        if (updateResult.rows.length === 0) {
+            const existing = await pool.query('SELECT estado FROM Invitacion WHERE invitacionID = $1', [invitacionID]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ message: 'Invitation not found.' });
+            }
+            return res.status(409).json({ message: `Only pending invitations can be revoked (current state: ${existing.rows[0].estado}).` });
+        }
+
+        const invitacion = updateResult.rows[0];
+        await logInvitationActivity(req.user.userId, `Invitación revocada para ${invitacion.correoelectronico}`,
+            { invitacionID: invitacion.invitacionid }, req.ip);
+
+        res.status(200).json({ message: 'Invitation revoked successfully', invitacion });
+    } catch (error) {
+        console.error(`Error revoking invitation ${invitacionID}:`, error);
+        res.status(500).json({ message: `Error revoking invitation ${invitacionID}` });
+    }
+});
+
+// POST /api/invitaciones/aceptar - Create the invited account (public: the token is the credential)
+// Body: { token, nombre, contraseña, telefono? }. The email comes from the invitation, so the account starts ACTIVO.
+router.post('/aceptar', async (req, res) => {
+    const { token, nombre, contraseña, telefono } = req.body;
+    const errors = [];
+
+    if (!token || typeof token !== 'string') {
+        errors.push('El token de invitación es obligatorio.');
+    }
+    if (!nombre || typeof nombre !== 'string' || nombre.trim() === '') {
+        errors.push('El nombre es obligatorio y debe ser una cadena no vacía.');
+    }
+    if (!contraseña || typeof contraseña !== 'string' || contraseña.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`La contraseña es obligatoria y debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`);
+    }
+    if (telefono !== undefined && telefono !== null && typeof telefono !== 'string') {
+        errors.push('Si se proporciona telefono, debe ser una cadena.');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(contraseña, 10);
+
+        const client = await pool.connect();
+        let invitacion;
+        let newUserId;
+        try {
+            await client.query('BEGIN');
+
+            // Locking the row makes the token single-use even with concurrent requests
+            const invitationResult = await client.query(
+                'SELECT invitacionID, correoElectronico, nivelPermiso, departamento, invitadoPorID FROM Invitacion '
+                + 'WHERE tokenHash = $1 AND estado = \'PENDIENTE\' AND fechaExpiracion > NOW() FOR UPDATE',
+                [hashToken(token)]
+            );
+            invitacion = invitationResult.rows[0];
+            if (!invitacion) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'Invalid or expired invitation' });
+            }
+
+            const userCheck = await client.query('SELECT usuarioID FROM Usuario WHERE correoElectronico = $1', [invitacion.correoelectronico]);
+            if (userCheck.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: 'Email already registered' });
+            }
+
+            const userInsertResult = await client.query(
+                'INSERT INTO Usuario(nombre, correoElectronico, contraseñaHash, telefono, estado, fechaCreacion, fechaModificacion) VALUES($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING usuarioID',
+                [nombre.trim(), invitacion.correoelectronico, hashedPassword, telefono || null, 'ACTIVO']
+            );
+            newUserId = userInsertResult.rows[0].usuarioid;
+
+            // Both ORGANIZADOR and ADMINISTRADOR roles are stored in the Organizador table with different nivelPermiso
+            await client.query(
+                'INSERT INTO Organizador(usuarioID, departamento, nivelPermiso) VALUES($1, $2, $3)',
+                [newUserId, invitacion.departamento, invitacion.nivelpermiso]
+            );
+            await client.query(
+                'UPDATE Invitacion SET estado = \'ACEPTADA\', usuarioID = $1, fechaAceptacion = NOW() WHERE invitacionID = $2',
+                [newUserId, invitacion.invitacionid]
+            );
+
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK');
+            if (e.code === '23505') { // Unique violation: the email was registered in the meantime
+                return res.status(409).json({ message: 'Email already registered' });
+            }
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        await logInvitationActivity(newUserId, `Invitación aceptada: cuenta ${invitacion.nivelpermiso} creada para ${invitacion.correoelectronico}`,
+            { invitacionID: invitacion.invitacionid, nivelPermiso: invitacion.nivelpermiso, invitadoPorID: invitacion.invitadoporid }, req.ip);
+
+        res.status(201).json({ message: 'Account created successfully. You can now log in.', userId: newUserId, role: invitacion.nivelpermiso });
+    } catch (error) {
+        console.error('Server error accepting invitation:', error);
+        res.status(500).json({ message: 'Server error accepting invitation' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const { jobTypes } = require('../services/jobHandlers');
+
+// Background Job Routes (Admin only)
+// Jobs are run by services/jobRunner.js; these routes only inspect them and schedule manual re-runs.
+
+const validJobStates = ['PENDIENTE', 'EN_EJECUCION', 'COMPLETADO', 'FALLIDO'];
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// GET /api/trabajos - List jobs, most recent first
+// Filters: estado, tipo, conError=true (jobs whose last run failed, including recurring jobs that were rescheduled), limite.
+router.get('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { estado, tipo, conError, limite } = req.query;
+    const errors = [];
+    const conditions = [];
+    const params = [];
+
+    if (estado !== undefined) {
+        if (!validJobStates.includes(String(estado).toUpperCase())) {
+            errors.push(`estado debe ser uno de: ${validJobStates.join(', ')}.`);
+        } else {
+            params.push(String(estado).toUpperCase());
+            conditions.push(`estado = $${params.length}`);
+        }
+    }
+    if (tipo !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(jobTypes, String(tipo).toUpperCase())) {
+            errors.push(`tipo debe ser uno de: ${Object.keys(jobTypes).join(', ')}.`);
+        } else {
+            params.push(String(tipo).toUpperCase());
+            conditions.push(`tipo = $${params.length}`);
+        }
+    }
+    if (conError !== undefined) {
+        if (conError !== 'true' && conError !== 'false') {
+            errors.push('conError debe ser true o false.');
+        } else if (conError === 'true') {
+            // Failed on its last run: FALLIDO, waiting for a retry, or a recurring job that has not succeeded since
+            conditions.push('fechaUltimoError IS NOT NULL AND (fechaFin IS NULL OR fechaUltimoError >= fechaFin OR estado = \'FALLIDO\')');
+        }
+    }
+    const limit = limite === undefined ? DEFAULT_LIST_LIMIT : parseInt(limite, 10);
+    if (isNaN(limit) || limit <= 0 || limit > MAX_LIST_LIMIT) {
+        errors.push(`limite debe ser un número entero entre 1 y ${MAX_LIST_LIMIT}.`);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    params.push(limit);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')} ` : '';
+    try {
+        const result = await pool.query(
+            `SELECT * FROM Trabajo ${whereClause}ORDER BY trabajoID DESC LIMIT $${params.length}`,
+            params
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching background jobs:', error);
+        res.status(500).json({ message: 'Error fetching jobs' });
+    }
+});
+
+// GET /api/trabajos/:id - Get a job, including its last result and error
+router.get('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const trabajoID = req.params.id;
+    if (isNaN(trabajoID) || parseInt(trabajoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid job ID provided.' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM Trabajo WHERE trabajoID = $1', [trabajoID]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+        res.status(200).json(result.rows[0]);
+    } catch (error) {
+        console.error(`Error fetching job ${trabajoID}:`, error);
+        res.status(500).json({ message: `Error fetching job with ID ${trabajoID}` });
+    }
+});
+
+// POST /api/trabajos/:id/ejecutar - Run a job again as soon as possible
+// Works for any job that is not running: failed and completed one-off jobs, and recurring jobs before their next run.
+// A completed REEMBOLSAR_PAGO job already sent its money back, so it is never run again. The attempts counter is reset.
+router.post('/:id/ejecutar', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const trabajoID = req.params.id;
+    if (isNaN(trabajoID) || parseInt(trabajoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid job ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE Trabajo SET estado = \'PENDIENTE\', intentos = 0, programadoPara = NOW() '
+            + 'WHERE trabajoID = $1 AND NOT (estado = \'EN_EJECUCION\' AND bloqueadoHasta > NOW()) '
+            + 'AND NOT (tipo = \'REEMBOLSAR_PAGO\' AND estado = \'COMPLETADO\') '
+            + 'RETURNING *',
+            [trabajoID]
+        );
+        if (result.rows.length === 0) {
+            const existing = await pool.query('SELECT tipo, estado FROM Trabajo WHERE trabajoID = $1', [trabajoID]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ message: 'Job not found' });
+            }
+            if (existing.rows[0].tipo === 'REEMBOLSAR_PAGO' && existing.rows[0].estado === 'COMPLETADO') {
+                return res.status(409).json({ message: 'The refund was already sent to the payment provider' });
+            }
+            return res.status(409).json({ message: 'The job is running right now' });
+        }
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'OTRO', `Trabajo re-ejecutado (ID: ${trabajoID})`, JSON.stringify({ trabajoID: parseInt(trabajoID, 10), tipo: result.rows[0].tipo }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for job re-run:', activityLogError);
+        }
+
+        res.status(200).json({ message: 'Job scheduled to run again', trabajo: result.rows[0] });
+    } catch (error) {
+        console.error(`Error re-running job ${trabajoID}:`, error);
+        res.status(500).json({ message: `Error re-running job with ID ${trabajoID}` });
+    }
+});
+
+module.exports = router;
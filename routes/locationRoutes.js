@@ -3,6 +3,21 @@ const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const { getVenueAvailability } = require('../services/venueSchedule');
+const { checkLugarCapacity, getLugarCapacitySummary } = require('../services/capacity');
+
+const MAX_MARGIN_MINUTES = 24 * 60;
+const MAX_AVAILABILITY_DAYS = 31;
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// margenMinutos is optional: undefined keeps the current value (or the default of 0 on creation).
+function validateMargin(margenMinutos, errors) {
+    if (margenMinutos === undefined) return;
+    if (margenMinutos === null || margenMinutos === '' || !Number.isInteger(Number(margenMinutos))
+        || Number(margenMinutos) < 0 || Number(margenMinutos) > MAX_MARGIN_MINUTES) {
+        errors.push(`Si se proporciona margenMinutos, debe ser un número entero entre 0 y ${MAX_MARGIN_MINUTES}.`);
+    }
+}
 
 // Lugar (Location) API Routes
 // GET /api/lugares - Get all locations (accessible to authenticated users who need to select a location)
@@ -40,9 +55,71 @@ router.get('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
     }
 });
 
+// GET /api/lugares/:id/disponibilidad - Booked and free time slots of a location
+// Query: desde (YYYY-MM-DD, default today) and hasta (default desde), at most 31 days.
+// Booked slots include the setup/teardown buffer of the location; an event that fits in a free slot does not conflict.
+router.get('/:id/disponibilidad', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const lugarID = req.params.id;
+    if (isNaN(lugarID) || parseInt(lugarID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid location ID provided.' });
+    }
+
+    const desde = req.query.desde === undefined ? new Date().toISOString().slice(0, 10) : req.query.desde;
+    const hasta = req.query.hasta === undefined ? desde : req.query.hasta;
+    const errors = [];
+    if (typeof desde !== 'string' || !dateRegex.test(desde) || isNaN(Date.parse(desde))) {
+        errors.push('desde debe tener el formato YYYY-MM-DD.');
+    }
+    if (typeof hasta !== 'string' || !dateRegex.test(hasta) || isNaN(Date.parse(hasta))) {
+        errors.push('hasta debe tener el formato YYYY-MM-DD.');
+    }
+    if (errors.length === 0) {
+        const days = (Date.parse(hasta) - Date.parse(desde)) / (24 * 60 * 60 * 1000) + 1;
+        if (days < 1) {
+            errors.push('hasta no puede ser anterior a desde.');
+        } else if (days > MAX_AVAILABILITY_DAYS) {
+            errors.push(`El rango no puede superar ${MAX_AVAILABILITY_DAYS} días.`);
+        }
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    try {
+        const availability = await getVenueAvailability(pool, parseInt(lugarID, 10), desde, hasta);
+        if (!availability) {
+            return res.status(404).json({ message: 'Location not found' });
+        }
+        res.status(200).json(availability);
+    } catch (error) {
+        console.error(`Error fetching availability of lugar ${lugarID}:`, error);
+        res.status(500).json({ message: `Error fetching availability of lugar with ID ${lugarID}` });
+    }
+});
+
+// GET /api/lugares/:id/capacidad - Configured, seated and sold counts of a location
+// Shows the capacity of the location, of each area and its seats, and the sales of its upcoming events.
+router.get('/:id/capacidad', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const lugarID = req.params.id;
+    if (isNaN(lugarID) || parseInt(lugarID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid location ID provided.' });
+    }
+
+    try {
+        const summary = await getLugarCapacitySummary(pool, parseInt(lugarID, 10));
+        if (!summary) {
+            return res.status(404).json({ message: 'Location not found' });
+        }
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error(`Error fetching capacity summary of lugar ${lugarID}:`, error);
+        res.status(500).json({ message: `Error fetching capacity of lugar with ID ${lugarID}` });
+    }
+});
+
 // POST /api/lugares - Create a new location (Admin only)
 router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
-    const { nombre, direccion, capacidadMaxima, descripcion } = req.body;
+    const { nombre, direccion, capacidadMaxima, descripcion, margenMinutos } = req.body;
 
     // Refined Validations for location creation
     const errors = [];
@@ -60,6 +137,7 @@ router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (re
     if (descripcion !== undefined && descripcion !== null && typeof descripcion !== 'string') {
          errors.push('Descripción debe ser una cadena o nulo.');
     }
+    validateMargin(margenMinutos, errors);
 
     if (errors.length > 0) {
         return res.status(400).json({ messages: errors });
@@ -71,8 +149,8 @@ router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (re
     try {
         // Insert new location
         const result = await pool.query(
-            'INSERT INTO Lugar(nombre, direccion, capacidadMaxima, descripcion) VALUES($1, $2, $3, $4) RETURNING lugarID',
-            [nombre, direccion, parsedCapacidadMaxima, descripcion]
+            'INSERT INTO Lugar(nombre, direccion, capacidadMaxima, descripcion, margenMinutos) VALUES($1, $2, $3, $4, $5) RETURNING lugarID',
+            [nombre, direccion, parsedCapacidadMaxima, descripcion, margenMinutos === undefined ? 0 : Number(margenMinutos)]
         );
 
         const newLugarId = result.rows[0].lugarid; // Lowercase as returned by pg
@@ -88,7 +166,7 @@ router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (re
 // PUT /api/lugares/:id - Update a specific location by ID (Admin only)
 router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
     const lugarID = req.params.id;
-    const { nombre, direccion, capacidadMaxima, descripcion } = req.body;
+    const { nombre, direccion, capacidadMaxima, descripcion, margenMinutos } = req.body;
 
     // Refined Validations for location update
     const errors = [];
@@ -106,6 +184,7 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
     if (descripcion !== undefined && descripcion !== null && typeof descripcion !== 'string') {
          errors.push('Descripción debe ser una cadena o nulo.');
     }
+    validateMargin(margenMinutos, errors);
 
     if (errors.length > 0) {
         return res.status(400).json({ messages: errors });
@@ -114,12 +193,25 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
     // Convert capacity to integer
     const parsedCapacidadMaxima = parseInt(capacidadMaxima, 10);
 
+    let client;
     try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        // The location must still hold its areas and its upcoming events
+        const capacityErrors = await checkLugarCapacity(client, lugarID, parsedCapacidadMaxima);
+        if (capacityErrors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: capacityErrors });
+        }
+
         // Update location
-        const result = await pool.query(
-            'UPDATE Lugar SET nombre = $1, direccion = $2, capacidadMaxima = $3, descripcion = $4 WHERE lugarID = $5 RETURNING lugarID',
-            [nombre, direccion, parsedCapacidadMaxima, descripcion, lugarID]
+        const result = await client.query(
+            'UPDATE Lugar SET nombre = $1, direccion = $2, capacidadMaxima = $3, descripcion = $4, margenMinutos = COALESCE($6, margenMinutos) '
+            + 'WHERE lugarID = $5 RETURNING lugarID',
+            [nombre, direccion, parsedCapacidadMaxima, descripcion, lugarID, margenMinutos === undefined ? null : Number(margenMinutos)]
         );
+        await client.query('COMMIT');
 
         if (result.rows.length > 0) {
             res.status(200).json({ message: 'Location updated successfully', lugarId: result.rows[0].lugarid });
@@ -128,8 +220,11 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
         }
 
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error('Error updating lugar:', error);
         res.status(500).json({ message: 'Error updating lugar' });
+    } finally {
+        if (client) client.release();
     }
 });
 
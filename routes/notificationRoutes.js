@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+
+// Notificacion API Routes
+// Every route works on the notifications of the authenticated user only.
+
+// GET /api/notificaciones - List the user's notifications (paged, optional unread filter)
+// Query params: page (default 1), limit (default 20, max 100), noLeidas=true to return only unread ones
+router.get('/', authenticateToken, async (req, res) => {
+    const usuarioID = req.user.userId;
+    const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    const soloNoLeidas = req.query.noLeidas === 'true';
+
+    if (isNaN(page) || page <= 0) {
+        return res.status(400).json({ message: 'page debe ser un número entero positivo.' });
+    }
+    if (isNaN(limit) || limit <= 0 || limit > 100) {
+        return res.status(400).json({ message: 'limit debe ser un número entero entre 1 y 100.' });
+    }
+
+    const whereClause = soloNoLeidas ? 'WHERE usuarioID = $1 AND leida = FALSE' : 'WHERE usuarioID = $1';
+
+    try {
+        const countResult = await pool.query(
+            'SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE leida = FALSE)::int AS noleidas '
+            + `FROM Notificacion ${whereClause}`,
+            [usuarioID]
+        );
+        const result = await pool.query(
+            `SELECT * FROM Notificacion ${whereClause} `
+            + 'ORDER BY fecha DESC, notificacionID DESC LIMIT $2 OFFSET $3',
+            [usuarioID, limit, (page - 1) * limit]
+        );
+
+        const { total, noleidas } = countResult.rows[0];
+        res.status(200).json({
+            notificaciones: result.rows,
+            total: total,
+            noLeidas: noleidas,
+            page: page,
+            limit: limit,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        console.error(`Error fetching notifications for user ${usuarioID}:`, error);
+        res.status(500).json({ message: 'Error fetching notifications' });
+    }
+});
+
+// PUT /api/notificaciones/leidas - Mark all the user's notifications as read
+router.put('/leidas', authenticateToken, async (req, res) => {
+    const usuarioID = req.user.userId;
+
+    try {
+        const result = await pool.query(
+            'UPDATE Notificacion SET leida = TRUE WHERE usuarioID = $1 AND leida = FALSE',
+            [usuarioID]
+        );
+        res.status(200).json({ message: 'Notifications marked as read', updated: result.rowCount });
+    } catch (error) {
+        console.error(`Error marking notifications as read for user ${usuarioID}:`, error);
+        res.status(500).json({ message: 'Error marking notifications as read' });
+    }
+});
+
+// PUT /api/notificaciones/:id/leida - Mark a single notification as read
+router.put('/:id/leida', authenticateToken, async (req, res) => {
+    const notificacionID = req.params.id;
+    const usuarioID = req.user.userId;
+
+    if (isNaN(notificacionID) || parseInt(notificacionID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid notification ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE Notificacion SET leida = TRUE WHERE notificacionID = $1 AND usuarioID = $2 RETURNING *',
+            [notificacionID, usuarioID]
+        );
+
+        if (result.rows.length > 0) {
+            res.status(200).json(result.rows[0]);
+        } else {
+            res.status(404).json({ message: 'Notification not found' });
+        }
+    } catch (error) {
+        console.error(`Error marking notification ${notificacionID} as read:`, error);
+        res.status(500).json({ message: `Error marking notification ${notificacionID} as read` });
+    }
+});
+
+// DELETE /api/notificaciones/:id - Delete a single notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+    const notificacionID = req.params.id;
+    const usuarioID = req.user.userId;
+
+    if (isNaN(notificacionID) || parseInt(notificacionID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid notification ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM Notificacion WHERE notificacionID = $1 AND usuarioID = $2 RETURNING notificacionID',
+            [notificacionID, usuarioID]
+        );
+
+        if (result.rows.length > 0) {
+            res.status(200).json({ message: 'Notification deleted successfully' });
+        } else {
+            res.status(404).json({ message: 'Notification not found' });
+        }
+    } catch (error) {
+        console.error(`Error deleting notification ${notificacionID}:`, error);
+        res.status(500).json({ message: `Error deleting notification ${notificacionID}` });
+    }
+});
+
+// DELETE /api/notificaciones - Delete the user's notifications (?soloLeidas=true keeps the unread ones)
+router.delete('/', authenticateToken, async (req, res) => {
+    const usuarioID = req.user.userId;
+    const soloLeidas = req.query.soloLeidas === 'true';
+
+    try {
+        const result = await pool.query(
+            soloLeidas
+                ? 'DELETE FROM Notificacion WHERE usuarioID = $1 AND leida = TRUE'
+                : 'DELETE FROM Notificacion WHERE usuarioID = $1',
+            [usuarioID]
+        );
+        res.status(200).json({ message: 'Notifications deleted successfully', deleted: result.rowCount });
+    } catch (error) {
+        console.error(`Error deleting notifications for user ${usuarioID}:`, error);
+        res.status(500).json({ message: 'Error deleting notifications' });
+    }
+});
+
+module.exports = router;
@@ -2,78 +2,517 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const { DEFAULT_PROVIDER, getGateway } = require('../services/paymentGateways');
+const mockGateway = require('../services/paymentGateways/mockGateway');
+const { PAYMENT_SESSION_MINUTES, applyPaymentResult } = require('../services/paymentService');
+const { signTicket } = require('../services/ticketToken');
+const { getEventAccess } = require('../services/eventAccess');
+const { lockEventSeats, setEventSeatState } = require('../services/seatInventory');
+
+// Payment Method Routes (MetodoPago)
+// GET /metodos/activos - Active payment methods for checkout (public)
+router.get('/metodos/activos', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT metodoPagoID, nombre, descripcion FROM MetodoPago WHERE activo = TRUE ORDER BY nombre ASC'
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching active payment methods:', error);
+        res.status(500).json({ message: 'Error fetching payment methods' });
+    }
+});
+
+// GET /metodos - All payment methods, active or not (Admin only)
+router.get('/metodos', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM MetodoPago ORDER BY nombre ASC');
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching payment methods:', error);
+        res.status(500).json({ message: 'Error fetching payment methods' });
+    }
+});
+
+// GET /metodos/:id - Get a specific payment method (Admin only)
+router.get('/metodos/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const metodoPagoID = req.params.id;
+
+    if (isNaN(metodoPagoID) || parseInt(metodoPagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid payment method ID provided.' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM MetodoPago WHERE metodoPagoID = $1', [metodoPagoID]);
+        if (result.rows.length > 0) {
+            res.status(200).json(result.rows[0]);
+        } else {
+            res.status(404).json({ message: 'Payment method not found' });
+        }
+    } catch (error) {
+        console.error(`Error fetching payment method with ID ${metodoPagoID}:`, error);
+        res.status(500).json({ message: `Error fetching payment method with ID ${metodoPagoID}` });
+    }
+});
+
+// POST /metodos - Create a payment method (Admin only)
+router.post('/metodos', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { nombre, descripcion, activo } = req.body;
+
+    const errors = [];
+    if (!nombre || typeof nombre !== 'string' || nombre.trim().length === 0 || nombre.length > 50) {
+        errors.push('Nombre es requerido y debe ser una cadena no vacía de máximo 50 caracteres.');
+    }
+    if (descripcion !== undefined && descripcion !== null && (typeof descripcion !== 'string' || descripcion.length > 255)) {
+        errors.push('Descripción debe ser una cadena de máximo 255 caracteres o nulo.');
+    }
+    if (activo !== undefined && typeof activo !== 'boolean') {
+        errors.push('Si se proporciona activo, debe ser un booleano.');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    try {
+        const result = await pool.query(
+            'INSERT INTO MetodoPago(nombre, descripcion, activo) VALUES($1, $2, $3) RETURNING *',
+            [nombre.trim(), descripcion || null, activo !== undefined ? activo : true]
+        );
+        res.status(201).json({ message: 'Payment method created successfully', metodoPago: result.rows[0] });
+    } catch (error) {
+        console.error('Error creating payment method:', error);
+        res.status(500).json({ message: 'Error creating payment method' });
+    }
+});
+
+// PUT /metodos/:id - Update a payment method (Admin only)
+router.put('/metodos/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const metodoPagoID = req.params.id;
+    const { nombre, descripcion, activo } = req.body;
+
+    if (isNaN(metodoPagoID) || parseInt(metodoPagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid payment method ID provided.' });
+    }
+
+    const updateFields = {};
+    const errors = [];
+
+    if (nombre !== undefined) {
+        if (typeof nombre !== 'string' || nombre.trim().length === 0 || nombre.length > 50) {
+            errors.push('Si se proporciona nombre, debe ser una cadena no vacía de máximo 50 caracteres.');
+        } else {
+            updateFields.nombre = nombre.trim();
+        }
+    }
+    if (descripcion !== undefined) {
+        if (descripcion !== null && (typeof descripcion !== 'string' || descripcion.length > 255)) {
+            errors.push('Si se proporciona descripcion, debe ser una cadena de máximo 255 caracteres o nulo.');
+        } else {
+            updateFields.descripcion = descripcion;
+        }
+    }
+    if (activo !== undefined) {
+        if (typeof activo !== 'boolean') {
+            errors.push('Si se proporciona activo, debe ser un booleano.');
+        } else {
+            updateFields.activo = activo;
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    const fieldsToUpdateKeys = Object.keys(updateFields);
+    if (fieldsToUpdateKeys.length === 0) {
+        return res.status(400).json({ message: 'No valid fields provided for update.' });
+    }
+
+    const queryParts = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    fieldsToUpdateKeys.forEach(key => {
+        queryParts.push(`${key} = $${paramIndex}`);
+        queryParams.push(updateFields[key]);
+        paramIndex++;
+    });
+
+    const queryText = `UPDATE MetodoPago SET ${queryParts.join(', ')} WHERE metodoPagoID = $${paramIndex} RETURNING *`;
+    queryParams.push(metodoPagoID);
+
+    try {
+        const result = await pool.query(queryText, queryParams);
+        if (result.rows.length > 0) {
+            res.status(200).json({ message: 'Payment method updated successfully', metodoPago: result.rows[0] });
+        } else {
+            res.status(404).json({ message: 'Payment method not found' });
+        }
+    } catch (error) {
+        console.error(`Error updating payment method with ID ${metodoPagoID}:`, error);
+        res.status(500).json({ message: `Error updating payment method with ID ${metodoPagoID}` });
+    }
+});
+
+// PUT /metodos/:id/activo - Activate or deactivate a payment method (Admin only)
+// Body: { activo: boolean }. Without a body the current value is toggled.
+router.put('/metodos/:id/activo', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const metodoPagoID = req.params.id;
+    const { activo } = req.body;
+
+    if (isNaN(metodoPagoID) || parseInt(metodoPagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid payment method ID provided.' });
+    }
+    if (activo !== undefined && typeof activo !== 'boolean') {
+        return res.status(400).json({ message: 'Si se proporciona activo, debe ser un booleano.' });
+    }
+
+    try {
+        const result = activo !== undefined
+            ? await pool.query('UPDATE MetodoPago SET activo = $1 WHERE metodoPagoID = $2 RETURNING *', [activo, metodoPagoID])
+            : await pool.query('UPDATE MetodoPago SET activo = NOT activo WHERE metodoPagoID = $1 RETURNING *', [metodoPagoID]);
+
+        if (result.rows.length > 0) {
+            const metodoPago = result.rows[0];
+            res.status(200).json({ message: `Payment method ${metodoPago.activo ? 'activated' : 'deactivated'} successfully`, metodoPago });
+        } else {
+            res.status(404).json({ message: 'Payment method not found' });
+        }
+    } catch (error) {
+        console.error(`Error toggling payment method with ID ${metodoPagoID}:`, error);
+        res.status(500).json({ message: `Error toggling payment method with ID ${metodoPagoID}` });
+    }
+});
+
+// DELETE /metodos/:id - Delete a payment method that was never used (Admin only)
+router.delete('/metodos/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const metodoPagoID = req.params.id;
+
+    if (isNaN(metodoPagoID) || parseInt(metodoPagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid payment method ID provided.' });
+    }
+
+    try {
+        const result = await pool.query('DELETE FROM MetodoPago WHERE metodoPagoID = $1 RETURNING metodoPagoID', [metodoPagoID]);
+        if (result.rows.length > 0) {
+            res.status(200).json({ message: 'Payment method deleted successfully' });
+        } else {
+            res.status(404).json({ message: 'Payment method not found' });
+        }
+    } catch (error) {
+        console.error(`Error deleting payment method with ID ${metodoPagoID}:`, error);
+        if (error.code === '23503') { // fk_pago_metodopago is ON DELETE RESTRICT
+            res.status(409).json({ message: 'Cannot delete a payment method used by existing payments. Deactivate it instead.' });
+        } else {
+            res.status(500).json({ message: `Error deleting payment method with ID ${metodoPagoID}` });
+        }
+    }
+});
 
 // Payment Routes
-// Note: These routes will require authentication. Authorization (e.g., user paying for themselves) might be needed.
+// POST /eventos/:eventoID/pago - Start a checkout: reserves the tickets as PENDIENTE and opens a session with the gateway.
+// The payment is confirmed (or failed) later by the gateway webhook, see POST /webhooks/:proveedor.
 router.post('/eventos/:eventoID/pago', authenticateToken, async (req, res) => {
     const eventoID = req.params.eventoID;
     const usuarioID = req.user.userId; // User making the payment
-    const { monto, metodoPagoID, referencia, boletos } = req.body; // Expected data: total amount, payment method, transaction reference, and array of tickets/seats
+    // Expected data: payment method, optional gateway and array of tickets ({ asientoID?, usuarioID? }).
+    // Prices always come from Evento.precio; a client supplied monto is only checked against the computed total.
+    // The transaction reference is assigned by the gateway, not by the client.
+    const { monto, metodoPagoID, proveedor, boletos } = req.body;
 
     // Basic validation
-    if (!monto || !metodoPagoID || !referencia || !boletos || !Array.isArray(boletos) || boletos.length === 0) {
+    if (!metodoPagoID || !boletos || !Array.isArray(boletos) || boletos.length === 0) {
         return res.status(400).json({ message: 'Missing required payment or ticket information.' });
     }
+    const gateway = getGateway(proveedor || DEFAULT_PROVIDER);
+    if (!gateway) {
+        return res.status(400).json({ message: `Unknown payment provider: ${proveedor || DEFAULT_PROVIDER}.` });
+    }
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+    if (isNaN(metodoPagoID) || parseInt(metodoPagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'metodoPagoID must be a positive integer.' });
+    }
+    if (boletos.some(boleto => typeof boleto !== 'object' || boleto === null)) {
+        return res.status(400).json({ message: 'Each item in boletos must be an object.' });
+    }
+    if (monto !== undefined && (isNaN(monto) || parseFloat(monto) < 0)) {
+        return res.status(400).json({ message: 'Si se proporciona monto, debe ser un número no negativo.' });
+    }
 
-    // TODO: Add more robust validation for monto (>=0), metodoPagoID (exists?), boletos structure (precio, asientoID?), etc.
+    // Seats being bought; each one must be held by the caller (see routes/reservaRoutes.js)
+    const seatIDs = boletos.filter(boleto => boleto.asientoID).map(boleto => parseInt(boleto.asientoID, 10));
+    if (seatIDs.some(id => isNaN(id) || id <= 0)) {
+        return res.status(400).json({ message: 'Each boleto.asientoID must be a positive integer.' });
+    }
+    if (new Set(seatIDs).size !== seatIDs.length) {
+        return res.status(400).json({ message: 'The same seat cannot be bought twice in one payment.' });
+    }
+
+    // Ticket holders (default to the payer)
+    const holderIDs = boletos.map(boleto => (boleto.usuarioID !== undefined ? parseInt(boleto.usuarioID, 10) : usuarioID));
+    if (holderIDs.some(id => isNaN(id) || id <= 0)) {
+        return res.status(400).json({ message: 'Each boleto.usuarioID must be a positive integer.' });
+    }
 
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
 
-        // 1. Insert into Pago table
-        // Assuming state is 'COMPLETADO' for simplicity in this initial implementation.
-        // In a real system with payment gateways, state would be 'PENDIENTE' initially and updated by a webhook.
+        // Only existing and active payment methods can be used
+        const metodoCheck = await client.query('SELECT metodoPagoID, activo FROM MetodoPago WHERE metodoPagoID = $1', [metodoPagoID]);
+        if (metodoCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Payment method ${metodoPagoID} does not exist.` });
+        }
+        if (!metodoCheck.rows[0].activo) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Payment method ${metodoPagoID} is not active.` });
+        }
+
+        // Lock the event row: concurrent purchases for the same event are serialized from here on
+        const eventResult = await client.query(
+            'SELECT eventoID, nombre, precio, capacidad, boletosVendidos, estado, lugarID, '
+            + '(fecha + horaFin) < NOW() AS finalizado '
+            + 'FROM Evento WHERE eventoID = $1 FOR UPDATE',
+            [eventoID]
+        );
+        if (eventResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        const evento = eventResult.rows[0];
+
+        if (evento.estado !== 'ACTIVO' || evento.finalizado) {
+            await client.query('ROLLBACK');
+            const reason = evento.estado !== 'ACTIVO' ? `estado: ${evento.estado}` : 'the event has already ended';
+            return res.status(400).json({ message: `Tickets cannot be purchased for this event (${reason}).` });
+        }
+
+        const disponibles = evento.capacidad - evento.boletosvendidos;
+        if (boletos.length > disponibles) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                message: disponibles <= 0 ? 'The event is sold out.' : `Only ${disponibles} ticket(s) left for this event.`,
+                disponibles: Math.max(disponibles, 0)
+            });
+        }
+
+        const uniqueHolderIDs = [...new Set(holderIDs)];
+        const holdersCheck = await client.query('SELECT usuarioID FROM Usuario WHERE usuarioID = ANY($1::int[])', [uniqueHolderIDs]);
+        if (holdersCheck.rows.length !== uniqueHolderIDs.length) {
+            const found = holdersCheck.rows.map(row => row.usuarioid);
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Some ticket holders do not exist.', usuarioIDs: uniqueHolderIDs.filter(id => !found.includes(id)) });
+        }
+
+        if (seatIDs.length > 0) {
+            // Lock the seats in the event's inventory and make sure they have not been sold for this event
+            const seats = await lockEventSeats(client, eventoID, seatIDs);
+            if (seats.length !== seatIDs.length) {
+                const found = seats.map(row => row.asientoid);
+                await client.query('ROLLBACK');
+                return res.status(400).json({ message: 'Some seats do not belong to the event venue.', asientoIDs: seatIDs.filter(id => !found.includes(id)) });
+            }
+
+            const soldResult = await client.query(
+                'SELECT asientoID FROM Boleto WHERE eventoID = $1 AND asientoID = ANY($2::int[]) AND estado IN (\'PENDIENTE\', \'ACTIVO\', \'USADO\')',
+                [eventoID, seatIDs]
+            );
+            if (soldResult.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: 'Some seats are already sold.', asientoIDs: soldResult.rows.map(row => row.asientoid) });
+            }
+
+            const heldResult = await client.query(
+                'SELECT asientoID FROM ReservaAsiento '
+                + 'WHERE usuarioID = $1 AND eventoID = $2 AND asientoID = ANY($3::int[]) AND fechaExpiracion > NOW() FOR UPDATE',
+                [usuarioID, eventoID, seatIDs]
+            );
+            const heldSeatIDs = heldResult.rows.map(row => row.asientoid);
+            const notHeld = seatIDs.filter(id => !heldSeatIDs.includes(id));
+            if (notHeld.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ message: 'Some seats are not held by you or the hold expired. Hold them again before paying.', asientoIDs: notHeld });
+            }
+        }
+
+        // Server-side pricing (in cents to avoid floating point drift)
+        const precioCentavos = Math.round(parseFloat(evento.precio) * 100);
+        const montoTotal = (precioCentavos * boletos.length) / 100;
+        if (monto !== undefined && Math.round(parseFloat(monto) * 100) !== precioCentavos * boletos.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `monto does not match the ticket prices (expected ${montoTotal.toFixed(2)}).`, montoEsperado: montoTotal });
+        }
+
+        // 1. Insert into Pago table as PENDIENTE until the gateway confirms it
         const pagoInsertResult = await client.query(
-            'INSERT INTO Pago(monto, fechaPago, metodoPagoID, referencia, estado, usuarioID, eventoID) VALUES($1, NOW(), $2, $3, $4, $5, $6) RETURNING pagoID',
-            [monto, metodoPagoID, referencia, 'COMPLETADO', usuarioID, eventoID]
+            'INSERT INTO Pago(monto, fechaPago, metodoPagoID, estado, proveedor, fechaExpiracion, usuarioID, eventoID) '
+            + 'VALUES($1, NOW(), $2, $3, $4, NOW() + make_interval(mins => $5), $6, $7) RETURNING pagoID, fechaExpiracion',
+            [montoTotal, metodoPagoID, 'PENDIENTE', gateway.name, PAYMENT_SESSION_MINUTES, usuarioID, eventoID]
         );
         const newPagoID = pagoInsertResult.rows[0].pagoid; // Lowercase as returned by pg
 
-        // 2. Insert into Boleto table(s) for each ticket
+        // 2. Insert into Boleto table(s) for each ticket; they stay PENDIENTE (not valid for entry) until the payment completes
         const insertedBoletoIDs = [];
-        for (const boleto of boletos) {
-            // TODO: Validate each boleto object (precio, asientoID?)
-            // TODO: Generate unique codigoQR
-            const codigoQR = `QR_${eventoID}_${usuarioID}_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`; // Simple placeholder QR code
-            const boletoPrecio = boleto.precio; // Assuming precio comes with each ticket item
-            const asientoID = boleto.asientoID || null; // AsientoID is optional
-            const boletoUsuarioID = boleto.usuarioID || usuarioID; // User for the ticket (default to payer)
+        for (let i = 0; i < boletos.length; i++) {
+            const asientoID = boletos[i].asientoID ? parseInt(boletos[i].asientoID, 10) : null; // AsientoID is optional
+
+            // The signed code embeds the ticket ID, so the ID is taken from the sequence before inserting
+            const idResult = await client.query('SELECT nextval(pg_get_serial_sequence(\'boleto\', \'boletoid\'))::int AS id');
+            const boletoID = idResult.rows[0].id;
+            const codigoQR = signTicket({ boletoID, eventoID: evento.eventoid, asientoID });
 
             const boletoInsertResult = await client.query(
-                'INSERT INTO Boleto(fechaCompra, codigoQR, estado, precio, pagoID, asientoID, eventoID, usuarioID) VALUES(NOW(), $1, $2, $3, $4, $5, $6, $7) RETURNING boletoID',
-                [codigoQR, 'ACTIVO', boletoPrecio, newPagoID, asientoID, eventoID, boletoUsuarioID]
+                'INSERT INTO Boleto(boletoID, fechaCompra, codigoQR, estado, precio, pagoID, asientoID, eventoID, usuarioID) VALUES($1, NOW(), $2, $3, $4, $5, $6, $7, $8) RETURNING boletoID',
+                [boletoID, codigoQR, 'PENDIENTE', evento.precio, newPagoID, asientoID, eventoID, holderIDs[i]]
             );
-            insertedBoletoIDs.push(boletoInsertResult.rows[0].boletid); // Lowercase as returned by pg
-
-            // TODO: If seat booking is involved, update Asiento state to 'OCUPADO' within the transaction.
+            insertedBoletoIDs.push(boletoInsertResult.rows[0].boletoid); // Lowercase as returned by pg
         }
 
-        // Log activity for purchase (tipo 'COMPRA')
-        try {
-            await client.query(
-                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
-                [usuarioID, 'COMPRA', `Compra realizada para Evento ${eventoID}`, JSON.stringify({ pagoId: newPagoID, boletoIds: insertedBoletoIDs, eventoID: eventoID, monto: monto }), req.ip]
-            );
-        } catch (activityLogError) {
-            console.error('Error logging activity for purchase:', activityLogError);
-            // Continue with payment success even if activity logging fails
+        // 3. The held seats are taken by this checkout: mark them OCUPADO for the event and drop the holds.
+        // If the payment fails or expires they are released again (services/paymentService.js).
+        if (seatIDs.length > 0) {
+            await setEventSeatState(client, eventoID, seatIDs, 'OCUPADO');
+            await client.query('DELETE FROM ReservaAsiento WHERE eventoID = $1 AND asientoID = ANY($2::int[])', [eventoID, seatIDs]);
         }
 
+        // 4. Reserve the capacity; attendee counters are updated when the payment completes
+        await client.query('UPDATE Evento SET boletosVendidos = boletosVendidos + $1 WHERE eventoID = $2', [boletos.length, eventoID]);
+
+        // 5. Open the checkout session with the gateway and keep its reference for the webhook
+        const session = await gateway.createCheckoutSession({
+            pagoID: newPagoID,
+            monto: montoTotal,
+            descripcion: `${boletos.length} boleto(s) para "${evento.nombre}"`,
+            expiraEn: pagoInsertResult.rows[0].fechaexpiracion
+        });
+        await client.query('UPDATE Pago SET referencia = $1 WHERE pagoID = $2', [session.referencia, newPagoID]);
+
         await client.query('COMMIT');
 
-        res.status(201).json({ message: 'Payment and tickets registered successfully', pagoId: newPagoID, boletoIds: insertedBoletoIDs });
+        res.status(201).json({
+            message: 'Checkout started. Complete the payment to receive the tickets.',
+            pagoId: newPagoID,
+            boletoIds: insertedBoletoIDs,
+            monto: montoTotal,
+            estado: 'PENDIENTE',
+            checkout: {
+                proveedor: gateway.name,
+                referencia: session.referencia,
+                url: session.checkoutUrl,
+                fechaExpiracion: session.expiraEn
+            }
+        });
 
     } catch (e) {
         await client.query('ROLLBACK');
-        console.error('Transaction error during payment registration:', e);
+        console.error('Transaction error during checkout:', e);
          // TODO: Improve error handling based on specific DB errors (e.g., FK violations, unique constraints)
-        res.status(500).json({ message: 'Error registering payment and tickets' });
+        res.status(500).json({ message: 'Error starting the payment checkout' });
     } finally {
         client.release();
     }
 });
 
+// POST /webhooks/:proveedor - Payment result sent by the gateway (no user token, authenticated by the gateway signature)
+router.post('/webhooks/:proveedor', async (req, res) => {
+    const gateway = getGateway(req.params.proveedor);
+    if (!gateway) {
+        return res.status(404).json({ message: 'Unknown payment provider.' });
+    }
+    if (!req.rawBody) {
+        return res.status(400).json({ message: 'Webhook body is required.' });
+    }
+
+    let result;
+    try {
+        result = gateway.parseWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        if (error.code === 'INVALID_SIGNATURE') {
+            return res.status(401).json({ message: 'Invalid webhook signature.' });
+        }
+        // Events we do not handle are acknowledged so the gateway does not retry them
+        if (error.code === 'UNSUPPORTED_EVENT') {
+            return res.status(200).json({ message: 'Event ignored.' });
+        }
+        console.error(`Error parsing ${gateway.name} webhook:`, error);
+        return res.status(400).json({ message: 'Invalid webhook payload.' });
+    }
+
+    try {
+        const { pago, applied } = await applyPaymentResult(pool, gateway.name, result.referencia, result.estado, req.ip);
+        if (!pago) {
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        res.status(200).json({
+            message: applied ? `Payment marked as ${result.estado}` : `Payment already processed (estado: ${pago.estado})`,
+            pagoId: pago.pagoid,
+            estado: pago.estado
+        });
+    } catch (error) {
+        console.error(`Error applying ${gateway.name} webhook for reference ${result.referencia}:`, error);
+        res.status(500).json({ message: 'Error processing payment webhook' });
+    }
+});
+
+// Mock gateway checkout (never mounted in production: it lets the buyer decide the result of the payment)
+// GET /mock/checkout/:referencia - Session details shown by the simulated checkout page
+// POST /mock/checkout/:referencia - Body: { resultado: 'COMPLETADO' | 'FALLIDO' }. Sends the signed webhook the mock would send.
+if (process.env.NODE_ENV !== 'production') {
+    const loadMockPayment = async (referencia, usuarioID) => {
+        const result = await pool.query(
+            'SELECT p.pagoID, p.monto, p.estado, p.referencia, p.fechaExpiracion, p.usuarioID, e.nombre AS eventName '
+            + 'FROM Pago p JOIN Evento e ON p.eventoID = e.eventoID WHERE p.proveedor = $1 AND p.referencia = $2',
+            [mockGateway.name, referencia]
+        );
+        const pago = result.rows[0];
+        return pago && pago.usuarioid === usuarioID ? pago : null;
+    };
+
+    router.get('/mock/checkout/:referencia', authenticateToken, async (req, res) => {
+        try {
+            const pago = await loadMockPayment(req.params.referencia, req.user.userId);
+            if (!pago) {
+                return res.status(404).json({ message: 'Checkout session not found.' });
+            }
+            res.status(200).json(pago);
+        } catch (error) {
+            console.error(`Error fetching mock checkout ${req.params.referencia}:`, error);
+            res.status(500).json({ message: 'Error fetching checkout session' });
+        }
+    });
+
+    router.post('/mock/checkout/:referencia', authenticateToken, async (req, res) => {
+        const { resultado } = req.body;
+        if (!['COMPLETADO', 'FALLIDO'].includes(resultado)) {
+            return res.status(400).json({ message: 'resultado debe ser COMPLETADO o FALLIDO.' });
+        }
+
+        try {
+            const pago = await loadMockPayment(req.params.referencia, req.user.userId);
+            if (!pago) {
+                return res.status(404).json({ message: 'Checkout session not found.' });
+            }
+            if (pago.estado !== 'PENDIENTE') {
+                return res.status(409).json({ message: `Payment already processed (estado: ${pago.estado}).` });
+            }
+
+            // Go through the same signed webhook path a real notification would take
+            const webhook = mockGateway.buildWebhook(pago.referencia, resultado);
+            const event = mockGateway.parseWebhook(webhook.rawBody, webhook.headers);
+            const { pago: updated, boletoIds } = await applyPaymentResult(pool, mockGateway.name, event.referencia, event.estado, req.ip);
+            res.status(200).json({ message: `Payment marked as ${updated.estado}`, pagoId: updated.pagoid, estado: updated.estado, boletoIds });
+        } catch (error) {
+            console.error(`Error completing mock checkout ${req.params.referencia}:`, error);
+            res.status(500).json({ message: 'Error completing checkout session' });
+        }
+    });
+}
+
 // GET /pagos/:pagoId - Get details of a specific payment and its associated tickets
 router.get('/pagos/:pagoId', authenticateToken, async (req, res) => {
     const pagoId = req.params.pagoId;
@@ -101,16 +540,18 @@ router.get('/pagos/:pagoId', authenticateToken, async (req, res) => {
 
         const payment = paymentResult.rows[0];
 
-        // TODO: Add authorization check: Ensure the authenticated user is the one who made the payment
-        // or has admin/organizer privileges for the event.
-        // if (payment.usuarioid !== usuarioID && !req.user.roles.includes('ADMINISTRADOR') && !req.user.roles.includes('ORGANIZADOR')) {
-        //     return res.status(403).json({ message: 'Unauthorized to view this payment.' });
-        // }
+        // The payer, administrators, and the organizer or staff of the event can see the payment
+        if (payment.usuarioid !== usuarioID) {
+            const access = await getEventAccess(client, req.user, payment.eventoid);
+            if (!access || !access.allowed) {
+                return res.status(403).json({ message: 'Unauthorized to view this payment.' });
+            }
+        }
 
 
         // 2. Get associated tickets
         const ticketsResult = await client.query(
-            'SELECT b.*, a.nombre as asientoNombre ' +
+            'SELECT b.*, a.codigo as asientoCodigo ' +
             'FROM Boleto b ' +
             'LEFT JOIN Asiento a ON b.asientoID = a.asientoID ' + // LEFT JOIN because asientoID can be NULL
             'WHERE b.pagoID = $1',
@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const { notifySafely } = require('../services/notificationService');
+const { loadPaymentForRefund, validateRefundSelection, applyRefund } = require('../services/refundService');
+
+const validRequestStates = ['PENDIENTE', 'APROBADA', 'RECHAZADA', 'CANCELADA'];
+
+// Organizers resolve refunds of their own events; administrators of any event.
+function canResolveRefunds(user, pago) {
+    return user.role === 'ADMINISTRADOR' || pago.organizadorid === user.userId;
+}
+
+async function logRefundActivity(req, descripcion, detalles) {
+    try {
+        await pool.query(
+            'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+            [req.user.userId, 'OTRO', descripcion, JSON.stringify(detalles), req.ip]
+        );
+    } catch (activityLogError) {
+        console.error('Error logging activity for refund:', activityLogError);
+        // Continue with the refund success even if activity logging fails
+    }
+}
+
+// Refund / Cancellation Request Routes (SolicitudReembolso)
+
+// POST /api/reembolsos/solicitudes - An attendee asks to cancel tickets of one of their payments
+// Body: { pagoID, boletoIDs?: [int] (defaults to every active ticket of the payment), motivo? }
+router.post('/solicitudes', authenticateToken, async (req, res) => {
+    const { pagoID, boletoIDs, motivo } = req.body;
+
+    if (!Number.isInteger(pagoID) || pagoID <= 0) {
+        return res.status(400).json({ message: 'pagoID must be a positive integer.' });
+    }
+    if (motivo !== undefined && motivo !== null && typeof motivo !== 'string') {
+        return res.status(400).json({ message: 'Si se proporciona motivo, debe ser una cadena.' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const payment = await loadPaymentForRefund(client, pagoID);
+        if (!payment || payment.pago.usuarioid !== req.user.userId) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        const { pago } = payment;
+        if (pago.estado !== 'COMPLETADO') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `Only completed payments can be refunded (estado: ${pago.estado}).` });
+        }
+        // Buyers of a cancelled event can always ask for their money back (e.g. a payment confirmed after the cancellation)
+        if (pago.eventoestado !== 'CANCELADO' && (pago.eventoiniciado || pago.plazovencido)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                message: 'El plazo para solicitar reembolsos de este evento ha vencido.',
+                fechaLimiteReembolso: pago.fechalimitereembolso
+            });
+        }
+
+        // The amount is decided by the reviewer; here only the tickets are validated
+        const selection = validateRefundSelection(payment, boletoIDs);
+        if (selection.errors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: selection.errors });
+        }
+
+        const result = await client.query(
+            'INSERT INTO SolicitudReembolso(pagoID, usuarioID, boletoIDs, motivo, estado, fechaSolicitud) '
+            + 'VALUES($1, $2, $3, $4, \'PENDIENTE\', NOW()) RETURNING *',
+            [pagoID, req.user.userId, selection.boletoIDs, motivo || null]
+        );
+
+        await client.query('COMMIT');
+
+        await notifySafely(pool, {
+            usuarioID: pago.organizadorid,
+            titulo: 'Nueva solicitud de reembolso',
+            mensaje: `Se solicitó el reembolso de ${selection.boletoIDs.length} boleto(s) del pago #${pagoID} para el evento "${pago.eventonombre}".`,
+            tipo: 'SISTEMA'
+        });
+
+        res.status(201).json({ message: 'Refund request created successfully', solicitud: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') { // idx_solicitudreembolso_pendiente
+            return res.status(409).json({ message: 'There is already a pending refund request for this payment.' });
+        }
+        console.error(`Error creating refund request for payment ${pagoID}:`, error);
+        res.status(500).json({ message: 'Error creating refund request' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /api/reembolsos/solicitudes/mias - Refund requests of the authenticated user
+router.get('/solicitudes/mias', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT s.*, p.eventoID, e.nombre AS eventoNombre '
+            + 'FROM SolicitudReembolso s JOIN Pago p ON s.pagoID = p.pagoID JOIN Evento e ON p.eventoID = e.eventoID '
+            + 'WHERE s.usuarioID = $1 ORDER BY s.fechaSolicitud DESC',
+            [req.user.userId]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching user refund requests:', error);
+        res.status(500).json({ message: 'Error fetching refund requests' });
+    }
+});
+
+// GET /api/reembolsos/solicitudes - Requests to review (?estado=, ?eventoID=)
+// Organizers only see the requests of their own events.
+router.get('/solicitudes', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { estado, eventoID } = req.query;
+
+    if (estado !== undefined && !validRequestStates.includes(String(estado).toUpperCase())) {
+        return res.status(400).json({ message: `estado debe ser uno de: ${validRequestStates.join(', ')}.` });
+    }
+    if (eventoID !== undefined && (isNaN(eventoID) || parseInt(eventoID, 10) <= 0)) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (req.user.role !== 'ADMINISTRADOR') {
+        params.push(req.user.userId);
+        conditions.push(`e.organizadorID = $${params.length}`);
+    }
+    if (estado !== undefined) {
+        params.push(String(estado).toUpperCase());
+        conditions.push(`s.estado = $${params.length}`);
+    }
+    if (eventoID !== undefined) {
+        params.push(parseInt(eventoID, 10));
+        conditions.push(`p.eventoID = $${params.length}`);
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT s.*, p.monto AS montoPago, p.eventoID, e.nombre AS eventoNombre, u.nombre AS usuarioNombre, u.correoElectronico AS usuarioCorreo '
+            + 'FROM SolicitudReembolso s JOIN Pago p ON s.pagoID = p.pagoID JOIN Evento e ON p.eventoID = e.eventoID '
+            + 'JOIN Usuario u ON s.usuarioID = u.usuarioID '
+            + (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')} ` : '')
+            + 'ORDER BY s.fechaSolicitud DESC',
+            params
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error('Error fetching refund requests:', error);
+        res.status(500).json({ message: 'Error fetching refund requests' });
+    }
+});
+
+// PUT /api/reembolsos/solicitudes/:id/cancelar - The requester withdraws a pending request
+router.put('/solicitudes/:id/cancelar', authenticateToken, async (req, res) => {
+    const solicitudID = req.params.id;
+
+    if (isNaN(solicitudID) || parseInt(solicitudID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid refund request ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE SolicitudReembolso SET estado = \'CANCELADA\', fechaResolucion = NOW() '
+            + 'WHERE solicitudID = $1 AND usuarioID = $2 AND estado = \'PENDIENTE\' RETURNING *',
+            [solicitudID, req.user.userId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Pending refund request not found.' });
+        }
+        res.status(200).json({ message: 'Refund request cancelled', solicitud: result.rows[0] });
+    } catch (error) {
+        console.error(`Error cancelling refund request ${solicitudID}:`, error);
+        res.status(500).json({ message: 'Error cancelling refund request' });
+    }
+});
+
+// PUT /api/reembolsos/solicitudes/:id/aprobar - Approve a request (full or partial refund)
+// Body: { boletoIDs?: subset of the requested tickets, monto?: amount to refund (defaults to the tickets price), respuesta? }
+router.put('/solicitudes/:id/aprobar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const solicitudID = req.params.id;
+    const { boletoIDs, monto, respuesta } = req.body;
+
+    if (isNaN(solicitudID) || parseInt(solicitudID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid refund request ID provided.' });
+    }
+    if (respuesta !== undefined && respuesta !== null && typeof respuesta !== 'string') {
+        return res.status(400).json({ message: 'Si se proporciona respuesta, debe ser una cadena.' });
+    }
+
+    const client = await pool.connect();
+    let solicitud;
+    let pago;
+    let refund;
+    try {
+        await client.query('BEGIN');
+
+        const solicitudResult = await client.query('SELECT * FROM SolicitudReembolso WHERE solicitudID = $1 FOR UPDATE', [solicitudID]);
+        if (solicitudResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Refund request not found.' });
+        }
+        solicitud = solicitudResult.rows[0];
+
+        const payment = await loadPaymentForRefund(client, solicitud.pagoid);
+        pago = payment.pago;
+        if (!canResolveRefunds(req.user, pago)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Forbidden: only the event organizer or an administrator can resolve this request.' });
+        }
+        if (solicitud.estado !== 'PENDIENTE') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `Refund request already resolved (estado: ${solicitud.estado}).` });
+        }
+        if (pago.estado !== 'COMPLETADO') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `Only completed payments can be refunded (estado: ${pago.estado}).` });
+        }
+
+        const requested = boletoIDs !== undefined ? boletoIDs : solicitud.boletoids;
+        if (Array.isArray(requested) && requested.some(id => !solicitud.boletoids.includes(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'boletoIDs must be a subset of the tickets in the request.' });
+        }
+        const selection = validateRefundSelection(payment, requested, monto);
+        if (selection.errors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: selection.errors });
+        }
+
+        refund = await applyRefund(client, payment, selection.boletoIDs, selection.monto);
+
+        const updated = await client.query(
+            'UPDATE SolicitudReembolso SET estado = \'APROBADA\', boletoIDs = $1, montoReembolsado = $2, respuesta = $3, '
+            + 'revisadoPorID = $4, fechaResolucion = NOW() WHERE solicitudID = $5 RETURNING *',
+            [refund.boletoIDs, refund.monto, respuesta || null, req.user.userId, solicitudID]
+        );
+        solicitud = updated.rows[0];
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error approving refund request ${solicitudID}:`, error);
+        return res.status(500).json({ message: 'Error approving refund request' });
+    } finally {
+        client.release();
+    }
+
+    await logRefundActivity(req, `Reembolso aprobado para Pago ${pago.pagoid}`, { solicitudID: solicitud.solicitudid, pagoId: pago.pagoid, eventoID: pago.eventoid, ...refund });
+    await notifySafely(pool, {
+        usuarioID: solicitud.usuarioid,
+        titulo: 'Reembolso aprobado',
+        mensaje: `Tu solicitud de reembolso del pago #${pago.pagoid} fue aprobada. Monto reembolsado: ${refund.monto.toFixed(2)}.`,
+        tipo: 'SISTEMA'
+    });
+
+    res.status(200).json({ message: 'Refund approved', solicitud, reembolso: refund });
+});
+
+// PUT /api/reembolsos/solicitudes/:id/rechazar - Reject a pending request. Body: { respuesta }
+router.put('/solicitudes/:id/rechazar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const solicitudID = req.params.id;
+    const { respuesta } = req.body;
+
+    if (isNaN(solicitudID) || parseInt(solicitudID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid refund request ID provided.' });
+    }
+    if (!respuesta || typeof respuesta !== 'string' || respuesta.trim().length === 0) {
+        return res.status(400).json({ message: 'Respuesta es requerida para rechazar una solicitud.' });
+    }
+
+    try {
+        const current = await pool.query(
+            'SELECT s.solicitudID, s.estado, s.pagoID, s.usuarioID, e.organizadorID '
+            + 'FROM SolicitudReembolso s JOIN Pago p ON s.pagoID = p.pagoID JOIN Evento e ON p.eventoID = e.eventoID '
+            + 'WHERE s.solicitudID = $1',
+            [solicitudID]
+        );
+        if (current.rows.length === 0) {
+            return res.status(404).json({ message: 'Refund request not found.' });
+        }
+        if (!canResolveRefunds(req.user, current.rows[0])) {
+            return res.status(403).json({ message: 'Forbidden: only the event organizer or an administrator can resolve this request.' });
+        }
+
+        const result = await pool.query(
+            'UPDATE SolicitudReembolso SET estado = \'RECHAZADA\', respuesta = $1, revisadoPorID = $2, fechaResolucion = NOW() '
+            + 'WHERE solicitudID = $3 AND estado = \'PENDIENTE\' RETURNING *',
+            [respuesta.trim(), req.user.userId, solicitudID]
+        );
+        if (result.rows.length === 0) {
+            return res.status(409).json({ message: `Refund request already resolved (estado: ${current.rows[0].estado}).` });
+        }
+        const solicitud = result.rows[0];
+
+        await notifySafely(pool, {
+            usuarioID: solicitud.usuarioid,
+            titulo: 'Reembolso rechazado',
+            mensaje: `Tu solicitud de reembolso del pago #${solicitud.pagoid} fue rechazada: ${solicitud.respuesta}`,
+            tipo: 'SISTEMA'
+        });
+
+        res.status(200).json({ message: 'Refund request rejected', solicitud });
+    } catch (error) {
+        console.error(`Error rejecting refund request ${solicitudID}:`, error);
+        res.status(500).json({ message: 'Error rejecting refund request' });
+    }
+});
+
+// POST /api/reembolsos/pagos/:pagoID - Direct refund by the organizer or an administrator (no request needed)
+// Body: { boletoIDs?: [int], monto?, motivo? }. Without boletoIDs every active ticket is cancelled (full refund).
+router.post('/pagos/:pagoID', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const pagoID = req.params.pagoID;
+    const { boletoIDs, monto, motivo } = req.body;
+
+    if (isNaN(pagoID) || parseInt(pagoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid payment ID provided.' });
+    }
+
+    const client = await pool.connect();
+    let pago;
+    let refund;
+    try {
+        await client.query('BEGIN');
+
+        const payment = await loadPaymentForRefund(client, pagoID);
+        if (!payment) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        pago = payment.pago;
+        if (!canResolveRefunds(req.user, pago)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Forbidden: only the event organizer or an administrator can refund this payment.' });
+        }
+        if (pago.estado !== 'COMPLETADO') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `Only completed payments can be refunded (estado: ${pago.estado}).` });
+        }
+
+        const selection = validateRefundSelection(payment, boletoIDs, monto);
+        if (selection.errors.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ messages: selection.errors });
+        }
+
+        refund = await applyRefund(client, payment, selection.boletoIDs, selection.monto);
+
+        // A pending request of the attendee is settled by this refund
+        await client.query(
+            'UPDATE SolicitudReembolso SET estado = \'APROBADA\', montoReembolsado = $1, respuesta = $2, revisadoPorID = $3, fechaResolucion = NOW() '
+            + 'WHERE pagoID = $4 AND estado = \'PENDIENTE\'',
+            [refund.monto, motivo || null, req.user.userId, pagoID]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error refunding payment ${pagoID}:`, error);
+        return res.status(500).json({ message: 'Error refunding payment' });
+    } finally {
+        client.release();
+    }
+
+    await logRefundActivity(req, `Reembolso aplicado a Pago ${pago.pagoid}`, { pagoId: pago.pagoid, eventoID: pago.eventoid, motivo: motivo || null, ...refund });
+    await notifySafely(pool, {
+        usuarioID: pago.usuarioid,
+        titulo: 'Reembolso realizado',
+        mensaje: `Se reembolsaron ${refund.monto.toFixed(2)} de tu pago #${pago.pagoid} y se cancelaron ${refund.boletoIDs.length} boleto(s).`,
+        tipo: 'SISTEMA'
+    });
+
+    res.status(200).json({ message: 'Payment refunded', reembolso: refund });
+});
+
+module.exports = router;
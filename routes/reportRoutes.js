@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const authorizeRoles = require('../middleware/roleMiddleware');
+const { reportsDir, validReportTypes, validReportFormats, generateReport } = require('../services/reportService');
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses the JSON stored in Reporte.parametros/resultado (older rows might contain plain text).
+function parseJsonColumn(value) {
+    try {
+        return JSON.parse(value);
+    } catch (parseError) {
+        return null;
+    }
+}
+
+// Reporte API Routes (Admin only)
+// POST /api/reportes - Generate a report and record it in Reporte
+// Body: { tipo, formato, fechaInicio?, fechaFin?, eventoID? }
+router.post('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { tipo, formato, fechaInicio, fechaFin, eventoID } = req.body;
+
+    const errors = [];
+    if (!tipo || typeof tipo !== 'string' || !validReportTypes.includes(tipo.toUpperCase())) {
+        errors.push(`Tipo de reporte inválido. Use uno de: ${validReportTypes.join(', ')}.`);
+    }
+    if (!formato || typeof formato !== 'string' || !validReportFormats.includes(formato.toUpperCase())) {
+        errors.push(`Formato de reporte inválido. Use uno de: ${validReportFormats.join(', ')}.`);
+    }
+    if (fechaInicio !== undefined && (typeof fechaInicio !== 'string' || !dateRegex.test(fechaInicio) || isNaN(Date.parse(fechaInicio)))) {
+        errors.push('Si se proporciona fechaInicio, debe tener el formato YYYY-MM-DD.');
+    }
+    if (fechaFin !== undefined && (typeof fechaFin !== 'string' || !dateRegex.test(fechaFin) || isNaN(Date.parse(fechaFin)))) {
+        errors.push('Si se proporciona fechaFin, debe tener el formato YYYY-MM-DD.');
+    }
+    if (errors.length === 0 && fechaInicio && fechaFin && fechaInicio > fechaFin) {
+        errors.push('fechaInicio no puede ser posterior a fechaFin.');
+    }
+    if (eventoID !== undefined && (isNaN(eventoID) || parseInt(eventoID, 10) <= 0)) {
+        errors.push('Si se proporciona eventoID, debe ser un número entero positivo.');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ messages: errors });
+    }
+
+    const reportType = tipo.toUpperCase();
+    const reportFormat = formato.toUpperCase();
+    const parametros = {
+        fechaInicio: fechaInicio || null,
+        fechaFin: fechaFin || null,
+        eventoID: eventoID !== undefined ? parseInt(eventoID, 10) : null
+    };
+
+    let fileName = null;
+    try {
+        if (parametros.eventoID !== null) {
+            const eventCheck = await pool.query('SELECT eventoID FROM Evento WHERE eventoID = $1', [parametros.eventoID]);
+            if (eventCheck.rows.length === 0) {
+                return res.status(404).json({ message: 'Event not found.' });
+            }
+        }
+
+        const generated = await generateReport(pool, reportType, reportFormat, parametros);
+        fileName = generated.fileName;
+        const resultado = {
+            archivo: fileName,
+            filas: generated.report.filas.length,
+            resumen: generated.report.resumen
+        };
+
+        const insertResult = await pool.query(
+            'INSERT INTO Reporte(usuarioID, tipo, fechaGeneracion, parametros, resultado, formato) VALUES($1, $2, NOW(), $3, $4, $5) RETURNING *',
+            [req.user.userId, reportType, JSON.stringify(parametros), JSON.stringify(resultado), reportFormat]
+        );
+        const reporte = insertResult.rows[0];
+
+        res.status(201).json({
+            message: 'Report generated successfully',
+            reporte: { ...reporte, parametros: parametros, resultado: resultado }
+        });
+    } catch (error) {
+        console.error(`Error generating ${reportType} report:`, error);
+        // Do not leave orphan files behind if the Reporte row could not be recorded
+        if (fileName) {
+            fs.promises.unlink(path.join(reportsDir, fileName)).catch(() => {});
+        }
+        res.status(500).json({ message: 'Error generating report' });
+    }
+});
+
+// GET /api/reportes - List generated reports (optional ?tipo= filter)
+router.get('/', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const { tipo } = req.query;
+
+    if (tipo !== undefined && !validReportTypes.includes(String(tipo).toUpperCase())) {
+        return res.status(400).json({ message: `Tipo de reporte inválido. Use uno de: ${validReportTypes.join(', ')}.` });
+    }
+
+    try {
+        const params = [];
+        let whereClause = '';
+        if (tipo !== undefined) {
+            params.push(String(tipo).toUpperCase());
+            whereClause = 'WHERE r.tipo = $1 ';
+        }
+
+        const result = await pool.query(
+            'SELECT r.*, u.nombre as usuarioNombre '
+            + 'FROM Reporte r '
+            + 'JOIN Usuario u ON r.usuarioID = u.usuarioID '
+            + whereClause
+            + 'ORDER BY r.fechaGeneracion DESC',
+            params
+        );
+
+        const reportes = result.rows.map(reporte => ({
+            ...reporte,
+            parametros: parseJsonColumn(reporte.parametros),
+            resultado: parseJsonColumn(reporte.resultado) || reporte.resultado
+        }));
+        res.status(200).json(reportes);
+    } catch (error) {
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ message: 'Error fetching reports' });
+    }
+});
+
+// GET /api/reportes/:id - Get a specific report record
+router.get('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const reporteID = req.params.id;
+
+    if (isNaN(reporteID) || parseInt(reporteID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid report ID provided.' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM Reporte WHERE reporteID = $1', [reporteID]);
+
+        if (result.rows.length > 0) {
+            const reporte = result.rows[0];
+            res.status(200).json({
+                ...reporte,
+                parametros: parseJsonColumn(reporte.parametros),
+                resultado: parseJsonColumn(reporte.resultado) || reporte.resultado
+            });
+        } else {
+            res.status(404).json({ message: 'Report not found' });
+        }
+    } catch (error) {
+        console.error(`Error fetching report with ID ${reporteID}:`, error);
+        res.status(500).json({ message: `Error fetching report with ID ${reporteID}` });
+    }
+});
+
+// GET /api/reportes/:id/descarga - Download the generated file of a report
+router.get('/:id/descarga', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const reporteID = req.params.id;
+
+    if (isNaN(reporteID) || parseInt(reporteID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid report ID provided.' });
+    }
+
+    try {
+        const result = await pool.query('SELECT reporteID, tipo, resultado FROM Reporte WHERE reporteID = $1', [reporteID]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Report not found' });
+        }
+
+        const resultado = parseJsonColumn(result.rows[0].resultado);
+        // basename() keeps a tampered resultado from pointing outside the reports directory
+        const fileName = resultado && resultado.archivo ? path.basename(resultado.archivo) : null;
+        const filePath = fileName ? path.join(reportsDir, fileName) : null;
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({ message: 'Report file not found.' });
+        }
+
+        const downloadName = `reporte-${result.rows[0].reporteid}-${result.rows[0].tipo.toLowerCase()}${path.extname(fileName)}`;
+        res.download(filePath, downloadName);
+    } catch (error) {
+        console.error(`Error downloading report with ID ${reporteID}:`, error);
+        res.status(500).json({ message: `Error downloading report with ID ${reporteID}` });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db'); // Import the pool from db.js
+const authenticateToken = require('../middleware/authMiddleware');
+const { HOLD_MINUTES, MAX_SEATS_PER_HOLD, releaseExpiredHolds, releaseUserHolds } = require('../services/seatHoldService');
+const { lockEventSeats, setEventSeatState } = require('../services/seatInventory');
+
+// Seat Hold Routes (ReservaAsiento)
+// A hold puts the selected seats in RESERVADO in the event's seat inventory for the authenticated user until it expires or the seats are paid.
+
+// POST /api/reservas/eventos/:eventoID - Hold seats for checkout (holding an already held seat renews it)
+// Body: { asientoIDs: [int] }
+router.post('/eventos/:eventoID', authenticateToken, async (req, res) => {
+    const eventoID = req.params.eventoID;
+    const usuarioID = req.user.userId;
+    const { asientoIDs } = req.body;
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+    if (!Array.isArray(asientoIDs) || asientoIDs.length === 0 || asientoIDs.some(id => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json({ message: 'asientoIDs must be a non-empty array of seat IDs.' });
+    }
+    if (new Set(asientoIDs).size !== asientoIDs.length) {
+        return res.status(400).json({ message: 'asientoIDs must not contain duplicates.' });
+    }
+    if (asientoIDs.length > MAX_SEATS_PER_HOLD) {
+        return res.status(400).json({ message: `You can hold at most ${MAX_SEATS_PER_HOLD} seats at a time.` });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await releaseExpiredHolds(client);
+
+        const eventResult = await client.query('SELECT eventoID, lugarID, estado FROM Evento WHERE eventoID = $1', [eventoID]);
+        if (eventResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        const evento = eventResult.rows[0];
+        if (evento.estado !== 'ACTIVO') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `Event is not open for sale (estado: ${evento.estado}).` });
+        }
+
+        // Lock the seats in the event's inventory so two buyers cannot hold the same seat concurrently
+        const seats = await lockEventSeats(client, eventoID, asientoIDs);
+        if (seats.length !== asientoIDs.length) {
+            const found = seats.map(seat => seat.asientoid);
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                message: 'Some seats do not exist or do not belong to the event venue.',
+                asientoIDs: asientoIDs.filter(id => !found.includes(id))
+            });
+        }
+
+        const myHoldsResult = await client.query(
+            'SELECT asientoID FROM ReservaAsiento WHERE usuarioID = $1 AND eventoID = $2',
+            [usuarioID, eventoID]
+        );
+        const myHeldSeats = myHoldsResult.rows.map(row => row.asientoid);
+
+        const unavailable = seats.filter(seat => seat.estado !== 'DISPONIBLE' && !myHeldSeats.includes(seat.asientoid));
+        if (unavailable.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                message: 'Some seats are no longer available.',
+                asientosNoDisponibles: unavailable.map(seat => ({ asientoID: seat.asientoid, codigo: seat.codigo, estado: seat.estado }))
+            });
+        }
+
+        const totalHeld = new Set([...myHeldSeats, ...asientoIDs]).size;
+        if (totalHeld > MAX_SEATS_PER_HOLD) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: `You can hold at most ${MAX_SEATS_PER_HOLD} seats at a time (currently holding ${myHeldSeats.length}).` });
+        }
+
+        const holdsResult = await client.query(
+            'INSERT INTO ReservaAsiento(asientoID, eventoID, usuarioID, fechaCreacion, fechaExpiracion) '
+            + 'SELECT seat_id, $2, $3, NOW(), NOW() + make_interval(mins => $4) FROM unnest($1::int[]) AS seat_id '
+            + 'ON CONFLICT (eventoID, asientoID) DO UPDATE SET fechaExpiracion = EXCLUDED.fechaExpiracion '
+            + 'RETURNING reservaID, asientoID, eventoID, fechaExpiracion',
+            [asientoIDs, eventoID, usuarioID, HOLD_MINUTES]
+        );
+        await setEventSeatState(client, eventoID, asientoIDs, 'RESERVADO');
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Seats held successfully',
+            reservas: holdsResult.rows,
+            fechaExpiracion: holdsResult.rows[0].fechaexpiracion
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error holding seats for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error holding seats' });
+    } finally {
+        client.release();
+    }
+});
+
+// GET /api/reservas/eventos/:eventoID - Current (non-expired) holds of the user for the event
+router.get('/eventos/:eventoID', authenticateToken, async (req, res) => {
+    const eventoID = req.params.eventoID;
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT r.reservaID, r.asientoID, a.codigo, a.fila, a.columna, a.areaID AS areaid, r.fechaCreacion, r.fechaExpiracion '
+            + 'FROM ReservaAsiento r JOIN Asiento a ON r.asientoID = a.asientoID '
+            + 'WHERE r.usuarioID = $1 AND r.eventoID = $2 AND r.fechaExpiracion > NOW() '
+            + 'ORDER BY a.codigo ASC',
+            [req.user.userId, eventoID]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching seat holds for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error fetching seat holds' });
+    }
+});
+
+// DELETE /api/reservas/eventos/:eventoID - Release all the user's holds for the event
+router.delete('/eventos/:eventoID', authenticateToken, async (req, res) => {
+    const eventoID = req.params.eventoID;
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    try {
+        const released = await releaseUserHolds(pool, req.user.userId, eventoID);
+        res.status(200).json({ message: 'Seat holds released', asientoIDs: released });
+    } catch (error) {
+        console.error(`Error releasing seat holds for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error releasing seat holds' });
+    }
+});
+
+// DELETE /api/reservas/eventos/:eventoID/asientos/:asientoID - Release a single held seat
+router.delete('/eventos/:eventoID/asientos/:asientoID', authenticateToken, async (req, res) => {
+    const { eventoID, asientoID } = req.params;
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0 || isNaN(asientoID) || parseInt(asientoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event or seat ID provided.' });
+    }
+
+    try {
+        const released = await releaseUserHolds(pool, req.user.userId, eventoID, [parseInt(asientoID, 10)]);
+        if (released.length === 0) {
+            return res.status(404).json({ message: 'Seat hold not found.' });
+        }
+        res.status(200).json({ message: 'Seat hold released', asientoIDs: released });
+    } catch (error) {
+        console.error(`Error releasing seat ${asientoID} for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error releasing seat hold' });
+    }
+});
+
+module.exports = router;
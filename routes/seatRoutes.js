@@ -3,24 +3,47 @@ const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const { getAreaScope, scopeIncludesArea } = require('../services/areaScope');
+const { canManageLugar } = require('../services/eventAccess');
+const { checkSeatCapacity } = require('../services/capacity');
+const { physicalSeatStates, manualSeatStates, addSeatsToInventories, setManualSeatState, getEventSeats } = require('../services/seatInventory');
+
+// Seats belong to an Area of a Lugar: creating, editing or deleting them is limited to organizers (and staff)
+// of every non-cancelled event held at that Lugar. Area managers can still change the estado of the seats in their areas.
+// Asiento.estado is the physical state shared by every event (DISPONIBLE or BLOQUEADO); passing eventoID reads or changes
+// the state of the seats for that event instead (services/seatInventory.js).
+const forbiddenLugarMessage = 'Forbidden: the location of this area is used by events you do not organize.';
 
 // Asiento (Seat) API Routes
 // GET /api/areas/:areaID/asientos - Get all seats for a specific area (accessible to authenticated users)
+// ?eventoID=<id> returns the state of each seat for that event instead of its physical state.
 router.get('/areas/:areaID/asientos', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR', 'ASISTENTE']), async (req, res) => {
     const areaID = req.params.areaID;
+    const { eventoID } = req.query;
 
     // Refined Validation: Check if areaID is a valid number
     if (isNaN(areaID) || parseInt(areaID, 10) <= 0) {
         return res.status(400).json({ message: 'Invalid area ID provided in URL.' });
     }
+    if (eventoID !== undefined && (isNaN(eventoID) || parseInt(eventoID, 10) <= 0)) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
 
     try {
         // Optional: Check if the area exists before fetching seats
-        const areaCheck = await pool.query('SELECT areaID FROM Area WHERE areaID = $1', [areaID]);
+        const areaCheck = await pool.query('SELECT areaID, lugarID FROM Area WHERE areaID = $1', [areaID]);
         if (areaCheck.rows.length === 0) {
             return res.status(404).json({ message: 'Area not found.' });
         }
 
+        if (eventoID !== undefined) {
+            const eventCheck = await pool.query('SELECT eventoID FROM Evento WHERE eventoID = $1 AND lugarID = $2', [eventoID, areaCheck.rows[0].lugarid]);
+            if (eventCheck.rows.length === 0) {
+                return res.status(404).json({ message: 'Event not found at the location of this area.' });
+            }
+            return res.status(200).json(await getEventSeats(pool, eventoID, parseInt(areaID, 10)));
+        }
+
         const result = await pool.query('SELECT * FROM Asiento WHERE areaID = $1 ORDER BY fila ASC, columna ASC', [areaID]);
         res.status(200).json(result.rows);
 
@@ -72,30 +95,40 @@ router.post('/areas/:areaID/asientos', authenticateToken, authorizeRoles(['ORGAN
         return res.status(400).json({ message: 'Request body must be a non-empty array of seat objects.' });
     }
 
-    const validSeatStates = ['DISPONIBLE', 'OCUPADO', 'RESERVADO', 'BLOQUEADO']; // Based on schema ENUM
+    // The physical state of the seat; its state for each event lives in the event's seat inventory
     for (const asiento of asientos) {
         if (typeof asiento !== 'object' || asiento === null ||
             !('codigo' in asiento) || typeof asiento.codigo !== 'string' || asiento.codigo.trim().length === 0 ||
-            !('estado' in asiento) || typeof asiento.estado !== 'string' || !validSeatStates.includes(asiento.estado.toUpperCase()) ||
+            !('estado' in asiento) || typeof asiento.estado !== 'string' || !physicalSeatStates.includes(asiento.estado.toUpperCase()) ||
             ('fila' in asiento && asiento.fila !== null && typeof asiento.fila !== 'number') || // fila and columna are optional/nullable in schema
             ('columna' in asiento && asiento.columna !== null && typeof asiento.columna !== 'number')
            ) {
-            return res.status(400).json({ error: 'Each item in the array must be a valid seat object with required fields (codigo, estado) and optional number fields (fila, columna).' });
+            return res.status(400).json({ error: `Each item in the array must be a valid seat object with required fields (codigo, estado: ${physicalSeatStates.join(' or ')}) and optional number fields (fila, columna).` });
         }
     }
 
     try {
         // Check if the area exists
-        const areaCheck = await pool.query('SELECT areaID FROM Area WHERE areaID = $1', [areaID]);
+        const areaCheck = await pool.query('SELECT areaID, lugarID FROM Area WHERE areaID = $1', [areaID]);
         if (areaCheck.rows.length === 0) {
             return res.status(404).json({ message: 'Area not found.' });
         }
+        if (!(await canManageLugar(pool, req.user, areaCheck.rows[0].lugarid))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
 
         // Insert new seats within a transaction
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
 
+            // An area cannot have more seats than its capacity
+            const capacityErrors = await checkSeatCapacity(client, parseInt(areaID, 10), asientos.length);
+            if (capacityErrors.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ messages: capacityErrors });
+            }
+
             const insertedSeatIds = [];
             for (const asiento of asientos) {
                 const result = await client.query(
@@ -104,6 +137,8 @@ router.post('/areas/:areaID/asientos', authenticateToken, authorizeRoles(['ORGAN
                 );
                 insertedSeatIds.push(result.rows[0].asientoid);
             }
+            // Events already on sale at the Lugar can sell the new seats too
+            await addSeatsToInventories(client, insertedSeatIds);
 
             await client.query('COMMIT');
 
@@ -130,9 +165,12 @@ router.post('/areas/:areaID/asientos', authenticateToken, authorizeRoles(['ORGAN
 });
 
 // PUT /api/asientos/:id - Update a specific seat by ID (Admin or Organizer)
+// With eventoID in the body only estado can be changed (DISPONIBLE or BLOQUEADO), only for that event,
+// and not while the seat is held or sold for it; open to the staff assigned to the seat's area for the event.
+// Without it the physical seat is changed, which needs the Lugar (see canManageLugar).
 router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
     const asientoID = req.params.id;
-    const { codigo, fila, columna, estado, areaID } = req.body; // areaID update disallowed for simplicity
+    const { codigo, fila, columna, estado, areaID, eventoID } = req.body; // areaID update disallowed for simplicity
 
     // Refined Validations for seat update
     // 1. Check if asientoID is a valid number
@@ -173,7 +211,16 @@ router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
         updateFields.columna = null;
     }
 
-    const validSeatStates = ['DISPONIBLE', 'OCUPADO', 'RESERVADO', 'BLOQUEADO'];
+    if (eventoID !== undefined) {
+        if (eventoID === null || isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+            errors.push('Si se proporciona eventoID, debe ser un número entero positivo.');
+        }
+        if (estado === undefined || codigo !== undefined || fila !== undefined || columna !== undefined) {
+            errors.push('Con eventoID solo se puede cambiar el estado del asiento para ese evento.');
+        }
+    }
+
+    const validSeatStates = eventoID !== undefined ? manualSeatStates : physicalSeatStates;
     if (estado !== undefined) {
         if (typeof estado !== 'string' || !validSeatStates.includes(estado.toUpperCase())) {
             errors.push(`Si se proporciona estado, debe ser uno de: ${validSeatStates.join(', ')}.`);
@@ -212,6 +259,48 @@ router.put('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRA
     queryParams.push(asientoID);
 
     try {
+        const seatCheck = await pool.query(
+            'SELECT a.areaID, ar.lugarID FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID WHERE a.asientoID = $1',
+            [asientoID]
+        );
+        if (seatCheck.rows.length === 0) {
+            return res.status(404).json({ message: 'Seat not found' });
+        }
+
+        if (eventoID !== undefined) {
+            const eventCheck = await pool.query('SELECT eventoID FROM Evento WHERE eventoID = $1 AND lugarID = $2', [eventoID, seatCheck.rows[0].lugarid]);
+            if (eventCheck.rows.length === 0) {
+                return res.status(404).json({ message: 'Event not found at the location of this seat.' });
+            }
+            const areaScope = await getAreaScope(pool, req.user, eventoID);
+            if (!scopeIncludesArea(areaScope, seatCheck.rows[0].areaid)) {
+                return res.status(403).json({ message: 'Forbidden: you are not assigned to the area of this seat for this event.' });
+            }
+
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const taken = await setManualSeatState(client, eventoID, [parseInt(asientoID, 10)], updateFields.estado);
+                if (taken.length > 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({ message: 'The seat is held or sold for this event; its state follows its hold or ticket.' });
+                }
+                await client.query('COMMIT');
+            } catch (e) {
+                await client.query('ROLLBACK');
+                throw e;
+            } finally {
+                client.release();
+            }
+            return res.status(200).json({ message: 'Seat updated successfully', asientoId: parseInt(asientoID, 10), eventoID: parseInt(eventoID, 10), estado: updateFields.estado });
+        }
+
+        // Asiento.estado is the physical state shared by every event at the Lugar (a BLOQUEADO seat is blocked for all of
+        // them), so it follows the same rule as the other fields. Area staff change a seat for their event with eventoID.
+        if (!(await canManageLugar(pool, req.user, seatCheck.rows[0].lugarid))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
+
         // Update seat
         const result = await pool.query(queryText, queryParams);
 
@@ -238,10 +327,16 @@ router.delete('/:id', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINIS
 
     try {
         // Check if seat exists before attempting deletion
-        const seatCheckResult = await pool.query('SELECT asientoID FROM Asiento WHERE asientoID = $1', [asientoID]);
+        const seatCheckResult = await pool.query(
+            'SELECT a.asientoID, ar.lugarID FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID WHERE a.asientoID = $1',
+            [asientoID]
+        );
         if (seatCheckResult.rows.length === 0) {
             return res.status(404).json({ message: 'Seat not found.' });
         }
+        if (!(await canManageLugar(pool, req.user, seatCheckResult.rows[0].lugarid))) {
+            return res.status(403).json({ message: forbiddenLugarMessage });
+        }
 
         // Proceed with deletion if seat exists
         // Delete seat
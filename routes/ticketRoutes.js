@@ -3,113 +3,313 @@ const router = express.Router();
 const { pool } = require('../db'); // Import the pool from db.js
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const QRCode = require('qrcode');
+const { getAreaScope, scopeIncludesArea } = require('../services/areaScope');
+const { getPublicKeyPem } = require('../services/ticketToken');
+const { CHECKIN_OPENS_MINUTES, scanResults, findTicketByCode, classifyScan, classifyOfflineScan, scanTicketSummary } = require('../services/checkInService');
 
-// Ticket Verification Routes
-// Apply authentication middleware to ticket verification routes
-// Note: These routes will ALSO require authorization checks (isAdmin or isOrganizer for the event) in a real application.
-router.get('/:qrCode', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR', 'ASISTENTE']), async (req, res) => {
-    const qrCode = req.params.qrCode;
+const qrFormats = ['png', 'svg'];
 
-    // Refined Validation: Check if qrCode is provided and if a ticket with this QR code exists
-    if (!qrCode || typeof qrCode !== 'string' || qrCode.trim() === '') {
-        return res.status(400).json({ message: 'QR code is required.' });
+// GET /api/tickets/clave-publica - Public key to verify ticket codes offline (public, scanners download it)
+router.get('/clave-publica', (req, res) => {
+    try {
+        res.status(200).json({ algoritmo: 'Ed25519', formato: 'GE1', clavePublica: getPublicKeyPem() });
+    } catch (error) {
+        console.error('Error loading ticket signing public key:', error);
+        res.status(500).json({ message: 'Error loading public key' });
+    }
+});
+
+// GET /api/tickets/:ticketID/qr?formato=png|svg&tamano=300 - Scannable QR of a ticket
+// Available to the ticket holder, the payer, the event organizer and administrators.
+router.get('/:ticketID/qr', authenticateToken, async (req, res) => {
+    const ticketID = req.params.ticketID;
+    const formato = (req.query.formato || 'png').toLowerCase();
+    const tamano = req.query.tamano !== undefined ? parseInt(req.query.tamano, 10) : 300;
+
+    if (isNaN(ticketID) || parseInt(ticketID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid ticket ID provided.' });
+    }
+    if (!qrFormats.includes(formato)) {
+        return res.status(400).json({ message: `formato debe ser uno de: ${qrFormats.join(', ')}.` });
+    }
+    if (isNaN(tamano) || tamano < 100 || tamano > 1000) {
+        return res.status(400).json({ message: 'tamano debe ser un número entre 100 y 1000.' });
     }
 
     try {
-        // Fetch ticket by QR code, including event and user details
         const result = await pool.query(
-            'SELECT t.*, e.nombre as eventName, u.nombre as userName, u.apellido as userApellido '
-            + 'FROM Boleto t '
-            + 'JOIN Evento e ON t.eventoID = e.eventoID '
-            + 'JOIN Usuario u ON t.usuarioID = u.usuarioID '
-            + 'WHERE t.qrCode = $1',
-            [qrCode]
+            'SELECT b.boletoID, b.codigoQR, b.estado, b.usuarioID, p.usuarioID AS pagadorID, e.organizadorID '
+            + 'FROM Boleto b JOIN Pago p ON b.pagoID = p.pagoID JOIN Evento e ON b.eventoID = e.eventoID '
+            + 'WHERE b.boletoID = $1',
+            [ticketID]
         );
+        const ticket = result.rows[0];
+        const allowed = ticket && (
+            req.user.role === 'ADMINISTRADOR'
+            || [ticket.usuarioid, ticket.pagadorid, ticket.organizadorid].includes(req.user.userId)
+        );
+        if (!allowed) {
+            return res.status(404).json({ message: 'Ticket not found.' });
+        }
+        if (!['ACTIVO', 'USADO'].includes(ticket.estado)) {
+            return res.status(409).json({ message: `The ticket has no valid QR (estado: ${ticket.estado}).` });
+        }
 
-        if (result.rows.length > 0) {
-            const ticket = result.rows[0];
-
-            if (ticket) {
-                res.status(200).json(ticket);
-            } else {
-                res.status(404).json({ message: 'Ticket not found or invalid QR code' });
-            }
+        if (formato === 'svg') {
+            const svg = await QRCode.toString(ticket.codigoqr, { type: 'svg', width: tamano, errorCorrectionLevel: 'M' });
+            res.type('image/svg+xml').send(svg);
         } else {
-            res.status(404).json({ message: 'Ticket not found' });
+            const png = await QRCode.toBuffer(ticket.codigoqr, { type: 'png', width: tamano, errorCorrectionLevel: 'M' });
+            res.type('image/png').send(png);
         }
-
     } catch (error) {
-        console.error(`Error fetching ticket with QR code ${qrCode}:`, error);
-        res.status(500).json({ message: `Error fetching ticket with QR code ${qrCode}` });
+        console.error(`Error rendering QR for ticket ${ticketID}:`, error);
+        res.status(500).json({ message: 'Error rendering ticket QR' });
     }
 });
 
-router.put('/:ticketID/verify', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR', 'ASISTENTE']), async (req, res) => {
-    const ticketID = req.params.ticketID;
-    const { estado } = req.body; // Assuming 'estado' is the field to update, e.g., to 'VERIFICADO'
-
-    // Refined Validations:
-    // 1. Check if ticketID is a valid number
-    // 2. Check if ticket exists
-    // 3. Validate the provided 'estado'
+// Ticket Check-in Routes
+// POST /api/tickets/scan - Scan a ticket at the door (staff only). Body: { codigoQR, eventoID }
+// Every scan outcome answers 200 with { resultado, valido, message, boleto } so scanners can show it as is;
+// only VALIDO consumes the ticket. Staff assigned through AreaManager can only admit tickets of their areas.
+router.post('/scan', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const { codigoQR, eventoID } = req.body;
 
-    if (isNaN(ticketID) || parseInt(ticketID, 10) <= 0) {
-        return res.status(400).json({ message: 'Invalid ticket ID provided.' });
+    if (!codigoQR || typeof codigoQR !== 'string' || codigoQR.trim() === '') {
+        return res.status(400).json({ message: 'QR code is required.' });
     }
-
-    const validTicketStates = ['COMPRADO', 'VERIFICADO', 'CANCELADO']; // Define valid states for verification process
-    if (!estado || typeof estado !== 'string' || !validTicketStates.includes(estado.toUpperCase())) {
-        return res.status(400).json({ error: `Estado inválido. Use uno de los siguientes para verificar: ${validTicketStates.join(', ')}.` });
+    if (!Number.isInteger(eventoID) || eventoID <= 0) {
+        return res.status(400).json({ message: 'eventoID must be a positive integer.' });
     }
 
+    const client = await pool.connect();
     try {
-        // Check if the ticket exists and fetch its current state
-        const ticketCheckResult = await pool.query('SELECT boletoID, estado FROM Boleto WHERE boletoID = $1', [ticketID]);
-        if (ticketCheckResult.rows.length === 0) {
-            return res.status(404).json({ message: 'Ticket not found.' });
+        const areaScope = await getAreaScope(client, req.user, eventoID);
+        if (!areaScope) {
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        if (!areaScope.unrestricted && areaScope.areaIDs.length === 0) {
+            return res.status(403).json({ message: 'Forbidden: you are not staff of this event.' });
         }
 
-        const currentTicket = ticketCheckResult.rows[0];
+        await client.query('BEGIN');
 
-        // Optional: Prevent verifying an already verified ticket
-        if (currentTicket.estado.toUpperCase() === 'VERIFICADO' && estado.toUpperCase() === 'VERIFICADO') {
-             return res.status(400).json({ message: 'Ticket is already verified.' });
+        // The row lock serializes concurrent scans of the same ticket: the second one sees it USADO
+        const ticket = await findTicketByCode(client, codigoQR.trim(), true);
+        let resultado = classifyScan(ticket, eventoID);
+        if (resultado === 'VALIDO' && !scopeIncludesArea(areaScope, ticket.areaid)) {
+            resultado = 'AREA_NO_ASIGNADA';
         }
 
-        // Proceed with update if validations pass
-        const updateResult = await pool.query(
-            'UPDATE Boleto SET estado = $1 WHERE boletoID = $2 RETURNING boletoID',
-            [estado.toUpperCase(), ticketID]
-        );
+        if (resultado === 'VALIDO') {
+            const updateResult = await client.query(
+                'UPDATE Boleto SET estado = \'USADO\', fechaUso = NOW(), verificadoPorID = $1 '
+                + 'WHERE boletoID = $2 AND estado = \'ACTIVO\' RETURNING estado, fechaUso',
+                [req.user.userId, ticket.boletoid]
+            );
+            ticket.estado = updateResult.rows[0].estado;
+            ticket.fechauso = updateResult.rows[0].fechauso;
+        }
+
+        await client.query('COMMIT');
 
-        if (updateResult.rows.length > 0) {
+        if (resultado === 'VALIDO') {
             // Log activity for verification
             try {
-                // We might need to fetch eventID and usuarioID for the ticket for better logging details
-                const ticketDetailsForLog = await pool.query(
-                    'SELECT eventoID, usuarioID FROM Boleto WHERE boletoID = $1',
-                    [ticketID]
-                );
-                const details = ticketDetailsForLog.rows[0];
-
                 await pool.query(
                     'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
-                    [req.user.userId, 'VERIFICACION_ASISTENCIA', `Ticket verificado (ID: ${ticketID})`, JSON.stringify({ ticketId: ticketID, attendedUserId: details.usuarioid, eventId: details.eventoid }), req.ip]
+                    [req.user.userId, 'VERIFICACION_ASISTENCIA', `Ticket verificado (ID: ${ticket.boletoid})`, JSON.stringify({ ticketId: ticket.boletoid, attendedUserId: ticket.usuarioid, eventId: ticket.eventoid }), req.ip]
                 );
             } catch (activityLogError) {
                 console.error('Error logging activity for ticket verification:', activityLogError);
                 // Continue with verification success even if activity logging fails
             }
-            res.status(200).json({ message: 'Ticket verified successfully', ticketId: ticketID });
-        } else {
-             // Should not happen if ticket was found initially, but as a safety check
-             res.status(404).json({ message: 'Ticket not found during update.' });
         }
 
+        res.status(200).json({
+            resultado,
+            valido: resultado === 'VALIDO',
+            message: scanResults[resultado],
+            boleto: scanTicketSummary(ticket, eventoID)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error scanning ticket for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error scanning ticket' });
+    } finally {
+        client.release();
+    }
+});
+
+// Offline check-in
+// Scanners download the manifest while they have connectivity, validate codes offline with the public key
+// and the ticket list, and upload their scans later through /sincronizar.
+const MAX_SYNC_RECORDS = 1000;
+
+// GET /api/tickets/eventos/:eventoID/manifiesto - Tickets a scanner can admit (staff only, limited to the staff's areas)
+router.get('/eventos/:eventoID/manifiesto', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const eventoID = req.params.eventoID;
+
+    if (isNaN(eventoID) || parseInt(eventoID, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+
+    try {
+        const areaScope = await getAreaScope(pool, req.user, eventoID);
+        if (!areaScope) {
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        if (!areaScope.unrestricted && areaScope.areaIDs.length === 0) {
+            return res.status(403).json({ message: 'Forbidden: you are not staff of this event.' });
+        }
+
+        const eventResult = await pool.query(
+            'SELECT eventoID, nombre, fecha, horaInicio, horaFin, estado, '
+            + '(fecha + horaInicio) - make_interval(mins => $2) AS apertura, (fecha + horaFin) AS cierre '
+            + 'FROM Evento WHERE eventoID = $1',
+            [eventoID, CHECKIN_OPENS_MINUTES]
+        );
+
+        const params = [eventoID];
+        let areaFilter = '';
+        if (!areaScope.unrestricted) {
+            params.push(areaScope.areaIDs);
+            areaFilter = 'AND a.areaID = ANY($2::int[]) ';
+        }
+        const ticketsResult = await pool.query(
+            'SELECT b.boletoID, b.codigoQR, b.estado, b.fechaUso, b.asientoID, a.codigo AS asientoCodigo, a.areaID AS areaid, u.nombre AS titular '
+            + 'FROM Boleto b JOIN Usuario u ON b.usuarioID = u.usuarioID LEFT JOIN Asiento a ON b.asientoID = a.asientoID '
+            + 'WHERE b.eventoID = $1 AND b.estado IN (\'ACTIVO\', \'USADO\') '
+            + areaFilter
+            + 'ORDER BY b.boletoID ASC',
+            params
+        );
+
+        res.status(200).json({
+            evento: eventResult.rows[0],
+            generadoEn: new Date(),
+            clavePublica: getPublicKeyPem(),
+            boletos: ticketsResult.rows
+        });
+    } catch (error) {
+        console.error(`Error generating check-in manifest for event ${eventoID}:`, error);
+        res.status(500).json({ message: 'Error generating check-in manifest' });
+    }
+});
+
+// POST /api/tickets/eventos/:eventoID/sincronizar - Upload scans made offline (staff only)
+// Body: { dispositivo?: string, escaneos: [{ codigoQR, fechaEscaneo (ISO 8601) }] }
+// Scans are applied in chronological order; when several devices scanned the same ticket the earliest scan wins.
+// Returns one result per scan, in the order received.
+router.post('/eventos/:eventoID/sincronizar', authenticateToken, authorizeRoles(['ORGANIZADOR', 'ADMINISTRADOR']), async (req, res) => {
+    const eventoID = parseInt(req.params.eventoID, 10);
+    const { dispositivo, escaneos } = req.body;
+
+    if (isNaN(eventoID) || eventoID <= 0) {
+        return res.status(400).json({ message: 'Invalid event ID provided.' });
+    }
+    if (dispositivo !== undefined && dispositivo !== null && (typeof dispositivo !== 'string' || dispositivo.length > 100)) {
+        return res.status(400).json({ message: 'Si se proporciona dispositivo, debe ser una cadena de máximo 100 caracteres.' });
+    }
+    if (!Array.isArray(escaneos) || escaneos.length === 0 || escaneos.length > MAX_SYNC_RECORDS) {
+        return res.status(400).json({ message: `escaneos must be a non-empty array of at most ${MAX_SYNC_RECORDS} scans.` });
+    }
+    if (escaneos.some(scan => typeof scan !== 'object' || scan === null || typeof scan.codigoQR !== 'string' || typeof scan.fechaEscaneo !== 'string')) {
+        return res.status(400).json({ message: 'Each scan must have codigoQR and fechaEscaneo strings.' });
+    }
+
+    const records = escaneos
+        .map((scan, index) => ({ index, codigoQR: scan.codigoQR.trim(), fechaEscaneo: new Date(scan.fechaEscaneo) }))
+        .sort((a, b) => (a.fechaEscaneo.getTime() || 0) - (b.fechaEscaneo.getTime() || 0));
+    const results = new Array(escaneos.length);
+    const checkIns = [];
+
+    const client = await pool.connect();
+    try {
+        const areaScope = await getAreaScope(client, req.user, eventoID);
+        if (!areaScope) {
+            return res.status(404).json({ message: 'Event not found.' });
+        }
+        if (!areaScope.unrestricted && areaScope.areaIDs.length === 0) {
+            return res.status(403).json({ message: 'Forbidden: you are not staff of this event.' });
+        }
+
+        await client.query('BEGIN');
+
+        const windowResult = await client.query(
+            'SELECT (fecha + horaInicio) - make_interval(mins => $2) AS apertura, (fecha + horaFin) AS cierre FROM Evento WHERE eventoID = $1',
+            [eventoID, CHECKIN_OPENS_MINUTES]
+        );
+        const ventana = windowResult.rows[0];
+
+        for (const record of records) {
+            const ticket = await findTicketByCode(client, record.codigoQR, true);
+            let resultado = classifyOfflineScan(ticket, eventoID, record.fechaEscaneo, ventana);
+            if (['VALIDO', 'YA_USADO'].includes(resultado) && !scopeIncludesArea(areaScope, ticket.areaid)) {
+                resultado = 'AREA_NO_ASIGNADA';
+            }
+
+            let corregido = false;
+            if (resultado === 'VALIDO') {
+                const updateResult = await client.query(
+                    'UPDATE Boleto SET estado = \'USADO\', fechaUso = $1, verificadoPorID = $2 WHERE boletoID = $3 RETURNING estado, fechaUso',
+                    [record.fechaEscaneo, req.user.userId, ticket.boletoid]
+                );
+                Object.assign(ticket, { estado: updateResult.rows[0].estado, fechauso: updateResult.rows[0].fechauso });
+                checkIns.push({ ticket, fechaEscaneo: record.fechaEscaneo });
+            } else if (resultado === 'YA_USADO' && ticket.fechauso && record.fechaEscaneo < ticket.fechauso) {
+                // Another device synced first but this scan happened earlier: it becomes the first scan
+                const updateResult = await client.query(
+                    'UPDATE Boleto SET fechaUso = $1, verificadoPorID = $2 WHERE boletoID = $3 RETURNING fechaUso',
+                    [record.fechaEscaneo, req.user.userId, ticket.boletoid]
+                );
+                ticket.fechauso = updateResult.rows[0].fechauso;
+                corregido = true;
+            }
+
+            results[record.index] = {
+                codigoQR: record.codigoQR,
+                fechaEscaneo: record.fechaEscaneo,
+                resultado,
+                corregido,
+                boleto: scanTicketSummary(ticket, eventoID)
+            };
+        }
+
+        await client.query('COMMIT');
     } catch (error) {
-        console.error(`Error verifying ticket with ID ${ticketID}:`, error);
-        res.status(500).json({ message: `Error verifying ticket with ID ${ticketID}` });
+        await client.query('ROLLBACK');
+        console.error(`Error syncing offline scans for event ${eventoID}:`, error);
+        return res.status(500).json({ message: 'Error syncing offline scans' });
+    } finally {
+        client.release();
     }
+
+    // Log one activity per ticket admitted, dated when it was scanned
+    for (const checkIn of checkIns) {
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, $4, $5, $6)',
+                [
+                    req.user.userId,
+                    'VERIFICACION_ASISTENCIA',
+                    `Ticket verificado sin conexión (ID: ${checkIn.ticket.boletoid})`,
+                    checkIn.fechaEscaneo,
+                    JSON.stringify({ ticketId: checkIn.ticket.boletoid, attendedUserId: checkIn.ticket.usuarioid, eventId: eventoID, offline: true, dispositivo: dispositivo || null }),
+                    req.ip
+                ]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for offline ticket verification:', activityLogError);
+        }
+    }
+
+    const resumen = {};
+    results.forEach(result => {
+        resumen[result.resultado] = (resumen[result.resultado] || 0) + 1;
+    });
+    res.status(200).json({ message: 'Offline scans synced', procesados: results.length, resumen, resultados: results });
 });
 
 module.exports = router;
@@ -4,6 +4,8 @@ const { pool } = require('../db'); // Import the pool from db.js
 const bcrypt = require('bcrypt');
 const authenticateToken = require('../middleware/authMiddleware');
 const authorizeRoles = require('../middleware/roleMiddleware');
+const { notifySafely } = require('../services/notificationService');
+const { revokeUserSessions } = require('../services/sessionService');
 
 // User Management Routes (Admin)
 // Apply authentication middleware to all user management routes
@@ -203,6 +205,8 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
                 paramIndex++;
             }
             if (estado !== undefined) {
+                // An estado set by an administrator is never lifted automatically, and starts with clean login counters
+                updateUsuarioQuery.push('bloqueadoHasta = NULL', 'intentosFallidos = 0');
                 updateUsuarioQuery.push(`estado = $${paramIndex}`);
                 queryParams.push(estado);
                 paramIndex++;
@@ -281,6 +285,11 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
                 }
             }
 
+            // Open sessions carry the old role/state: a blocked user, a new password or a role change logs the user out everywhere
+            const roleChanged = targetRole !== null && targetRole !== undefined && targetRole !== currentRole;
+            if ((estado !== undefined && estado !== 'ACTIVO') || contraseña !== undefined || roleChanged) {
+                await revokeUserSessions(client, userId);
+            }
 
             await client.query('COMMIT');
 
@@ -295,6 +304,18 @@ router.put('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (
                 // Continue with user update success even if activity logging fails
             }
 
+            // Let the affected user know an administrator changed their account
+            const changedFields = Object.keys(req.body).filter(key => key !== 'contraseña');
+            const passwordChanged = contraseña !== undefined;
+            await notifySafely(pool, {
+                usuarioID: userId,
+                titulo: 'Tu cuenta fue actualizada',
+                mensaje: 'Un administrador modificó tu cuenta.'
+                    + (changedFields.length > 0 ? ` Campos actualizados: ${changedFields.join(', ')}.` : '')
+                    + (passwordChanged ? ' Tu contraseña fue restablecida.' : ''),
+                tipo: 'SISTEMA'
+            });
+
             res.status(200).json({ message: 'User updated successfully' });
 
         } catch (e) {
@@ -359,4 +380,105 @@ router.delete('/:id', authenticateToken, authorizeRoles(['ADMINISTRADOR']), asyn
     }
 });
 
+// GET /api/users/:id/sesiones - Sessions of a user (Admin only)
+router.get('/:id/sesiones', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const userId = req.params.id;
+
+    if (isNaN(userId) || parseInt(userId, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid user ID provided.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT sesionID, fechaCreacion, fechaExpiracion, ultimoUso, revocada, fechaRevocacion, direccionIP, agenteUsuario '
+            + 'FROM SesionUsuario WHERE usuarioID = $1 ORDER BY fechaCreacion DESC',
+            [userId]
+        );
+        res.status(200).json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching sessions of user ${userId}:`, error);
+        res.status(500).json({ message: `Error fetching sessions of user ${userId}` });
+    }
+});
+
+// POST /api/users/:id/sesiones/revocar - Revoke every session of a user (Admin only)
+// The user's access tokens stop working immediately and the refresh tokens can no longer be used.
+router.post('/:id/sesiones/revocar', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const userId = req.params.id;
+
+    if (isNaN(userId) || parseInt(userId, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid user ID provided.' });
+    }
+
+    try {
+        const userCheckResult = await pool.query('SELECT usuarioID FROM Usuario WHERE usuarioID = $1', [userId]);
+        if (userCheckResult.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const revoked = await revokeUserSessions(pool, userId);
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'OTRO', `Sesiones revocadas (Usuario ID: ${userId})`, JSON.stringify({ targetUserId: userId, sesionesRevocadas: revoked }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for session revocation:', activityLogError);
+        }
+
+        res.status(200).json({ message: 'Sessions revoked successfully', sesionesRevocadas: revoked });
+    } catch (error) {
+        console.error(`Error revoking sessions of user ${userId}:`, error);
+        res.status(500).json({ message: `Error revoking sessions of user ${userId}` });
+    }
+});
+
+// POST /api/users/:id/desbloquear - Unlock an account locked after failed logins, or by an administrator (Admin only)
+router.post('/:id/desbloquear', authenticateToken, authorizeRoles(['ADMINISTRADOR']), async (req, res) => {
+    const userId = req.params.id;
+
+    if (isNaN(userId) || parseInt(userId, 10) <= 0) {
+        return res.status(400).json({ message: 'Invalid user ID provided.' });
+    }
+
+    try {
+        const userCheckResult = await pool.query('SELECT usuarioID, estado, bloqueadoHasta FROM Usuario WHERE usuarioID = $1', [userId]);
+        if (userCheckResult.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const previous = userCheckResult.rows[0];
+
+        const updateResult = await pool.query(
+            'UPDATE Usuario SET estado = \'ACTIVO\', intentosFallidos = 0, ultimoIntentoFallido = NULL, bloqueadoHasta = NULL '
+            + 'WHERE usuarioID = $1 AND estado = \'BLOQUEADO\' RETURNING usuarioID, estado',
+            [userId]
+        );
+        if (updateResult.rows.length === 0) {
+            return res.status(409).json({ message: 'User is not locked.', estado: previous.estado });
+        }
+
+        try {
+            await pool.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [req.user.userId, 'OTRO', `Cuenta desbloqueada (Usuario ID: ${userId})`, JSON.stringify({ targetUserId: userId, bloqueadoHasta: previous.bloqueadohasta }), req.ip]
+            );
+        } catch (activityLogError) {
+            console.error('Error logging activity for account unlock:', activityLogError);
+        }
+
+        await notifySafely(pool, {
+            usuarioID: userId,
+            titulo: 'Cuenta desbloqueada',
+            mensaje: 'Un administrador desbloqueó tu cuenta. Ya puedes iniciar sesión.',
+            tipo: 'SISTEMA'
+        });
+
+        res.status(200).json({ message: 'User unlocked successfully', user: updateResult.rows[0] });
+    } catch (error) {
+        console.error(`Error unlocking user ${userId}:`, error);
+        res.status(500).json({ message: `Error unlocking user ${userId}` });
+    }
+});
+
 module.exports = router;
@@ -1,5 +1,14 @@
 -- Drop existing tables and types if they exist (to allow re-running the script)
 -- Note: This will delete all existing data!
+DROP TABLE IF EXISTS AsientoEvento CASCADE;
+DROP TABLE IF EXISTS Trabajo CASCADE;
+DROP TABLE IF EXISTS EventoPersonal CASCADE;
+DROP TABLE IF EXISTS Invitacion CASCADE;
+DROP TABLE IF EXISTS IntentoLoginIP CASCADE;
+DROP TABLE IF EXISTS TokenUsuario CASCADE;
+DROP TABLE IF EXISTS SesionUsuario CASCADE;
+DROP TABLE IF EXISTS SolicitudReembolso CASCADE;
+DROP TABLE IF EXISTS ReservaAsiento CASCADE;
 DROP TABLE IF EXISTS AreaManager CASCADE;
 DROP TABLE IF EXISTS Reporte CASCADE;
 DROP TABLE IF EXISTS Actividad CASCADE;
@@ -32,6 +41,14 @@ DROP SEQUENCE IF EXISTS notificacion_notificacionid_seq CASCADE;
 DROP SEQUENCE IF EXISTS actividad_actividadid_seq CASCADE;
 DROP SEQUENCE IF EXISTS reporte_reportid_seq CASCADE;
 DROP SEQUENCE IF EXISTS areamanager_areamanagerid_seq CASCADE;
+DROP SEQUENCE IF EXISTS reservaasiento_reservaid_seq CASCADE;
+DROP SEQUENCE IF EXISTS solicitudreembolso_solicitudid_seq CASCADE;
+DROP SEQUENCE IF EXISTS sesionusuario_sesionid_seq CASCADE;
+DROP SEQUENCE IF EXISTS tokenusuario_tokenid_seq CASCADE;
+DROP SEQUENCE IF EXISTS invitacion_invitacionid_seq CASCADE;
+DROP SEQUENCE IF EXISTS eventopersonal_eventopersonalid_seq CASCADE;
+DROP SEQUENCE IF EXISTS trabajo_trabajoid_seq CASCADE;
+DROP SEQUENCE IF EXISTS asientoevento_asientoeventoid_seq CASCADE;
 
 
 -- Drop ENUM types
@@ -47,6 +64,11 @@ DROP TYPE IF EXISTS tipo_notificacion;
 DROP TYPE IF EXISTS tipo_actividad;
 DROP TYPE IF EXISTS tipo_reporte;
 DROP TYPE IF EXISTS formato_reporte;
+DROP TYPE IF EXISTS estado_solicitud_reembolso;
+DROP TYPE IF EXISTS tipo_token_usuario;
+DROP TYPE IF EXISTS estado_invitacion;
+DROP TYPE IF EXISTS tipo_trabajo;
+DROP TYPE IF EXISTS estado_trabajo;
 
 
 -- Create ENUM types
@@ -57,11 +79,16 @@ CREATE TYPE estado_asiento AS ENUM ('DISPONIBLE', 'OCUPADO', 'RESERVADO', 'BLOQU
 CREATE TYPE estado_evento AS ENUM ('ACTIVO', 'COMPLETADO', 'CANCELADO', 'BORRADOR');
 CREATE TYPE tipo_evento AS ENUM ('CONFERENCIA', 'TALLER', 'CEREMONIA', 'SEMINARIO', 'OTRO');
 CREATE TYPE estado_pago AS ENUM ('PENDIENTE', 'COMPLETADO', 'FALLIDO', 'REEMBOLSADO');
-CREATE TYPE estado_boleto AS ENUM ('ACTIVO', 'USADO', 'CANCELADO', 'EXPIRADO');
+CREATE TYPE estado_boleto AS ENUM ('PENDIENTE', 'ACTIVO', 'USADO', 'CANCELADO', 'EXPIRADO');
 CREATE TYPE tipo_notificacion AS ENUM ('CONFIRMACION_COMPRA', 'RECORDATORIO_EVENTO', 'CAMBIO_EVENTO', 'SISTEMA');
 CREATE TYPE tipo_actividad AS ENUM ('INICIO_SESION', 'COMPRA', 'CREACION_EVENTO', 'MODIFICACION_EVENTO', 'VERIFICACION_ASISTENCIA', 'OTRO');
 CREATE TYPE tipo_reporte AS ENUM ('OCUPACION', 'VENTAS', 'ASISTENCIA', 'PERSONAL');
 CREATE TYPE formato_reporte AS ENUM ('PDF', 'EXCEL', 'CSV');
+CREATE TYPE estado_solicitud_reembolso AS ENUM ('PENDIENTE', 'APROBADA', 'RECHAZADA', 'CANCELADA');
+CREATE TYPE tipo_token_usuario AS ENUM ('RESTABLECER_CONTRASENA', 'VERIFICAR_CORREO');
+CREATE TYPE estado_invitacion AS ENUM ('PENDIENTE', 'ACEPTADA', 'REVOCADA');
+CREATE TYPE tipo_trabajo AS ENUM ('PROGRAMAR_RECORDATORIOS', 'RECORDATORIO_EVENTO', 'LIBERAR_RESERVAS', 'VENCER_PAGOS', 'COMPLETAR_EVENTOS', 'PURGAR_ACTIVIDAD', 'REEMBOLSAR_PAGO');
+CREATE TYPE estado_trabajo AS ENUM ('PENDIENTE', 'EN_EJECUCION', 'COMPLETADO', 'FALLIDO');
 
 
 -- Create Tables
@@ -74,6 +101,9 @@ CREATE TABLE Usuario (
     telefono VARCHAR(20),
     estado estado_usuario NOT NULL,
     ultimoAcceso TIMESTAMP,
+    intentosFallidos INT DEFAULT 0 NOT NULL, -- Consecutive failed logins
+    ultimoIntentoFallido TIMESTAMP,
+    bloqueadoHasta TIMESTAMP, -- Automatic unlock time of a BLOQUEADO account (NULL = until an admin unlocks it)
     fechaCreacion TIMESTAMP NOT NULL,
     fechaModificacion TIMESTAMP NOT NULL
 );
@@ -97,7 +127,8 @@ CREATE TABLE Lugar (
     nombre VARCHAR(100) NOT NULL,
     direccion VARCHAR(255) NOT NULL,
     capacidadMaxima INT NOT NULL,
-    descripcion TEXT
+    descripcion TEXT,
+    margenMinutos INT NOT NULL DEFAULT 0 -- Setup/teardown time kept free before and after each event
 );
 
 CREATE TABLE Evento (
@@ -111,6 +142,7 @@ CREATE TABLE Evento (
     capacidad INT NOT NULL,
     boletosVendidos INT DEFAULT 0 NOT NULL,
     estado estado_evento NOT NULL,
+    fechaLimiteReembolso TIMESTAMP, -- Last moment attendees can request a refund (NULL = until the event starts)
     imagen VARCHAR(255), -- Assuming image is a path or URL
     tipo tipo_evento NOT NULL,
     fechaCreacion TIMESTAMP NOT NULL,
@@ -155,6 +187,9 @@ CREATE TABLE Pago (
     metodoPagoID INT NOT NULL,
     referencia VARCHAR(100), -- Transaction ID, bank reference, etc.
     estado estado_pago NOT NULL,
+    proveedor VARCHAR(50), -- Payment gateway that handles the checkout (e.g. 'mock')
+    fechaExpiracion TIMESTAMP, -- When an unpaid checkout session is considered failed
+    montoReembolsado DECIMAL(10,2) DEFAULT 0 NOT NULL, -- Sum of the refunds applied to this payment
     usuarioID INT NOT NULL, -- Who made the payment
     eventoID INT NOT NULL -- For which event was the payment made?
     -- FOREIGN KEY (metodoPagoID) REFERENCES MetodoPago(metodoPagoID) ON DELETE RESTRICT -- Added later
@@ -171,11 +206,14 @@ CREATE TABLE Boleto (
     pagoID INT NOT NULL, -- Which payment does this ticket belong to?
     asientoID INT, -- Which seat is assigned (if applicable)
     eventoID INT NOT NULL, -- Which event is this ticket for?
-    usuarioID INT NOT NULL -- Who is the ticket for? (Could be different from who paid)
+    usuarioID INT NOT NULL, -- Who is the ticket for? (Could be different from who paid)
+    fechaUso TIMESTAMP, -- First valid scan at the door
+    verificadoPorID INT -- Staff member who scanned the ticket
     -- FOREIGN KEY (pagoID) REFERENCES Pago(pagoID) ON DELETE CASCADE -- Added later
     -- FOREIGN KEY (asientoID) REFERENCES Asiento(asientoID) ON DELETE SET NULL -- Added later
     -- FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE -- Added later
     -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (verificadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL -- Added later
 );
 
 
@@ -230,12 +268,149 @@ CREATE TABLE AreaManager (
     UNIQUE (areaID, eventoID) -- An area can only have one manager per event
 );
 
+-- Temporary seat holds taken during checkout (the seat is RESERVADO until the hold expires or is paid)
+CREATE TABLE ReservaAsiento (
+    reservaID SERIAL PRIMARY KEY,
+    asientoID INT NOT NULL,
+    eventoID INT NOT NULL, -- Event the seat is being bought for
+    usuarioID INT NOT NULL, -- User holding the seat
+    fechaCreacion TIMESTAMP NOT NULL,
+    fechaExpiracion TIMESTAMP NOT NULL,
+    UNIQUE (eventoID, asientoID) -- A seat can only be held by one user at a time for each event
+    -- FOREIGN KEY (asientoID) REFERENCES Asiento(asientoID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE -- Added later
+);
+
+-- Refund / cancellation requests made by attendees and resolved by organizers or administrators
+CREATE TABLE SolicitudReembolso (
+    solicitudID SERIAL PRIMARY KEY,
+    pagoID INT NOT NULL, -- Payment to refund
+    usuarioID INT NOT NULL, -- Who requested the refund
+    boletoIDs INT[] NOT NULL, -- Tickets of the payment to cancel
+    motivo TEXT,
+    estado estado_solicitud_reembolso NOT NULL DEFAULT 'PENDIENTE',
+    montoReembolsado DECIMAL(10,2), -- Amount actually refunded once approved
+    respuesta TEXT, -- Reviewer comment
+    revisadoPorID INT, -- Organizer or administrator who resolved the request
+    fechaSolicitud TIMESTAMP NOT NULL,
+    fechaResolucion TIMESTAMP
+    -- FOREIGN KEY (pagoID) REFERENCES Pago(pagoID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (revisadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL -- Added later
+);
+
+-- Login sessions. Each one holds the current refresh token (hashed), which is rotated on every use
+CREATE TABLE SesionUsuario (
+    sesionID SERIAL PRIMARY KEY,
+    usuarioID INT NOT NULL,
+    refreshTokenHash VARCHAR(64) NOT NULL, -- SHA-256 of the current refresh token
+    fechaCreacion TIMESTAMP NOT NULL,
+    fechaExpiracion TIMESTAMP NOT NULL,
+    ultimoUso TIMESTAMP,
+    revocada BOOLEAN NOT NULL DEFAULT FALSE,
+    fechaRevocacion TIMESTAMP,
+    direccionIP VARCHAR(45),
+    agenteUsuario VARCHAR(255)
+    -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE -- Added later
+);
+
+-- Single-use tokens sent by email (password reset, email verification)
+CREATE TABLE TokenUsuario (
+    tokenID SERIAL PRIMARY KEY,
+    usuarioID INT NOT NULL,
+    tipo tipo_token_usuario NOT NULL,
+    tokenHash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token sent to the user
+    fechaCreacion TIMESTAMP NOT NULL,
+    fechaExpiracion TIMESTAMP NOT NULL,
+    fechaUso TIMESTAMP, -- Set when the token is consumed (or superseded by a newer one)
+    direccionIP VARCHAR(45)
+    -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE -- Added later
+);
+
+-- Failed login tracking per client IP (brute-force protection across accounts)
+CREATE TABLE IntentoLoginIP (
+    direccionIP VARCHAR(45) PRIMARY KEY,
+    intentosFallidos INT DEFAULT 0 NOT NULL, -- Failed logins in the current window
+    primerIntento TIMESTAMP NOT NULL, -- Start of the current window
+    ultimoIntento TIMESTAMP NOT NULL,
+    bloqueadoHasta TIMESTAMP
+);
+
+-- Invitations issued by administrators to create organizer and administrator accounts
+CREATE TABLE Invitacion (
+    invitacionID SERIAL PRIMARY KEY,
+    correoElectronico VARCHAR(255) NOT NULL,
+    nivelPermiso nivelpermiso NOT NULL, -- Role of the account created when the invitation is accepted
+    departamento VARCHAR(50),
+    tokenHash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token sent by email
+    estado estado_invitacion NOT NULL DEFAULT 'PENDIENTE',
+    invitadoPorID INT,
+    usuarioID INT, -- Account created when the invitation was accepted
+    fechaCreacion TIMESTAMP NOT NULL,
+    fechaExpiracion TIMESTAMP NOT NULL,
+    fechaAceptacion TIMESTAMP,
+    fechaRevocacion TIMESTAMP
+    -- FOREIGN KEY (invitadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL -- Added later
+    -- FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL -- Added later
+);
+
+-- Organizers explicitly added as staff of an event: they can modify it like its organizer
+-- (except deleting it, transferring it or managing its staff)
+CREATE TABLE EventoPersonal (
+    eventoPersonalID SERIAL PRIMARY KEY,
+    eventoID INT NOT NULL,
+    organizadorID INT NOT NULL,
+    asignadoPorID INT,
+    fechaAsignacion TIMESTAMP NOT NULL,
+    UNIQUE (eventoID, organizadorID)
+    -- FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (organizadorID) REFERENCES Organizador(usuarioID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (asignadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL -- Added later
+);
+
+-- Background jobs (services/jobRunner.js). Recurring jobs have intervaloSegundos and are rescheduled after each run;
+-- the others run once. A running job is leased to one instance until bloqueadoHasta.
+CREATE TABLE Trabajo (
+    trabajoID SERIAL PRIMARY KEY,
+    tipo tipo_trabajo NOT NULL,
+    estado estado_trabajo NOT NULL DEFAULT 'PENDIENTE',
+    claveUnica VARCHAR(200) UNIQUE NOT NULL, -- Prevents enqueuing the same job twice
+    parametros JSONB,
+    intervaloSegundos INT, -- NULL for one-off jobs
+    programadoPara TIMESTAMP WITH TIME ZONE NOT NULL,
+    intentos INT NOT NULL DEFAULT 0,
+    maxIntentos INT NOT NULL DEFAULT 3,
+    bloqueadoPor VARCHAR(100), -- Instance (host:pid) running the job
+    bloqueadoHasta TIMESTAMP WITH TIME ZONE,
+    resultado JSONB,
+    ultimoError TEXT,
+    fechaUltimoError TIMESTAMP WITH TIME ZONE,
+    fechaInicio TIMESTAMP WITH TIME ZONE,
+    fechaFin TIMESTAMP WITH TIME ZONE,
+    fechaCreacion TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seat inventory of an event (services/seatInventory.js): the state of each seat of the venue for that event.
+-- Created when the event is published; Asiento.estado only keeps the physical state of the seat (DISPONIBLE or BLOQUEADO).
+CREATE TABLE AsientoEvento (
+    asientoEventoID SERIAL PRIMARY KEY,
+    eventoID INT NOT NULL,
+    asientoID INT NOT NULL,
+    estado estado_asiento NOT NULL DEFAULT 'DISPONIBLE',
+    fechaModificacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (eventoID, asientoID)
+    -- FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE -- Added later
+    -- FOREIGN KEY (asientoID) REFERENCES Asiento(asientoID) ON DELETE CASCADE -- Added later
+);
+
 -- Tabla de Configuración General
 CREATE TABLE Configuracion (
     configID SERIAL PRIMARY KEY,
     nombreAplicacion VARCHAR(255) NOT NULL,
     contactoEmail VARCHAR(255) NOT NULL,
     version VARCHAR(50) NOT NULL,
+    diasRetencionActividad INT NOT NULL DEFAULT 365, -- Actividad rows older than this are purged
     -- Puedes añadir más campos según sea necesario para la configuración
     fechaCreacion TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     fechaModificacion TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -296,6 +471,10 @@ ALTER TABLE Boleto
 ADD CONSTRAINT fk_boleto_usuario
 FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE; -- User who will use the ticket
 
+ALTER TABLE Boleto
+ADD CONSTRAINT fk_boleto_verificadopor
+FOREIGN KEY (verificadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL; -- Scan history survives staff removal
+
 ALTER TABLE Croquis
 ADD CONSTRAINT fk_croquis_evento
 FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE;
@@ -324,6 +503,66 @@ ALTER TABLE AreaManager
 ADD CONSTRAINT fk_areamanager_evento
 FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE;
 
+ALTER TABLE ReservaAsiento
+ADD CONSTRAINT fk_reservaasiento_asiento
+FOREIGN KEY (asientoID) REFERENCES Asiento(asientoID) ON DELETE CASCADE;
+
+ALTER TABLE ReservaAsiento
+ADD CONSTRAINT fk_reservaasiento_evento
+FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE;
+
+ALTER TABLE ReservaAsiento
+ADD CONSTRAINT fk_reservaasiento_usuario
+FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE;
+
+ALTER TABLE SolicitudReembolso
+ADD CONSTRAINT fk_solicitudreembolso_pago
+FOREIGN KEY (pagoID) REFERENCES Pago(pagoID) ON DELETE CASCADE;
+
+ALTER TABLE SolicitudReembolso
+ADD CONSTRAINT fk_solicitudreembolso_usuario
+FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE;
+
+ALTER TABLE SolicitudReembolso
+ADD CONSTRAINT fk_solicitudreembolso_revisadopor
+FOREIGN KEY (revisadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL;
+
+ALTER TABLE SesionUsuario
+ADD CONSTRAINT fk_sesionusuario_usuario
+FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE;
+
+ALTER TABLE TokenUsuario
+ADD CONSTRAINT fk_tokenusuario_usuario
+FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE CASCADE;
+
+ALTER TABLE Invitacion
+ADD CONSTRAINT fk_invitacion_invitadopor
+FOREIGN KEY (invitadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL;
+
+ALTER TABLE Invitacion
+ADD CONSTRAINT fk_invitacion_usuario
+FOREIGN KEY (usuarioID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL;
+
+ALTER TABLE EventoPersonal
+ADD CONSTRAINT fk_eventopersonal_evento
+FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE;
+
+ALTER TABLE EventoPersonal
+ADD CONSTRAINT fk_eventopersonal_organizador
+FOREIGN KEY (organizadorID) REFERENCES Organizador(usuarioID) ON DELETE CASCADE;
+
+ALTER TABLE EventoPersonal
+ADD CONSTRAINT fk_eventopersonal_asignadopor
+FOREIGN KEY (asignadoPorID) REFERENCES Usuario(usuarioID) ON DELETE SET NULL;
+
+ALTER TABLE AsientoEvento
+ADD CONSTRAINT fk_asientoevento_evento
+FOREIGN KEY (eventoID) REFERENCES Evento(eventoID) ON DELETE CASCADE;
+
+ALTER TABLE AsientoEvento
+ADD CONSTRAINT fk_asientoevento_asiento
+FOREIGN KEY (asientoID) REFERENCES Asiento(asientoID) ON DELETE CASCADE;
+
 -- Create Indexes (Based on schema diagram and common query patterns)
 
 -- Indexes indicated in the diagram
@@ -331,14 +570,17 @@ CREATE INDEX idx_usuario_correo ON Usuario (correoElectronico);
 CREATE INDEX idx_organizador_departamento ON Organizador (departamento); -- Assumed based on common queries
 CREATE INDEX idx_asistente_numeroestudiante ON Asistente (numeroEstudiante); -- Assumed
 CREATE INDEX idx_evento_fecha ON Evento (fecha); -- Frequent filtering by date
-CREATE INDEX idx_evento_lugar ON Evento (lugarID); -- Joins with Lugar
+CREATE INDEX idx_evento_lugar_fecha ON Evento (lugarID, fecha); -- Joins with Lugar, venue booking conflicts
 CREATE INDEX idx_evento_organizador ON Evento (organizadorID); -- Joins with Organizador
+CREATE INDEX idx_evento_estado_fecha ON Evento (estado, fecha, horaInicio); -- Paginated event list (default filter and sort)
 CREATE INDEX idx_area_lugar ON Area (lugarID); -- Joins with Lugar
 CREATE INDEX idx_asiento_area ON Asiento (areaID); -- Joins with Area
 CREATE INDEX idx_pago_fecha ON Pago (fechaPago); -- Filtering by date
 CREATE INDEX idx_pago_usuario ON Pago (usuarioID); -- Joins with Usuario
 CREATE INDEX idx_pago_evento ON Pago (eventoID); -- Joins with Evento
 CREATE INDEX idx_pago_metodopago ON Pago (metodoPagoID); -- Joins with MetodoPago
+CREATE UNIQUE INDEX idx_pago_proveedor_referencia ON Pago (proveedor, referencia); -- Webhook lookups
+CREATE INDEX idx_pago_pendiente_expiracion ON Pago (fechaExpiracion) WHERE estado = 'PENDIENTE'; -- Expired checkout sweep
 CREATE INDEX idx_boleto_codigoqr ON Boleto (codigoQR); -- Frequent lookup by QR code
 CREATE INDEX idx_boleto_pago ON Boleto (pagoID); -- Joins with Pago
 CREATE INDEX idx_boleto_asiento ON Boleto (asientoID); -- Joins with Asiento
@@ -352,6 +594,18 @@ CREATE INDEX idx_reporte_fecha ON Reporte (fechaGeneracion); -- Filtering by dat
 CREATE INDEX idx_areamanager_area ON AreaManager (areaID); -- Joins with Area
 CREATE INDEX idx_areamanager_organizador ON AreaManager (organizadorID); -- Joins with Organizador
 CREATE INDEX idx_areamanager_evento ON AreaManager (eventoID); -- Joins with Evento
+CREATE INDEX idx_reservaasiento_evento_usuario ON ReservaAsiento (eventoID, usuarioID); -- Holds of a user for an event
+CREATE INDEX idx_reservaasiento_expiracion ON ReservaAsiento (fechaExpiracion); -- Releasing expired holds
+CREATE INDEX idx_solicitudreembolso_pago ON SolicitudReembolso (pagoID); -- Joins with Pago
+CREATE INDEX idx_solicitudreembolso_usuario ON SolicitudReembolso (usuarioID); -- Requests of a user
+CREATE UNIQUE INDEX idx_solicitudreembolso_pendiente ON SolicitudReembolso (pagoID) WHERE estado = 'PENDIENTE'; -- One open request per payment
+CREATE INDEX idx_sesionusuario_usuario ON SesionUsuario (usuarioID); -- Revoking all sessions of a user
+CREATE INDEX idx_tokenusuario_usuario_tipo ON TokenUsuario (usuarioID, tipo); -- Superseding previous tokens
+CREATE INDEX idx_invitacion_correo ON Invitacion (correoElectronico); -- Superseding pending invitations of an email
+CREATE INDEX idx_eventopersonal_organizador ON EventoPersonal (organizadorID); -- Events an organizer is staff of
+CREATE INDEX idx_trabajo_estado_programado ON Trabajo (estado, programadoPara); -- Picking the next due job
+CREATE INDEX idx_actividad_fecha ON Actividad (fecha); -- Purging old activity
+CREATE INDEX idx_asientoevento_asiento ON AsientoEvento (asientoID); -- Adding new seats to the inventories of a venue
 
 
 -- Add Comments to tables and columns (Optional but good practice)
@@ -371,12 +625,27 @@ COMMENT ON TABLE Actividad IS 'Logs user and system activities.';
 COMMENT ON TABLE Reporte IS 'Stores information about generated reports.';
 COMMENT ON TABLE AreaManager IS 'Assigns an Organizer as a manager to a specific Area within an Event.';
 COMMENT ON TABLE Configuracion IS 'Stores general application configuration settings.';
+COMMENT ON TABLE ReservaAsiento IS 'Time-limited seat holds taken by a user during checkout.';
+COMMENT ON TABLE SolicitudReembolso IS 'Refund and cancellation requests of attendees and how they were resolved.';
+COMMENT ON TABLE SesionUsuario IS 'Server-side login sessions backing refresh tokens; revoking one invalidates its access tokens.';
+COMMENT ON TABLE TokenUsuario IS 'Single-use expiring tokens delivered by email; only their hash is stored.';
+COMMENT ON TABLE IntentoLoginIP IS 'Failed login counters per IP address, used to slow down and block brute-force attempts.';
+COMMENT ON TABLE Invitacion IS 'Single-use invitations through which organizer and administrator accounts are created.';
+COMMENT ON TABLE EventoPersonal IS 'Organizers allowed to modify an event they do not own (event staff).';
+COMMENT ON TABLE Trabajo IS 'Persistent background jobs (reminders, provider refunds and housekeeping) with retries and a per-instance lease.';
+COMMENT ON TABLE AsientoEvento IS 'Per-event seat inventory: the availability of each seat of the venue for one event.';
 
 COMMENT ON COLUMN Usuario.correoElectronico IS 'Unique email address for user login.';
 COMMENT ON COLUMN Usuario.contraseñaHash IS 'Hashed password for security.';
+COMMENT ON COLUMN Usuario.bloqueadoHasta IS 'When an automatically locked account becomes ACTIVO again; NULL for locks set by an administrator.';
+COMMENT ON COLUMN Asiento.estado IS 'Physical state of the seat, shared by every event at the venue; BLOQUEADO makes it unavailable for all of them. The per-event state is in AsientoEvento.';
+COMMENT ON COLUMN Lugar.margenMinutos IS 'Minutes the venue must stay free before and after an event; events closer than this conflict.';
 COMMENT ON COLUMN Evento.imagen IS 'Path or URL to the event image.';
 COMMENT ON COLUMN Pago.referencia IS 'Transaction ID or external reference for the payment.';
+COMMENT ON COLUMN Pago.proveedor IS 'Payment gateway that created the checkout session and confirms it through its webhook.';
+COMMENT ON COLUMN Pago.fechaExpiracion IS 'Deadline of the checkout session; PENDIENTE payments past it are marked FALLIDO.';
 COMMENT ON COLUMN Boleto.codigoQR IS 'Unique identifier or data stored in the QR code for attendance validation.';
+COMMENT ON COLUMN Boleto.fechaUso IS 'When the ticket was first scanned at the door (set together with estado USADO).';
 COMMENT ON COLUMN Croquis.configuracion IS 'JSON data representing the visual layout of the event space (tables, seats, etc.).';
 COMMENT ON COLUMN Actividad.usuarioID IS 'Links to the user who performed the activity, can be NULL for system activities.';
 COMMENT ON COLUMN Actividad.direccionIP IS 'IP address from where the activity originated.';
@@ -384,6 +653,13 @@ COMMENT ON COLUMN Reporte.parametros IS 'Parameters used to generate the report
 COMMENT ON COLUMN Reporte.resultado IS 'Result of the report generation, e.g., file path or summary.';
 COMMENT ON COLUMN Configuracion.nombreAplicacion IS 'Name of the application.';
 COMMENT ON COLUMN Configuracion.contactoEmail IS 'Contact email for support or inquiries.';
+COMMENT ON COLUMN ReservaAsiento.fechaExpiracion IS 'When the hold is released automatically if the seat was not paid.';
+COMMENT ON COLUMN Evento.fechaLimiteReembolso IS 'Deadline for attendee refund requests; NULL means requests are accepted until the event starts.';
+COMMENT ON COLUMN Pago.montoReembolsado IS 'Total refunded so far; a payment is REEMBOLSADO once none of its tickets remain valid.';
+COMMENT ON COLUMN SolicitudReembolso.boletoIDs IS 'Tickets of the payment the attendee wants to cancel.';
+COMMENT ON COLUMN Trabajo.bloqueadoHasta IS 'End of the lease of the instance running the job; an expired lease lets another instance take it over.';
+COMMENT ON COLUMN Configuracion.diasRetencionActividad IS 'Days Actividad rows are kept before the PURGAR_ACTIVIDAD job deletes them.';
+COMMENT ON COLUMN SesionUsuario.refreshTokenHash IS 'Hash of the only refresh token currently valid for the session; presenting an older one revokes the session.';
 
 -- Add CHECK constraints for data integrity
 ALTER TABLE Evento
@@ -399,11 +675,18 @@ ALTER TABLE Area
 ADD CONSTRAINT check_area_capacidad_positiva CHECK (capacidad > 0);
 
 ALTER TABLE Pago
-ADD CONSTRAINT check_pago_monto_no_negativo CHECK (monto >= 0);
+ADD CONSTRAINT check_pago_monto_no_negativo CHECK (monto >= 0),
+ADD CONSTRAINT check_pago_monto_reembolsado CHECK (montoReembolsado >= 0 AND montoReembolsado <= monto);
 
 ALTER TABLE Boleto
 ADD CONSTRAINT check_boleto_precio_no_negativo CHECK (precio >= 0);
 
+ALTER TABLE Lugar
+ADD CONSTRAINT check_lugar_margen_no_negativo CHECK (margenMinutos >= 0);
+
+ALTER TABLE Asiento
+ADD CONSTRAINT check_asiento_estado_fisico CHECK (estado IN ('DISPONIBLE', 'BLOQUEADO'));
+
 -- Function to update fechaModificacion
 CREATE OR REPLACE FUNCTION update_fecha_modificacion()
 RETURNS TRIGGER AS $$
@@ -490,4 +773,8 @@ LANGUAGE plpgsql;
 CREATE TRIGGER update_configuracion_modificacion_timestamp
 BEFORE UPDATE ON Configuracion
 FOR EACH ROW
-EXECUTE FUNCTION update_configuracion_modificacion_timestamp(); 
\ No newline at end of file
+EXECUTE FUNCTION update_configuracion_modificacion_timestamp(); 
+-- Primer administrador: el registro público solo crea asistentes y las invitaciones las emite un administrador.
+-- Registra una cuenta con /api/auth/register, verifica el correo y conviértela en administrador con:
+-- DELETE FROM Asistente WHERE usuarioID = (SELECT usuarioID FROM Usuario WHERE correoElectronico = 'admin@example.com');
+-- INSERT INTO Organizador(usuarioID, nivelPermiso) SELECT usuarioID, 'ADMINISTRADOR' FROM Usuario WHERE correoElectronico = 'admin@example.com';
@@ -0,0 +1,37 @@
+// Area-scoped permissions for staff assigned through AreaManager.
+// Administrators, the event's organizer and its staff (EventoPersonal) can act on every area of the event;
+// any other organizer can only act on the areas they manage for that event.
+
+const { getEventAccess } = require('./eventAccess');
+
+// Returns { unrestricted: true } or { unrestricted: false, areaIDs: [...] }.
+// Returns null when the event does not exist.
+async function getAreaScope(db, user, eventoID) {
+    const access = await getEventAccess(db, user, eventoID);
+    if (!access) {
+        return null;
+    }
+
+    if (access.allowed) {
+        return { unrestricted: true, areaIDs: [] };
+    }
+
+    const assignments = await db.query(
+        'SELECT areaID FROM AreaManager WHERE eventoID = $1 AND organizadorID = $2',
+        [eventoID, user.userId]
+    );
+    return { unrestricted: false, areaIDs: assignments.rows.map(row => row.areaid) };
+}
+
+// True when the scope allows acting on the given area.
+function scopeIncludesArea(scope, areaID) {
+    if (!scope) {
+        return false;
+    }
+    return scope.unrestricted || (areaID !== null && areaID !== undefined && scope.areaIDs.includes(parseInt(areaID, 10)));
+}
+
+module.exports = {
+    getAreaScope,
+    scopeIncludesArea,
+};
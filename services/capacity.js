@@ -0,0 +1,181 @@
+// Capacity rules between a Lugar, its areas and seats, and the events held there:
+//   Evento.capacidad        <= Lugar.capacidadMaxima
+//   SUM(Area.capacidad)     <= Lugar.capacidadMaxima   (areas of the same Lugar)
+//   COUNT(Asiento) of area  <= Area.capacidad
+// Every check returns the list of violated rules (empty when the change is consistent). The checks lock the
+// Lugar or Area row they compare against, so inside a transaction two concurrent changes cannot both pass.
+
+// Lugar.capacidadMaxima, or null when the Lugar does not exist.
+async function lockLugar(db, lugarID) {
+    const result = await db.query('SELECT capacidadMaxima FROM Lugar WHERE lugarID = $1 FOR UPDATE', [lugarID]);
+    return result.rows.length > 0 ? result.rows[0].capacidadmaxima : null;
+}
+
+// An event of `capacidad` people held at the Lugar.
+async function checkEventCapacity(db, lugarID, capacidad) {
+    const capacidadMaxima = await lockLugar(db, lugarID);
+    if (capacidadMaxima !== null && capacidad > capacidadMaxima) {
+        return [`La capacidad del evento (${capacidad}) no puede superar la capacidad máxima del lugar (${capacidadMaxima}).`];
+    }
+    return [];
+}
+
+// Areas added to or resized in the Lugar. `areas` is a list of { areaID, capacidad }: areaID is null for new areas.
+async function checkAreaCapacity(db, lugarID, areas) {
+    const errors = [];
+    const capacidadMaxima = await lockLugar(db, lugarID);
+    if (capacidadMaxima === null) {
+        return errors;
+    }
+
+    const changedIDs = areas.filter(area => area.areaID).map(area => area.areaID);
+    const othersResult = await db.query(
+        'SELECT COALESCE(SUM(capacidad), 0)::int AS total FROM Area WHERE lugarID = $1 AND NOT (areaID = ANY($2::int[]))',
+        [lugarID, changedIDs]
+    );
+    const total = othersResult.rows[0].total + areas.reduce((sum, area) => sum + area.capacidad, 0);
+    if (total > capacidadMaxima) {
+        errors.push(`La suma de las capacidades de las áreas (${total}) no puede superar la capacidad máxima del lugar (${capacidadMaxima}).`);
+    }
+
+    for (const area of areas.filter(a => a.areaID)) {
+        const seatsResult = await db.query('SELECT COUNT(*)::int AS total FROM Asiento WHERE areaID = $1', [area.areaID]);
+        if (seatsResult.rows[0].total > area.capacidad) {
+            errors.push(`El área ${area.areaID} ya tiene ${seatsResult.rows[0].total} asiento(s); su capacidad no puede ser menor.`);
+        }
+    }
+    return errors;
+}
+
+// `nuevos` seats added to the area.
+async function checkSeatCapacity(db, areaID, nuevos) {
+    const areaResult = await db.query('SELECT nombre, capacidad FROM Area WHERE areaID = $1 FOR UPDATE', [areaID]);
+    if (areaResult.rows.length === 0) {
+        return [];
+    }
+    const area = areaResult.rows[0];
+    const seatsResult = await db.query('SELECT COUNT(*)::int AS total FROM Asiento WHERE areaID = $1', [areaID]);
+    const total = seatsResult.rows[0].total + nuevos;
+    if (total > area.capacidad) {
+        return [`El área "${area.nombre}" admite ${area.capacidad} asiento(s) y tendría ${total}.`];
+    }
+    return [];
+}
+
+// A new capacidadMaxima for the Lugar: it must still hold its areas and the events that have not finished.
+async function checkLugarCapacity(db, lugarID, capacidadMaxima) {
+    const errors = [];
+    await lockLugar(db, lugarID);
+
+    const areasResult = await db.query('SELECT COALESCE(SUM(capacidad), 0)::int AS total FROM Area WHERE lugarID = $1', [lugarID]);
+    if (areasResult.rows[0].total > capacidadMaxima) {
+        errors.push(`Las áreas del lugar suman ${areasResult.rows[0].total} de capacidad; la capacidad máxima no puede ser menor.`);
+    }
+    const eventsResult = await db.query(
+        'SELECT COALESCE(MAX(capacidad), 0)::int AS maxima FROM Evento WHERE lugarID = $1 AND estado IN (\'BORRADOR\', \'ACTIVO\')',
+        [lugarID]
+    );
+    if (eventsResult.rows[0].maxima > capacidadMaxima) {
+        errors.push(`Hay eventos en el lugar con capacidad ${eventsResult.rows[0].maxima}; la capacidad máxima no puede ser menor.`);
+    }
+    return errors;
+}
+
+// Configured, seated and sold counts of a Lugar: its areas with their seats, and its BORRADOR/ACTIVO events.
+// Returns null when the Lugar does not exist.
+async function getLugarCapacitySummary(db, lugarID) {
+    const lugarResult = await db.query('SELECT lugarID, nombre, capacidadMaxima FROM Lugar WHERE lugarID = $1', [lugarID]);
+    if (lugarResult.rows.length === 0) {
+        return null;
+    }
+    const lugar = lugarResult.rows[0];
+
+    const areasResult = await db.query(
+        'SELECT ar.areaID, ar.nombre, ar.tipo, ar.capacidad, COUNT(a.asientoID)::int AS asientos '
+        + 'FROM Area ar LEFT JOIN Asiento a ON a.areaID = ar.areaID '
+        + 'WHERE ar.lugarID = $1 GROUP BY ar.areaID ORDER BY ar.nombre ASC',
+        [lugarID]
+    );
+    const eventsResult = await db.query(
+        'SELECT eventoID, nombre, estado, fecha, capacidad, boletosVendidos FROM Evento '
+        + 'WHERE lugarID = $1 AND estado IN (\'BORRADOR\', \'ACTIVO\') ORDER BY fecha ASC, horaInicio ASC',
+        [lugarID]
+    );
+
+    return {
+        lugarID: lugar.lugarid,
+        nombre: lugar.nombre,
+        capacidadMaxima: lugar.capacidadmaxima,
+        capacidadAreas: areasResult.rows.reduce((sum, area) => sum + area.capacidad, 0),
+        asientos: areasResult.rows.reduce((sum, area) => sum + area.asientos, 0),
+        areas: areasResult.rows.map(area => ({
+            areaID: area.areaid,
+            nombre: area.nombre,
+            tipo: area.tipo,
+            capacidad: area.capacidad,
+            asientos: area.asientos,
+        })),
+        eventos: eventsResult.rows.map(evento => ({
+            eventoID: evento.eventoid,
+            nombre: evento.nombre,
+            estado: evento.estado,
+            fecha: evento.fecha,
+            capacidad: evento.capacidad,
+            vendidos: evento.boletosvendidos,
+            disponibles: Math.max(evento.capacidad - evento.boletosvendidos, 0),
+        })),
+    };
+}
+
+// Configured, seated and sold counts of an event, per area of its Lugar. Sold counts valid tickets (ACTIVO or USADO).
+// Returns null when the event does not exist.
+async function getEventCapacitySummary(db, eventoID) {
+    const eventResult = await db.query(
+        'SELECT e.eventoID, e.nombre, e.estado, e.capacidad, e.boletosVendidos, e.lugarID, l.capacidadMaxima '
+        + 'FROM Evento e JOIN Lugar l ON e.lugarID = l.lugarID WHERE e.eventoID = $1',
+        [eventoID]
+    );
+    if (eventResult.rows.length === 0) {
+        return null;
+    }
+    const evento = eventResult.rows[0];
+
+    const areasResult = await db.query(
+        'SELECT ar.areaID, ar.nombre, ar.tipo, ar.capacidad, COUNT(DISTINCT a.asientoID)::int AS asientos, '
+        + 'COUNT(b.boletoID)::int AS vendidos '
+        + 'FROM Area ar LEFT JOIN Asiento a ON a.areaID = ar.areaID '
+        + 'LEFT JOIN Boleto b ON b.asientoID = a.asientoID AND b.eventoID = $2 AND b.estado IN (\'ACTIVO\', \'USADO\') '
+        + 'WHERE ar.lugarID = $1 GROUP BY ar.areaID ORDER BY ar.nombre ASC',
+        [evento.lugarid, eventoID]
+    );
+
+    return {
+        eventoID: evento.eventoid,
+        nombre: evento.nombre,
+        estado: evento.estado,
+        lugarID: evento.lugarid,
+        capacidadLugar: evento.capacidadmaxima,
+        capacidad: evento.capacidad,
+        capacidadAreas: areasResult.rows.reduce((sum, area) => sum + area.capacidad, 0),
+        asientos: areasResult.rows.reduce((sum, area) => sum + area.asientos, 0),
+        vendidos: evento.boletosvendidos,
+        disponibles: Math.max(evento.capacidad - evento.boletosvendidos, 0),
+        areas: areasResult.rows.map(area => ({
+            areaID: area.areaid,
+            nombre: area.nombre,
+            tipo: area.tipo,
+            capacidad: area.capacidad,
+            asientos: area.asientos,
+            vendidos: area.vendidos,
+        })),
+    };
+}
+
+module.exports = {
+    checkEventCapacity,
+    checkAreaCapacity,
+    checkSeatCapacity,
+    checkLugarCapacity,
+    getLugarCapacitySummary,
+    getEventCapacitySummary,
+};
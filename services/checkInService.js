@@ -0,0 +1,96 @@
+// Door check-in: resolves a scanned code to its ticket and decides whether it lets the holder in.
+
+const { verifyTicketToken } = require('./ticketToken');
+
+// How long before the event starts the doors open for scanning (configurable through .env)
+const CHECKIN_OPENS_MINUTES = parseInt(process.env.CHECKIN_OPENS_MINUTES, 10) || 120;
+
+// Scan outcomes. Only VALIDO consumes the ticket.
+const scanResults = {
+    VALIDO: 'Boleto válido, acceso permitido.',
+    YA_USADO: 'El boleto ya fue utilizado.',
+    EVENTO_INCORRECTO: 'El boleto pertenece a otro evento.',
+    CANCELADO: 'El boleto fue cancelado.',
+    EXPIRADO: 'El boleto expiró.',
+    PAGO_PENDIENTE: 'El pago del boleto aún no se confirma.',
+    FUERA_DE_HORARIO: 'El acceso al evento todavía no está abierto.',
+    AREA_NO_ASIGNADA: 'El boleto pertenece a un área que no tienes asignada.',
+    INVALIDO: 'Código QR inválido o boleto inexistente.',
+    FECHA_INVALIDA: 'La fecha del escaneo no es válida o está fuera del horario del evento.',
+};
+
+// Scanner clocks drift; offline scans slightly in the future are still accepted
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Finds the ticket of a scanned code. Signed codes are matched by ticket ID and exact code (a reissued code
+// invalidates the old one); codes issued before signing existed are matched by their exact value.
+// Pass forUpdate inside a transaction to lock the ticket row. Returns the ticket or null.
+async function findTicketByCode(db, codigoQR, forUpdate = false) {
+    const token = verifyTicketToken(codigoQR);
+    const result = await db.query(
+        'SELECT b.boletoID, b.estado, b.eventoID, b.usuarioID, b.asientoID, b.fechaUso, b.verificadoPorID, '
+        + 'a.codigo AS asientoCodigo, a.areaID AS areaid, u.nombre AS usuarioNombre, '
+        + 'e.nombre AS eventoNombre, e.estado AS eventoEstado, '
+        + '(e.fecha + e.horaInicio) - make_interval(mins => $1) > NOW() AS antesDeApertura, '
+        + '(e.fecha + e.horaFin) < NOW() AS eventoFinalizado '
+        + 'FROM Boleto b JOIN Evento e ON b.eventoID = e.eventoID JOIN Usuario u ON b.usuarioID = u.usuarioID '
+        + 'LEFT JOIN Asiento a ON b.asientoID = a.asientoID '
+        + 'WHERE b.codigoQR = $3 AND ($2::int IS NULL OR b.boletoID = $2)'
+        + (forUpdate ? ' FOR UPDATE OF b' : ''),
+        [CHECKIN_OPENS_MINUTES, token ? token.boletoID : null, codigoQR]
+    );
+    return result.rows[0] || null;
+}
+
+// Classifies a ticket scanned now at the door of `eventoID` (area permissions are checked by the caller).
+function classifyScan(ticket, eventoID) {
+    if (!ticket) return 'INVALIDO';
+    if (ticket.eventoid !== eventoID) return 'EVENTO_INCORRECTO';
+    if (ticket.estado === 'USADO') return 'YA_USADO';
+    if (ticket.estado === 'CANCELADO' || ticket.eventoestado === 'CANCELADO') return 'CANCELADO';
+    if (ticket.estado === 'EXPIRADO' || ticket.eventofinalizado || ticket.eventoestado === 'COMPLETADO') return 'EXPIRADO';
+    if (ticket.estado === 'PENDIENTE') return 'PAGO_PENDIENTE';
+    if (ticket.antesdeapertura) return 'FUERA_DE_HORARIO';
+    return 'VALIDO';
+}
+
+// Classifies a scan made offline at `fechaEscaneo` (Date) and later synced. Time checks use the scan time,
+// not the sync time, and an EXPIRADO ticket is still accepted if it was scanned while the doors were open.
+// `ventana` is { apertura, cierre } of the event (Dates). Returns the outcome; for USADO tickets the caller
+// decides between YA_USADO and keeping the earliest scan.
+function classifyOfflineScan(ticket, eventoID, fechaEscaneo, ventana) {
+    if (!ticket) return 'INVALIDO';
+    if (ticket.eventoid !== eventoID) return 'EVENTO_INCORRECTO';
+    if (isNaN(fechaEscaneo.getTime()) || fechaEscaneo.getTime() > Date.now() + MAX_CLOCK_SKEW_MS
+        || fechaEscaneo < ventana.apertura || fechaEscaneo > ventana.cierre) {
+        return 'FECHA_INVALIDA';
+    }
+    if (ticket.estado === 'USADO') return 'YA_USADO';
+    if (ticket.estado === 'CANCELADO' || ticket.eventoestado === 'CANCELADO') return 'CANCELADO';
+    if (ticket.estado === 'PENDIENTE') return 'PAGO_PENDIENTE';
+    return 'VALIDO';
+}
+
+// Public view of a scanned ticket for the scanner screen at the door of `eventoID`.
+// Tickets of other events are not described: staff of one event must not learn who holds seats at another.
+function scanTicketSummary(ticket, eventoID) {
+    if (!ticket || ticket.eventoid !== eventoID) return null;
+    return {
+        boletoID: ticket.boletoid,
+        eventoID: ticket.eventoid,
+        eventoNombre: ticket.eventonombre,
+        titular: ticket.usuarionombre,
+        asiento: ticket.asientocodigo || null,
+        estado: ticket.estado,
+        fechaUso: ticket.fechauso
+    };
+}
+
+module.exports = {
+    CHECKIN_OPENS_MINUTES,
+    scanResults,
+    findTicketByCode,
+    classifyScan,
+    classifyOfflineScan,
+    scanTicketSummary,
+};
@@ -0,0 +1,46 @@
+// Resource-level permissions for organizer routes (authorizeRoles only checks the role).
+// Administrators can modify everything. An organizer can modify the events they organize
+// (Evento.organizadorID) and the events they were added to as staff (EventoPersonal).
+// Areas and seats belong to a Lugar shared by its events, so an organizer can only modify them while
+// every event held there (except the cancelled ones) is one they can modify.
+
+// Returns null when the event does not exist, otherwise
+// { evento, owner, staff, allowed }: owner/staff say why the user may modify the event.
+async function getEventAccess(db, user, eventoID) {
+    const result = await db.query(
+        'SELECT e.eventoID, e.nombre, e.lugarID, e.organizadorID, '
+        + 'EXISTS (SELECT 1 FROM EventoPersonal ep WHERE ep.eventoID = e.eventoID AND ep.organizadorID = $2) AS esPersonal '
+        + 'FROM Evento e WHERE e.eventoID = $1',
+        [eventoID, user.userId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { espersonal, ...evento } = result.rows[0];
+    const owner = evento.organizadorid === user.userId;
+    return { evento, owner, staff: espersonal, allowed: user.role === 'ADMINISTRADOR' || owner || espersonal };
+}
+
+// True when the user can modify the areas and seats of a Lugar: administrators, and organizers who organize
+// (or are staff of) at least one event there and every other non-cancelled event there too.
+async function canManageLugar(db, user, lugarID) {
+    if (user.role === 'ADMINISTRADOR') {
+        return true;
+    }
+
+    const result = await db.query(
+        'SELECT COUNT(*) FILTER (WHERE propio)::int AS propios, COUNT(*) FILTER (WHERE NOT propio)::int AS ajenos FROM ('
+        + 'SELECT (e.organizadorID = $2 '
+        + 'OR EXISTS (SELECT 1 FROM EventoPersonal ep WHERE ep.eventoID = e.eventoID AND ep.organizadorID = $2)) AS propio '
+        + 'FROM Evento e WHERE e.lugarID = $1 AND e.estado <> \'CANCELADO\') eventos',
+        [lugarID, user.userId]
+    );
+    const { propios, ajenos } = result.rows[0];
+    return propios > 0 && ajenos === 0;
+}
+
+module.exports = {
+    getEventAccess,
+    canManageLugar,
+};
@@ -0,0 +1,187 @@
+// Event lifecycle (Evento.estado). Events are created as BORRADOR and only change state through these transitions:
+//   publicar:  BORRADOR -> ACTIVO            needs a venue, a layout and a capacity, and the event must not have started
+//   cancelar:  BORRADOR | ACTIVO -> CANCELADO   only before the event ends; the active tickets of every completed payment are refunded
+//   completar: ACTIVO -> COMPLETADO           only once the event started; unused tickets become EXPIRADO
+//   borrador:  ACTIVO -> BORRADOR             only while no ticket is sold or being paid
+// Publishing creates the seat inventory of the event; leaving ACTIVO releases its seat holds. The COMPLETAR_EVENTOS job completes ACTIVO events once fecha + horaFin has passed.
+
+const { releaseEventHolds } = require('./seatHoldService');
+const { createEventInventory } = require('./seatInventory');
+const { loadPaymentForRefund, validateRefundSelection, applyRefund } = require('./refundService');
+
+const transitions = {
+    publicar: { from: ['BORRADOR'], to: 'ACTIVO' },
+    cancelar: { from: ['BORRADOR', 'ACTIVO'], to: 'CANCELADO' },
+    completar: { from: ['ACTIVO'], to: 'COMPLETADO' },
+    borrador: { from: ['ACTIVO'], to: 'BORRADOR' },
+};
+
+// Returns the list of unmet preconditions (empty when the transition can be applied).
+async function checkPreconditions(client, accion, evento) {
+    const errors = [];
+
+    if (accion === 'publicar') {
+        if (!evento.lugarnombre) {
+            errors.push('El evento debe tener un lugar asignado.');
+        }
+        const croquisResult = await client.query(
+            'SELECT 1 FROM Croquis WHERE eventoID = $1 AND configuracion IS NOT NULL',
+            [evento.eventoid]
+        );
+        if (croquisResult.rows.length === 0) {
+            errors.push('El evento debe tener un croquis (layout) configurado.');
+        }
+        if (!(evento.capacidad > 0)) {
+            errors.push('El evento debe tener una capacidad mayor a 0.');
+        }
+        if (evento.iniciado) {
+            errors.push('No se puede publicar un evento que ya comenzó.');
+        }
+    } else if (accion === 'cancelar') {
+        if (evento.finalizado) {
+            errors.push('El evento ya terminó; debe completarse en lugar de cancelarse.');
+        }
+    } else if (accion === 'completar') {
+        if (!evento.iniciado) {
+            errors.push('Solo se puede completar un evento que ya comenzó.');
+        }
+    } else if (accion === 'borrador') {
+        // Checkouts still waiting for the gateway count as sold: the webhook may confirm them at any moment
+        const soldResult = await client.query(
+            'SELECT COUNT(*)::int AS total FROM Boleto b JOIN Pago p ON b.pagoID = p.pagoID '
+            + 'WHERE b.eventoID = $1 AND p.estado IN (\'PENDIENTE\', \'COMPLETADO\', \'REEMBOLSADO\')',
+            [evento.eventoid]
+        );
+        if (soldResult.rows[0].total > 0) {
+            errors.push(`El evento tiene ${soldResult.rows[0].total} boleto(s) vendido(s) o en proceso de pago y no puede volver a borrador.`);
+        }
+    }
+
+    return errors;
+}
+
+// Refunds the ACTIVO tickets of every completed payment of a cancelled event at their price, and settles the pending
+// refund requests of those payments. Returns [{ pagoID, usuarioID, monto, titulares }] (titulares: holders of the refunded tickets).
+async function refundCancelledEvent(client, eventoID) {
+    const pagosResult = await client.query(
+        'SELECT pagoID FROM Pago WHERE eventoID = $1 AND estado = \'COMPLETADO\' ORDER BY pagoID',
+        [eventoID]
+    );
+
+    const reembolsos = [];
+    for (const { pagoid } of pagosResult.rows) {
+        const payment = await loadPaymentForRefund(client, pagoid);
+        const selection = validateRefundSelection(payment);
+        if (selection.errors.length > 0) {
+            continue; // Nothing left to refund (e.g. every ticket already used)
+        }
+        const refund = await applyRefund(client, payment, selection.boletoIDs, selection.monto);
+        await client.query(
+            'UPDATE SolicitudReembolso SET estado = \'APROBADA\', montoReembolsado = $1, respuesta = $2, fechaResolucion = NOW() '
+            + 'WHERE pagoID = $3 AND estado = \'PENDIENTE\'',
+            [refund.monto, 'Evento cancelado', pagoid]
+        );
+        const titulares = [...new Set(payment.boletos.filter(boleto => refund.boletoIDs.includes(boleto.boletoid)).map(boleto => boleto.usuarioid))];
+        reembolsos.push({ pagoID: pagoid, usuarioID: payment.pago.usuarioid, monto: refund.monto, titulares });
+    }
+    return reembolsos;
+}
+
+// Applies a transition inside the caller's transaction (`client` must be in BEGIN).
+// Returns { evento, estadoAnterior, boletosExpirados, asientosLiberados, reembolsos } or { error } with:
+// NOT_FOUND, INVALID_ACTION, INVALID_TRANSITION (with estado) or PRECONDITION (with messages).
+async function transitionEvent(client, eventoID, accion) {
+    if (!Object.prototype.hasOwnProperty.call(transitions, accion)) {
+        return { error: 'INVALID_ACTION' };
+    }
+    const transition = transitions[accion];
+
+    const eventResult = await client.query(
+        'SELECT e.eventoID, e.nombre, e.estado, e.capacidad, e.lugarID, l.nombre AS lugarNombre, '
+        + '(e.fecha + e.horaInicio) <= NOW() AS iniciado, (e.fecha + e.horaFin) <= NOW() AS finalizado '
+        + 'FROM Evento e LEFT JOIN Lugar l ON e.lugarID = l.lugarID WHERE e.eventoID = $1 FOR UPDATE OF e',
+        [eventoID]
+    );
+    if (eventResult.rows.length === 0) {
+        return { error: 'NOT_FOUND' };
+    }
+    const evento = eventResult.rows[0];
+
+    if (!transition.from.includes(evento.estado)) {
+        return { error: 'INVALID_TRANSITION', estado: evento.estado };
+    }
+    const messages = await checkPreconditions(client, accion, evento);
+    if (messages.length > 0) {
+        return { error: 'PRECONDITION', messages };
+    }
+
+    const updateResult = await client.query(
+        'UPDATE Evento SET estado = $1, fechaModificacion = NOW() WHERE eventoID = $2 RETURNING *',
+        [transition.to, eventoID]
+    );
+
+    let boletosExpirados = 0;
+    if (transition.to === 'COMPLETADO') {
+        const expiredResult = await client.query(
+            'UPDATE Boleto SET estado = \'EXPIRADO\' WHERE eventoID = $1 AND estado = \'ACTIVO\' RETURNING boletoID',
+            [eventoID]
+        );
+        boletosExpirados = expiredResult.rows.length;
+    }
+
+    if (transition.to === 'ACTIVO') {
+        await createEventInventory(client, eventoID);
+    }
+
+    let asientosLiberados = [];
+    if (evento.estado === 'ACTIVO') {
+        asientosLiberados = await releaseEventHolds(client, eventoID);
+    }
+
+    let reembolsos = [];
+    if (transition.to === 'CANCELADO' && evento.estado === 'ACTIVO') {
+        reembolsos = await refundCancelledEvent(client, eventoID);
+    }
+
+    return { evento: updateResult.rows[0], estadoAnterior: evento.estado, boletosExpirados, asientosLiberados, reembolsos };
+}
+
+// Completes every ACTIVO event whose end (fecha + horaFin) has passed. Each event gets its own transaction.
+// Returns the completed events as [{ eventoID, boletosExpirados }].
+async function completeEndedEvents(pool) {
+    const endedResult = await pool.query(
+        'SELECT eventoID FROM Evento WHERE estado = \'ACTIVO\' AND (fecha + horaFin) <= NOW() ORDER BY eventoID'
+    );
+
+    const completed = [];
+    for (const { eventoid } of endedResult.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await transitionEvent(client, eventoid, 'completar');
+            if (result.error) {
+                // Changed by someone else since the SELECT (e.g. cancelled or moved to a later date)
+                await client.query('ROLLBACK');
+                continue;
+            }
+            await client.query(
+                'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+                [null, 'MODIFICACION_EVENTO', `Evento completado automáticamente (ID: ${eventoid})`, JSON.stringify({ eventoID: eventoid, boletosExpirados: result.boletosExpirados }), null]
+            );
+            await client.query('COMMIT');
+            completed.push({ eventoID: eventoid, boletosExpirados: result.boletosExpirados });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error completing ended event ${eventoid}:`, error);
+        } finally {
+            client.release();
+        }
+    }
+    return completed;
+}
+
+module.exports = {
+    transitions,
+    transitionEvent,
+    completeEndedEvents,
+};
@@ -0,0 +1,192 @@
+// Search, filters, sorting and offset pagination shared by the event list routes.
+// parseEventListQuery validates req.query; buildEventFilters turns the result into SQL conditions over `Evento e`.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const validEventStates = ['ACTIVO', 'COMPLETADO', 'CANCELADO', 'BORRADOR'];
+const validEventTypes = ['CONFERENCIA', 'TALLER', 'CEREMONIA', 'SEMINARIO', 'OTRO'];
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// orden -> ORDER BY expression. eventoID is always appended so pages are stable.
+const sortColumns = {
+    fecha: 'e.fecha {dir}, e.horaInicio {dir}',
+    nombre: 'e.nombre {dir}',
+    precio: 'e.precio {dir}',
+    disponibles: '(e.capacidad - e.boletosVendidos) {dir}',
+    creacion: 'e.fechaCreacion {dir}',
+};
+
+function parsePositiveInt(value) {
+    if (value === undefined || value === '' || isNaN(value) || !Number.isInteger(Number(value)) || Number(value) <= 0) {
+        return null;
+    }
+    return Number(value);
+}
+
+// Comma-separated list of enum values (e.g. estado=ACTIVO,COMPLETADO). Returns null when a value is not valid.
+function parseEnumList(value, validValues) {
+    const values = String(value).split(',').map(v => v.trim().toUpperCase()).filter(v => v !== '');
+    if (values.length === 0 || values.some(v => !validValues.includes(v))) {
+        return null;
+    }
+    return [...new Set(values)];
+}
+
+// Validates the query string of an event list. Returns { options, errors }.
+// Without estado, only ACTIVO events are listed (defaultEstados).
+function parseEventListQuery(query, { defaultEstados = ['ACTIVO'] } = {}) {
+    const { q, fechaDesde, fechaHasta, tipo, estado, lugarID, organizadorID, precioMin, precioMax, disponible, orden, direccion, pagina, limite } = query;
+    const options = {};
+    const errors = [];
+
+    if (q !== undefined) {
+        if (typeof q !== 'string' || q.trim().length > 100) {
+            errors.push('q debe ser un texto de máximo 100 caracteres.');
+        } else if (q.trim() !== '') {
+            options.q = q.trim();
+        }
+    }
+    if (fechaDesde !== undefined) {
+        if (!dateRegex.test(fechaDesde) || isNaN(Date.parse(fechaDesde))) {
+            errors.push('fechaDesde debe tener el formato YYYY-MM-DD.');
+        } else {
+            options.fechaDesde = fechaDesde;
+        }
+    }
+    if (fechaHasta !== undefined) {
+        if (!dateRegex.test(fechaHasta) || isNaN(Date.parse(fechaHasta))) {
+            errors.push('fechaHasta debe tener el formato YYYY-MM-DD.');
+        } else {
+            options.fechaHasta = fechaHasta;
+        }
+    }
+    if (options.fechaDesde && options.fechaHasta && options.fechaHasta < options.fechaDesde) {
+        errors.push('fechaHasta no puede ser anterior a fechaDesde.');
+    }
+    if (tipo !== undefined) {
+        options.tipos = parseEnumList(tipo, validEventTypes);
+        if (!options.tipos) {
+            errors.push(`tipo debe ser uno o varios (separados por comas) de: ${validEventTypes.join(', ')}.`);
+        }
+    }
+    if (estado !== undefined) {
+        options.estados = parseEnumList(estado, validEventStates);
+        if (!options.estados) {
+            errors.push(`estado debe ser uno o varios (separados por comas) de: ${validEventStates.join(', ')}.`);
+        }
+    } else {
+        options.estados = defaultEstados;
+    }
+    if (lugarID !== undefined) {
+        options.lugarID = parsePositiveInt(lugarID);
+        if (options.lugarID === null) {
+            errors.push('lugarID debe ser un número entero positivo.');
+        }
+    }
+    if (organizadorID !== undefined) {
+        options.organizadorID = parsePositiveInt(organizadorID);
+        if (options.organizadorID === null) {
+            errors.push('organizadorID debe ser un número entero positivo.');
+        }
+    }
+    if (precioMin !== undefined) {
+        if (precioMin === '' || isNaN(precioMin) || Number(precioMin) < 0) {
+            errors.push('precioMin debe ser un número no negativo.');
+        } else {
+            options.precioMin = Number(precioMin);
+        }
+    }
+    if (precioMax !== undefined) {
+        if (precioMax === '' || isNaN(precioMax) || Number(precioMax) < 0) {
+            errors.push('precioMax debe ser un número no negativo.');
+        } else {
+            options.precioMax = Number(precioMax);
+        }
+    }
+    if (options.precioMin !== undefined && options.precioMax !== undefined && options.precioMax < options.precioMin) {
+        errors.push('precioMax no puede ser menor que precioMin.');
+    }
+    if (disponible !== undefined) {
+        if (disponible !== 'true' && disponible !== 'false') {
+            errors.push('disponible debe ser true o false.');
+        } else {
+            options.disponible = disponible === 'true';
+        }
+    }
+
+    options.orden = orden === undefined ? 'fecha' : orden;
+    if (typeof options.orden !== 'string' || !Object.prototype.hasOwnProperty.call(sortColumns, options.orden)) {
+        errors.push(`orden debe ser uno de: ${Object.keys(sortColumns).join(', ')}.`);
+    }
+    options.direccion = direccion === undefined ? 'asc' : String(direccion).toLowerCase();
+    if (!['asc', 'desc'].includes(options.direccion)) {
+        errors.push('direccion debe ser asc o desc.');
+    }
+
+    options.pagina = pagina === undefined ? 1 : parsePositiveInt(pagina);
+    if (options.pagina === null) {
+        errors.push('pagina debe ser un número entero positivo.');
+    }
+    options.limite = limite === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(limite);
+    if (options.limite === null || options.limite > MAX_PAGE_SIZE) {
+        errors.push(`limite debe ser un número entero entre 1 y ${MAX_PAGE_SIZE}.`);
+    }
+
+    return { options, errors };
+}
+
+// Escapes the LIKE wildcards of user input
+function likePattern(text) {
+    return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+// Appends the SQL conditions for the options to `conditions`, pushing their values into `params`.
+function buildEventFilters(options, conditions, params) {
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (options.q) {
+        params.push(likePattern(options.q));
+        conditions.push(`(e.nombre ILIKE $${params.length} OR e.descripcion ILIKE $${params.length})`);
+    }
+    if (options.fechaDesde) add('e.fecha >= ?', options.fechaDesde);
+    if (options.fechaHasta) add('e.fecha <= ?', options.fechaHasta);
+    if (options.tipos) add('e.tipo::text = ANY(?::text[])', options.tipos);
+    if (options.estados) add('e.estado::text = ANY(?::text[])', options.estados);
+    if (options.lugarID) add('e.lugarID = ?', options.lugarID);
+    if (options.organizadorID) add('e.organizadorID = ?', options.organizadorID);
+    if (options.precioMin !== undefined) add('e.precio >= ?', options.precioMin);
+    if (options.precioMax !== undefined) add('e.precio <= ?', options.precioMax);
+    if (options.disponible === true) conditions.push('e.boletosVendidos < e.capacidad');
+    if (options.disponible === false) conditions.push('e.boletosVendidos >= e.capacidad');
+}
+
+function orderByClause(options) {
+    return `ORDER BY ${sortColumns[options.orden].replace(/\{dir\}/g, options.direccion.toUpperCase())}, e.eventoID ASC`;
+}
+
+// LIMIT/OFFSET clause, pushing its values into `params`.
+function paginationClause(options, params) {
+    params.push(options.limite, (options.pagina - 1) * options.limite);
+    return `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+}
+
+function paginationInfo(options, total) {
+    return {
+        pagina: options.pagina,
+        limite: options.limite,
+        total,
+        totalPaginas: Math.ceil(total / options.limite),
+    };
+}
+
+module.exports = {
+    parseEventListQuery,
+    buildEventFilters,
+    orderByClause,
+    paginationClause,
+    paginationInfo,
+};
@@ -0,0 +1,131 @@
+// Background job types run by services/jobRunner.js.
+// Recurring jobs declare intervalSeconds and exist as a single Trabajo row (claveUnica = tipo) that is rescheduled
+// after every run. The others are enqueued as one-off rows. Every handler receives (pool, parametros) and returns
+// a JSON-serializable result stored in Trabajo.resultado; throwing makes the runner retry the job.
+
+const { releaseExpiredHolds } = require('./seatHoldService');
+const { failExpiredPayments } = require('./paymentService');
+const { completeEndedEvents } = require('./eventLifecycle');
+const { sendRefundToProvider } = require('./refundService');
+
+const DEFAULT_ACTIVITY_RETENTION_DAYS = parseInt(process.env.ACTIVITY_RETENTION_DAYS, 10) || 365;
+const PURGE_BATCH_SIZE = 5000;
+
+// Reminder windows, largest first. An event gets the reminder of the smallest window it is in, so an event
+// published 30 minutes before it starts only gets the 1h reminder.
+const reminderWindows = [
+    { ventana: '24h', horas: 24, texto: 'en menos de 24 horas' },
+    { ventana: '1h', horas: 1, texto: 'en menos de una hora' },
+];
+
+// Enqueues a RECORDATORIO_EVENTO job per ACTIVO event and window. The start of the event is part of claveUnica,
+// so an event moved to another date gets its reminders again and a repeated scan enqueues nothing.
+async function scheduleReminders(pool) {
+    const enqueued = {};
+    for (let i = 0; i < reminderWindows.length; i++) {
+        const { ventana, horas } = reminderWindows[i];
+        const lowerHours = i + 1 < reminderWindows.length ? reminderWindows[i + 1].horas : 0;
+        const result = await pool.query(
+            'INSERT INTO Trabajo(tipo, claveUnica, parametros, programadoPara) '
+            + 'SELECT \'RECORDATORIO_EVENTO\', '
+            + '\'RECORDATORIO_EVENTO:\' || e.eventoID || \':\' || $1 || \':\' || to_char(e.fecha + e.horaInicio, \'YYYY-MM-DD"T"HH24:MI\'), '
+            + 'jsonb_build_object(\'eventoID\', e.eventoID, \'ventana\', $1::text, \'inicio\', to_char(e.fecha + e.horaInicio, \'YYYY-MM-DD"T"HH24:MI\')), NOW() '
+            + 'FROM Evento e WHERE e.estado = \'ACTIVO\' '
+            + 'AND (e.fecha + e.horaInicio) > NOW() + make_interval(hours => $3) '
+            + 'AND (e.fecha + e.horaInicio) <= NOW() + make_interval(hours => $2) '
+            + 'ON CONFLICT (claveUnica) DO NOTHING RETURNING trabajoID',
+            [ventana, horas, lowerHours]
+        );
+        enqueued[ventana] = result.rows.length;
+    }
+    return { recordatoriosProgramados: enqueued };
+}
+
+// Notifies every holder of a valid ticket. All the notifications are inserted by one statement,
+// so a retry never notifies the same attendee twice.
+async function sendEventReminder(pool, { eventoID, ventana, inicio }) {
+    const window = reminderWindows.find(w => w.ventana === ventana);
+    if (!window) {
+        throw new Error(`Unknown reminder window: ${ventana}`);
+    }
+
+    // Skip the reminder when the event was cancelled or moved after the job was enqueued
+    const eventResult = await pool.query(
+        'SELECT e.nombre, to_char(e.fecha, \'DD/MM/YYYY\') AS fechaTexto, to_char(e.horaInicio, \'HH24:MI\') AS horaTexto, l.nombre AS lugarNombre '
+        + 'FROM Evento e LEFT JOIN Lugar l ON e.lugarID = l.lugarID '
+        + 'WHERE e.eventoID = $1 AND e.estado = \'ACTIVO\' AND (e.fecha + e.horaInicio) > NOW() '
+        + 'AND to_char(e.fecha + e.horaInicio, \'YYYY-MM-DD"T"HH24:MI\') = $2',
+        [eventoID, inicio]
+    );
+    if (eventResult.rows.length === 0) {
+        return { omitido: true, notificados: 0 };
+    }
+    const evento = eventResult.rows[0];
+
+    const lugar = evento.lugarnombre ? ` en ${evento.lugarnombre}` : '';
+    const result = await pool.query(
+        'INSERT INTO Notificacion(usuarioID, titulo, mensaje, tipo, fecha, leida) '
+        + 'SELECT DISTINCT b.usuarioID, $2, $3, \'RECORDATORIO_EVENTO\', NOW(), FALSE FROM Boleto b '
+        + 'WHERE b.eventoID = $1 AND b.estado = \'ACTIVO\'',
+        [
+            eventoID,
+            `Recordatorio: ${evento.nombre}`.substring(0, 100),
+            `El evento "${evento.nombre}" comienza ${window.texto}, el ${evento.fechatexto} a las ${evento.horatexto}${lugar}.`
+        ]
+    );
+    return { omitido: false, notificados: result.rowCount };
+}
+
+// Deletes the Actividad rows older than Configuracion.diasRetencionActividad, in batches to keep locks short.
+async function purgeActivity(pool) {
+    const configResult = await pool.query('SELECT diasRetencionActividad FROM Configuracion LIMIT 1');
+    const dias = configResult.rows.length > 0 ? configResult.rows[0].diasretencionactividad : DEFAULT_ACTIVITY_RETENTION_DAYS;
+
+    let eliminadas = 0;
+    let deleted;
+    do {
+        const result = await pool.query(
+            'DELETE FROM Actividad WHERE actividadID IN ('
+            + 'SELECT actividadID FROM Actividad WHERE fecha < NOW() - make_interval(days => $1) LIMIT $2)',
+            [dias, PURGE_BATCH_SIZE]
+        );
+        deleted = result.rowCount;
+        eliminadas += deleted;
+    } while (deleted === PURGE_BATCH_SIZE);
+
+    return { diasRetencion: dias, eliminadas };
+}
+
+const jobTypes = {
+    PROGRAMAR_RECORDATORIOS: {
+        intervalSeconds: 5 * 60,
+        run: scheduleReminders,
+    },
+    RECORDATORIO_EVENTO: {
+        run: sendEventReminder,
+    },
+    LIBERAR_RESERVAS: {
+        intervalSeconds: 60,
+        run: async (pool) => ({ asientosLiberados: await releaseExpiredHolds(pool) }),
+    },
+    VENCER_PAGOS: {
+        intervalSeconds: 60,
+        run: async (pool) => ({ pagosFallidos: await failExpiredPayments(pool) }),
+    },
+    COMPLETAR_EVENTOS: {
+        intervalSeconds: 5 * 60,
+        run: async (pool) => ({ eventosCompletados: await completeEndedEvents(pool) }),
+    },
+    PURGAR_ACTIVIDAD: {
+        intervalSeconds: 24 * 60 * 60,
+        run: purgeActivity,
+    },
+    REEMBOLSAR_PAGO: {
+        run: sendRefundToProvider,
+    },
+};
+
+module.exports = {
+    DEFAULT_ACTIVITY_RETENTION_DAYS,
+    jobTypes,
+};
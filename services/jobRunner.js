@@ -0,0 +1,144 @@
+// Persistent background jobs (Trabajo). Every instance polls the table; a due job is claimed with
+// FOR UPDATE SKIP LOCKED and leased to that instance until bloqueadoHasta, so only one instance runs it.
+// A job whose lease expired (its instance died mid-run) is taken over by the next poll.
+// Failed runs are retried with an increasing delay up to maxIntentos. After that a one-off job becomes FALLIDO
+// and a recurring job waits for its next interval; ultimoError keeps the failure visible in both cases.
+
+const os = require('os');
+const { jobTypes } = require('./jobHandlers');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = (parseInt(process.env.JOB_POLL_SECONDS, 10) || 15) * 1000;
+const LEASE_MINUTES = 10;
+const RETRY_BASE_SECONDS = 30;
+const MAX_JOBS_PER_POLL = 50;
+
+// Creates the row of each recurring job type (or updates its interval). Safe to call from every instance.
+async function ensureRecurringJobs(pool) {
+    for (const [tipo, definition] of Object.entries(jobTypes)) {
+        if (!definition.intervalSeconds) continue;
+        await pool.query(
+            'INSERT INTO Trabajo(tipo, claveUnica, intervaloSegundos, programadoPara) VALUES($1, $2, $3, NOW()) '
+            + 'ON CONFLICT (claveUnica) DO UPDATE SET intervaloSegundos = EXCLUDED.intervaloSegundos',
+            [tipo, tipo, definition.intervalSeconds]
+        );
+    }
+}
+
+// Claims the next due job for this instance. Returns the Trabajo row or null.
+async function claimNextJob(pool) {
+    const result = await pool.query(
+        'UPDATE Trabajo SET estado = \'EN_EJECUCION\', intentos = intentos + 1, bloqueadoPor = $1, '
+        + 'bloqueadoHasta = NOW() + make_interval(mins => $2), fechaInicio = NOW(), fechaFin = NULL '
+        + 'WHERE trabajoID = ('
+        + 'SELECT trabajoID FROM Trabajo '
+        + 'WHERE (estado = \'PENDIENTE\' AND programadoPara <= NOW()) OR (estado = \'EN_EJECUCION\' AND bloqueadoHasta <= NOW()) '
+        + 'ORDER BY programadoPara ASC LIMIT 1 FOR UPDATE SKIP LOCKED) '
+        + 'RETURNING *',
+        [WORKER_ID, LEASE_MINUTES]
+    );
+    return result.rows[0] || null;
+}
+
+async function completeJob(pool, job, resultado) {
+    if (job.intervalosegundos) {
+        await pool.query(
+            'UPDATE Trabajo SET estado = \'PENDIENTE\', intentos = 0, resultado = $2, fechaFin = NOW(), '
+            + 'programadoPara = NOW() + make_interval(secs => intervaloSegundos), bloqueadoPor = NULL, bloqueadoHasta = NULL '
+            + 'WHERE trabajoID = $1 AND bloqueadoPor = $3',
+            [job.trabajoid, JSON.stringify(resultado === undefined ? null : resultado), WORKER_ID]
+        );
+    } else {
+        await pool.query(
+            'UPDATE Trabajo SET estado = \'COMPLETADO\', resultado = $2, fechaFin = NOW(), bloqueadoPor = NULL, bloqueadoHasta = NULL '
+            + 'WHERE trabajoID = $1 AND bloqueadoPor = $3',
+            [job.trabajoid, JSON.stringify(resultado === undefined ? null : resultado), WORKER_ID]
+        );
+    }
+}
+
+async function failJob(pool, job, error) {
+    const message = error && error.message ? error.message : String(error);
+    let estado = 'PENDIENTE';
+    let delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, job.intentos - 1);
+    let intentos = job.intentos;
+    if (job.intentos >= job.maxintentos) {
+        if (job.intervalosegundos) {
+            delaySeconds = job.intervalosegundos;
+            intentos = 0;
+        } else {
+            estado = 'FALLIDO';
+            delaySeconds = 0;
+        }
+    }
+
+    await pool.query(
+        'UPDATE Trabajo SET estado = $2, intentos = $3, ultimoError = $4, fechaUltimoError = NOW(), fechaFin = NOW(), '
+        + 'programadoPara = CASE WHEN $2 = \'FALLIDO\' THEN programadoPara ELSE NOW() + make_interval(secs => $5) END, '
+        + 'bloqueadoPor = NULL, bloqueadoHasta = NULL '
+        + 'WHERE trabajoID = $1 AND bloqueadoPor = $6',
+        [job.trabajoid, estado, intentos, message, delaySeconds, WORKER_ID]
+    );
+    return estado;
+}
+
+async function runJob(pool, job) {
+    const definition = jobTypes[job.tipo];
+    // Taken over too many times after expired leases: the job probably brings its instance down
+    if (job.intentos > job.maxintentos) {
+        return failJob(pool, job, new Error('El trabajo superó su tiempo de ejecución demasiadas veces.'));
+    }
+
+    try {
+        if (!definition) {
+            throw new Error(`Unknown job type: ${job.tipo}`);
+        }
+        const resultado = await definition.run(pool, job.parametros || {});
+        await completeJob(pool, job, resultado);
+        return 'COMPLETADO';
+    } catch (error) {
+        console.error(`Error running job ${job.trabajoid} (${job.tipo}), attempt ${job.intentos}/${job.maxintentos}:`, error);
+        return failJob(pool, job, error);
+    }
+}
+
+// Runs the due jobs one after another. Returns how many were run.
+async function runDueJobs(pool) {
+    let count = 0;
+    while (count < MAX_JOBS_PER_POLL) {
+        const job = await claimNextJob(pool);
+        if (!job) break;
+        await runJob(pool, job);
+        count++;
+    }
+    return count;
+}
+
+function startJobRunner(pool) {
+    let running = false;
+    const poll = async () => {
+        if (running) return; // The previous poll is still working through the queue
+        running = true;
+        try {
+            await runDueJobs(pool);
+        } catch (error) {
+            console.error('Error polling background jobs:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    ensureRecurringJobs(pool)
+        .catch(error => console.error('Error creating recurring background jobs:', error))
+        .then(poll);
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    timer.unref(); // Do not keep the process alive just for the job runner
+    return timer;
+}
+
+module.exports = {
+    WORKER_ID,
+    ensureRecurringJobs,
+    runDueJobs,
+    startJobRunner,
+};
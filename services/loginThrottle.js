@@ -0,0 +1,155 @@
+// Brute-force protection for POST /api/auth/login.
+// Login attempts are counted per account (Usuario.intentosFallidos) and per IP (IntentoLoginIP).
+// Every attempt is reserved (the counter is incremented atomically) before the password is compared, so parallel
+// requests cannot all pass on the same stale count; a successful login gives the reserved attempt back.
+// Each failure makes the next attempt wait longer; past a threshold the account becomes BLOQUEADO
+// (unlocked automatically after a cooldown) and the IP is refused for a while.
+
+const { revokeUserSessions } = require('./sessionService');
+
+// Thresholds (configurable through .env)
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const ACCOUNT_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_SECONDS = 30;
+
+// Wait required before the next attempt after `failures` consecutive failures: 0, 1, 2, 4, 8... seconds (capped)
+function delayAfterFailures(failures) {
+    if (failures <= 1) return 0;
+    return Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS);
+}
+
+// Same wait in SQL, for the counter column `column`
+function delaySql(column) {
+    return `make_interval(secs => CASE WHEN ${column} <= 1 THEN 0 ELSE LEAST(power(2, ${column} - 2), ${MAX_DELAY_SECONDS}) END)`;
+}
+
+// Seconds the client still has to wait since `lastAttempt` (Date) after `failures` failures
+function remainingDelay(failures, lastAttempt) {
+    if (!lastAttempt) return 0;
+    const elapsed = (Date.now() - new Date(lastAttempt).getTime()) / 1000;
+    return Math.max(Math.ceil(delayAfterFailures(failures) - elapsed), 0);
+}
+
+// Reserves an attempt for the IP before any password comparison. Returns { allowed, retryAfter }.
+// Refused while the IP is blocked, while it has to wait after its last attempt, or when the attempts
+// of the window (failed or still in progress) reached IP_MAX_ATTEMPTS.
+async function reserveIpAttempt(db, direccionIP) {
+    const windowExpired = 'IntentoLoginIP.primerIntento < NOW() - make_interval(mins => $2)';
+    const reserved = await db.query(
+        'INSERT INTO IntentoLoginIP(direccionIP, intentosFallidos, primerIntento, ultimoIntento) VALUES($1, 1, NOW(), NOW()) '
+        + 'ON CONFLICT (direccionIP) DO UPDATE SET '
+        + `intentosFallidos = CASE WHEN ${windowExpired} THEN 1 ELSE IntentoLoginIP.intentosFallidos + 1 END, `
+        + `primerIntento = CASE WHEN ${windowExpired} THEN NOW() ELSE IntentoLoginIP.primerIntento END, `
+        + 'ultimoIntento = NOW() '
+        + 'WHERE (IntentoLoginIP.bloqueadoHasta IS NULL OR IntentoLoginIP.bloqueadoHasta <= NOW()) '
+        + `AND (${windowExpired} OR (IntentoLoginIP.intentosFallidos < $3 `
+        + `AND IntentoLoginIP.ultimoIntento + ${delaySql('IntentoLoginIP.intentosFallidos')} <= NOW())) `
+        + 'RETURNING intentosFallidos',
+        [direccionIP, IP_WINDOW_MINUTES, IP_MAX_ATTEMPTS]
+    );
+    if (reserved.rows.length > 0) return { allowed: true, retryAfter: 0 };
+
+    const result = await db.query(
+        'SELECT intentosFallidos, ultimoIntento, '
+        + 'GREATEST(CEIL(EXTRACT(EPOCH FROM (bloqueadoHasta - NOW()))), 0)::int AS segundosBloqueo '
+        + 'FROM IntentoLoginIP WHERE direccionIP = $1',
+        [direccionIP]
+    );
+    const row = result.rows[0];
+    if (row && row.segundosbloqueo > 0) return { allowed: false, retryAfter: row.segundosbloqueo };
+    return { allowed: false, retryAfter: row ? Math.max(remainingDelay(row.intentosfallidos, row.ultimointento), 1) : 1 };
+}
+
+// Reserves an attempt for the account before the password comparison. Automatic locks whose cooldown ended are lifted here.
+// Mutates `user.estado` when the account is unlocked. Returns { allowed, locked, retryAfter }.
+async function reserveAccountAttempt(db, user) {
+    if (user.estado === 'BLOQUEADO') {
+        const unlockResult = await db.query(
+            'UPDATE Usuario SET estado = \'ACTIVO\', intentosFallidos = 0, bloqueadoHasta = NULL '
+            + 'WHERE usuarioID = $1 AND estado = \'BLOQUEADO\' AND bloqueadoHasta IS NOT NULL AND bloqueadoHasta <= NOW() RETURNING estado',
+            [user.usuarioid]
+        );
+        if (unlockResult.rows.length === 0) {
+            const retryAfter = user.bloqueadohasta
+                ? Math.max(Math.ceil((new Date(user.bloqueadohasta).getTime() - Date.now()) / 1000), 0)
+                : null;
+            return { allowed: false, locked: true, retryAfter };
+        }
+        user.estado = 'ACTIVO';
+        user.intentosfallidos = 0;
+    }
+
+    const reserved = await db.query(
+        'UPDATE Usuario SET intentosFallidos = intentosFallidos + 1, ultimoIntentoFallido = NOW() '
+        + 'WHERE usuarioID = $1 AND estado <> \'BLOQUEADO\' AND intentosFallidos < $2 '
+        + `AND (ultimoIntentoFallido IS NULL OR ultimoIntentoFallido + ${delaySql('intentosFallidos')} <= NOW()) `
+        + 'RETURNING intentosFallidos',
+        [user.usuarioid, ACCOUNT_MAX_ATTEMPTS]
+    );
+    if (reserved.rows.length > 0) return { allowed: true, locked: false, retryAfter: 0 };
+
+    // Refused: locked by a concurrent failure, waiting after the last attempt, or too many attempts in progress
+    const result = await db.query(
+        'SELECT estado, intentosFallidos, ultimoIntentoFallido, bloqueadoHasta FROM Usuario WHERE usuarioID = $1',
+        [user.usuarioid]
+    );
+    const current = result.rows[0];
+    if (current && current.estado === 'BLOQUEADO') {
+        const retryAfter = current.bloqueadohasta
+            ? Math.max(Math.ceil((new Date(current.bloqueadohasta).getTime() - Date.now()) / 1000), 0)
+            : null;
+        return { allowed: false, locked: true, retryAfter };
+    }
+    const retryAfter = current ? Math.max(remainingDelay(current.intentosfallidos, current.ultimointentofallido), 1) : 1;
+    return { allowed: false, locked: false, retryAfter };
+}
+
+// Records a failed login: the attempt reserved for the IP (and for the account, when the email exists) stays counted,
+// and reaching the threshold blocks the IP or locks the account.
+// Returns { bloqueado } (true when this failure locked the account).
+async function registerFailure(db, direccionIP, user) {
+    await db.query(
+        'UPDATE IntentoLoginIP SET bloqueadoHasta = NOW() + make_interval(mins => $2) '
+        + 'WHERE direccionIP = $1 AND intentosFallidos >= $3 AND (bloqueadoHasta IS NULL OR bloqueadoHasta <= NOW())',
+        [direccionIP, IP_WINDOW_MINUTES, IP_MAX_ATTEMPTS]
+    );
+
+    if (!user) return { bloqueado: false };
+
+    const result = await db.query(
+        'UPDATE Usuario SET ultimoIntentoFallido = NOW(), '
+        + 'estado = CASE WHEN intentosFallidos >= $2 AND estado = \'ACTIVO\' THEN \'BLOQUEADO\'::estado_usuario ELSE estado END, '
+        + 'bloqueadoHasta = CASE WHEN intentosFallidos >= $2 AND estado = \'ACTIVO\' THEN NOW() + make_interval(mins => $3) ELSE bloqueadoHasta END '
+        + 'WHERE usuarioID = $1 RETURNING estado, intentosFallidos, bloqueadoHasta',
+        [user.usuarioid, ACCOUNT_MAX_ATTEMPTS, ACCOUNT_LOCK_MINUTES]
+    );
+    const updated = result.rows[0];
+    const bloqueado = user.estado !== 'BLOQUEADO' && updated.estado === 'BLOQUEADO';
+    if (bloqueado) {
+        await revokeUserSessions(db, user.usuarioid);
+    }
+    return { bloqueado, intentosFallidos: updated.intentosfallidos, bloqueadoHasta: updated.bloqueadohasta };
+}
+
+// A correct password gives the reserved IP attempt back and clears the account counters (the rest of the IP window
+// is left to expire on its own, so logging into one's own account does not reset an attack from the same address).
+async function registerSuccess(db, direccionIP, user) {
+    await db.query(
+        'UPDATE IntentoLoginIP SET intentosFallidos = GREATEST(intentosFallidos - 1, 0) WHERE direccionIP = $1',
+        [direccionIP]
+    );
+    await db.query(
+        'UPDATE Usuario SET intentosFallidos = 0, ultimoIntentoFallido = NULL WHERE usuarioID = $1 AND intentosFallidos > 0',
+        [user.usuarioid]
+    );
+}
+
+module.exports = {
+    ACCOUNT_LOCK_MINUTES,
+    reserveIpAttempt,
+    reserveAccountAttempt,
+    registerFailure,
+    registerSuccess,
+};
@@ -0,0 +1,97 @@
+// Outgoing email. The transport is chosen with MAIL_TRANSPORT:
+//   file    - writes each message as JSON into outbox/ (MAIL_OUTBOX_DIR) for local inspection (default)
+//   console - prints only the recipient and subject; bodies carry reset and verification tokens and are never logged
+// A real transport (SMTP, an email API, ...) lives in its own module (an npm package, or a file path relative to the
+// project root) exporting { name, async send(message) }; MAIL_TRANSPORT_MODULE names it and it is registered when this
+// module is loaded. Transports can also be added from code with registerTransport().
+// Production needs a registered transport other than the two local ones (see checkMailConfig).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'GEventos <no-reply@geventos.local>';
+
+const consoleTransport = {
+    name: 'console',
+    async send(message) {
+        console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}`);
+    }
+};
+
+const fileTransport = {
+    name: 'file',
+    async send(message) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+    }
+};
+
+const transports = {
+    [consoleTransport.name]: consoleTransport,
+    [fileTransport.name]: fileTransport,
+};
+
+const localTransports = [consoleTransport.name, fileTransport.name];
+
+function registerTransport(transport) {
+    transports[transport.name] = transport;
+}
+
+// Loads and registers the transport module named by MAIL_TRANSPORT_MODULE. Returns { transport } or { error }.
+function loadTransportModule(modulePath) {
+    const resolved = modulePath.startsWith('.') ? path.resolve(__dirname, '..', modulePath) : modulePath;
+    let transport;
+    try {
+        transport = require(resolved);
+    } catch (error) {
+        return { error: `MAIL_TRANSPORT_MODULE could not be loaded (${modulePath}): ${error.message.split('\n')[0]}` };
+    }
+    if (!transport || !transport.name || typeof transport.send !== 'function') {
+        return { error: `MAIL_TRANSPORT_MODULE (${modulePath}) is not a mail transport: it needs a name and send().` };
+    }
+    registerTransport(transport);
+    return { transport };
+}
+
+const transportModule = process.env.MAIL_TRANSPORT_MODULE ? loadTransportModule(process.env.MAIL_TRANSPORT_MODULE) : {};
+
+// Transport in use: MAIL_TRANSPORT, else the loaded module, else the local outbox
+function transportName() {
+    return process.env.MAIL_TRANSPORT || (transportModule.transport ? transportModule.transport.name : fileTransport.name);
+}
+
+// Sends { to, subject, text, html? } through the configured transport. Errors are thrown to the caller.
+async function sendMail({ to, subject, text, html }) {
+    const name = transportName();
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    await transport.send({ from: MAIL_FROM, to, subject, text, html: html || null, fecha: new Date().toISOString() });
+}
+
+// Problems that keep the server from starting. Accounts are activated by email, so production needs a transport
+// that actually delivers: the outbox and the console only keep the messages on this server.
+function checkMailConfig() {
+    const problems = [];
+    if (transportModule.error) {
+        problems.push(transportModule.error);
+    }
+    const name = transportName();
+    if (!transports[name]) {
+        problems.push(`MAIL_TRANSPORT must name a registered mail transport, e.g. one loaded with MAIL_TRANSPORT_MODULE (current: ${name}).`);
+    } else if (process.env.NODE_ENV === 'production' && localTransports.includes(name)) {
+        problems.push(`MAIL_TRANSPORT ${name} does not deliver email; load a real transport with MAIL_TRANSPORT_MODULE.`);
+    }
+    return problems;
+}
+
+module.exports = {
+    outboxDir,
+    checkMailConfig,
+    registerTransport,
+    sendMail,
+};
@@ -0,0 +1,31 @@
+// Notification helpers shared by the routes that need to notify users.
+
+const validNotificationTypes = ['CONFIRMACION_COMPRA', 'RECORDATORIO_EVENTO', 'CAMBIO_EVENTO', 'SISTEMA'];
+
+// Inserts a row in Notificacion. `db` can be the pool or a client inside a transaction.
+async function createNotification(db, { usuarioID, titulo, mensaje, tipo }) {
+    if (!validNotificationTypes.includes(tipo)) {
+        throw new Error(`Invalid notification type: ${tipo}`);
+    }
+    const result = await db.query(
+        'INSERT INTO Notificacion(usuarioID, titulo, mensaje, tipo, fecha, leida) VALUES($1, $2, $3, $4, NOW(), FALSE) RETURNING notificacionID',
+        [usuarioID, titulo.substring(0, 100), mensaje, tipo]
+    );
+    return result.rows[0].notificacionid; // Lowercase as returned by pg
+}
+
+// Same as createNotification, but never throws: notifications must not break the main flow.
+async function notifySafely(db, notification) {
+    try {
+        return await createNotification(db, notification);
+    } catch (notificationError) {
+        console.error(`Error creating ${notification.tipo} notification for user ${notification.usuarioID}:`, notificationError);
+        return null;
+    }
+}
+
+module.exports = {
+    validNotificationTypes,
+    createNotification,
+    notifySafely,
+};
@@ -0,0 +1,77 @@
+// Payment provider registry.
+// A provider implements:
+//   createCheckoutSession({ pagoID, monto, descripcion, expiraEn }) -> { referencia, checkoutUrl, expiraEn }
+//   parseWebhook(rawBody, headers) -> { referencia, estado: 'COMPLETADO' | 'FALLIDO' } (throws on bad signature)
+//   refundPayment({ referencia, monto, claveIdempotencia }) -> { referenciaReembolso } (throws when the provider rejects the refund;
+//     a repeated claveIdempotencia must not refund again)
+
+// The mock confirms payments on request of the buyer, so it is never available in production.
+// A real provider lives in its own module (an npm package, or a file path relative to the project root) exporting
+// its name and the functions above; PAYMENT_PROVIDER_MODULE names it and it is registered when this registry is loaded. Providers can also be added from code with registerGateway().
+
+const path = require('path');
+const mockGateway = require('./mockGateway');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const gateways = isProduction ? {} : {
+    [mockGateway.name]: mockGateway,
+};
+
+function registerGateway(gateway) {
+    gateways[gateway.name] = gateway;
+}
+
+// Loads and registers the provider module named by PAYMENT_PROVIDER_MODULE. Returns { gateway } or { error }.
+function loadProviderModule(modulePath) {
+    const resolved = modulePath.startsWith('.') ? path.resolve(__dirname, '../..', modulePath) : modulePath;
+    let gateway;
+    try {
+        gateway = require(resolved);
+    } catch (error) {
+        return { error: `PAYMENT_PROVIDER_MODULE could not be loaded (${modulePath}): ${error.message.split('\n')[0]}` };
+    }
+    const missing = ['createCheckoutSession', 'parseWebhook', 'refundPayment'].filter(fn => !gateway || typeof gateway[fn] !== 'function');
+    if (!gateway || !gateway.name || missing.length > 0) {
+        return { error: `PAYMENT_PROVIDER_MODULE (${modulePath}) is not a payment provider: it needs a name and ${missing.join(', ') || 'its functions'}.` };
+    }
+    registerGateway(gateway);
+    return { gateway };
+}
+
+const providerModule = process.env.PAYMENT_PROVIDER_MODULE ? loadProviderModule(process.env.PAYMENT_PROVIDER_MODULE) : {};
+
+// Provider of new checkouts: PAYMENT_PROVIDER, else the loaded module, else the mock (outside production)
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER
+    || (providerModule.gateway ? providerModule.gateway.name : null)
+    || (isProduction ? null : mockGateway.name);
+
+// Returns the provider registered under `name`, or null.
+function getGateway(name) {
+    return gateways[name] || null;
+}
+
+// Configuration problems that must stop the server from starting (outside production only a broken provider module).
+function checkPaymentConfig() {
+    const problems = [];
+    if (providerModule.error) {
+        problems.push(providerModule.error);
+    }
+    if (!isProduction) {
+        return problems;
+    }
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        problems.push('PAYMENT_WEBHOOK_SECRET is not defined.');
+    }
+    if (!DEFAULT_PROVIDER || !getGateway(DEFAULT_PROVIDER)) {
+        problems.push(`PAYMENT_PROVIDER must name a registered payment provider, e.g. one loaded with PAYMENT_PROVIDER_MODULE (current: ${DEFAULT_PROVIDER || 'none'}).`);
+    }
+    return problems;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    checkPaymentConfig,
+    registerGateway,
+    getGateway,
+};
@@ -0,0 +1,103 @@
+// Local mock payment provider. It behaves like a hosted checkout: sessions are created here,
+// and the result arrives as a signed webhook, so the whole flow can be exercised without a real processor.
+
+const crypto = require('crypto');
+
+const name = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+let warnedAboutSecret = false;
+
+// The development fallback secret is public, so it is never used in production
+function getWebhookSecret() {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV === 'production') {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not defined.');
+    }
+    if (!process.env.PAYMENT_WEBHOOK_SECRET && !warnedAboutSecret) {
+        warnedAboutSecret = true;
+        console.warn('[MockGateway] PAYMENT_WEBHOOK_SECRET is not defined, using an insecure development secret.');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+}
+
+function sign(timestamp, rawBody) {
+    return crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Creates a checkout session for a PENDIENTE Pago.
+async function createCheckoutSession({ pagoID, monto, descripcion, expiraEn }) {
+    const referencia = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    const baseUrl = process.env.APP_BASE_URL || '';
+    return {
+        referencia,
+        checkoutUrl: `${baseUrl}/api/payments/mock/checkout/${referencia}`,
+        expiraEn,
+        detalles: { pagoID, monto, descripcion }
+    };
+}
+
+// Refunds (part of) a completed payment. The mock accepts every refund immediately; the same claveIdempotencia
+// always gives the same refund reference, as a real provider answers a repeated request.
+async function refundPayment({ referencia, monto, claveIdempotencia }) {
+    const id = claveIdempotencia
+        ? crypto.createHash('sha256').update(claveIdempotencia).digest('hex').slice(0, 16)
+        : crypto.randomBytes(8).toString('hex');
+    return {
+        referenciaReembolso: `mock_rf_${id}`,
+        detalles: { referencia, monto }
+    };
+}
+
+// Verifies the signature of a webhook and returns { referencia, estado }.
+// Throws an error with code 'INVALID_SIGNATURE' when the request was not signed by this provider.
+function parseWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    const parts = {};
+    String(header || '').split(',').forEach(part => {
+        const [key, value] = part.split('=');
+        parts[key] = value;
+    });
+
+    const timestamp = parseInt(parts.t, 10);
+    const expected = !isNaN(timestamp) ? sign(timestamp, rawBody) : '';
+    const received = parts.v1 || '';
+    const signatureValid = received.length === expected.length && expected.length > 0
+        && crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    if (!signatureValid || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        const error = new Error('Invalid webhook signature');
+        error.code = 'INVALID_SIGNATURE';
+        throw error;
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const estados = { 'pago.completado': 'COMPLETADO', 'pago.fallido': 'FALLIDO' };
+    if (!estados[event.tipo] || !event.referencia) {
+        const error = new Error(`Unsupported webhook event: ${event.tipo}`);
+        error.code = 'UNSUPPORTED_EVENT';
+        throw error;
+    }
+    return { referencia: event.referencia, estado: estados[event.tipo] };
+}
+
+// Builds the signed webhook the mock would send for a session (used by the simulated checkout page).
+function buildWebhook(referencia, estado) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const rawBody = Buffer.from(JSON.stringify({
+        tipo: estado === 'COMPLETADO' ? 'pago.completado' : 'pago.fallido',
+        referencia,
+        fecha: new Date().toISOString()
+    }));
+    return {
+        rawBody,
+        headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` }
+    };
+}
+
+module.exports = {
+    name,
+    createCheckoutSession,
+    refundPayment,
+    parseWebhook,
+    buildWebhook,
+};
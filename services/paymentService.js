@@ -0,0 +1,128 @@
+// Confirmation of gateway payments: moves a PENDIENTE Pago to COMPLETADO or FALLIDO
+// and issues or voids its tickets accordingly.
+
+const { notifySafely } = require('./notificationService');
+const { releaseSoldSeats } = require('./seatInventory');
+
+// Minutes a checkout session stays open before the PENDIENTE payment is considered failed
+const PAYMENT_SESSION_MINUTES = parseInt(process.env.PAYMENT_SESSION_MINUTES, 10) || 15;
+
+// Applies the final result of a payment identified by provider + reference.
+// Idempotent: a payment that is no longer PENDIENTE is left untouched (webhooks can be delivered twice).
+// Returns { pago, applied } where pago is null when the payment does not exist.
+async function applyPaymentResult(pool, proveedor, referencia, estado, direccionIP) {
+    const client = await pool.connect();
+    let pago;
+    let boletos;
+    try {
+        await client.query('BEGIN');
+
+        const pagoResult = await client.query(
+            'SELECT * FROM Pago WHERE proveedor = $1 AND referencia = $2 FOR UPDATE',
+            [proveedor, referencia]
+        );
+        if (pagoResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { pago: null, applied: false };
+        }
+        pago = pagoResult.rows[0];
+        if (pago.estado !== 'PENDIENTE') {
+            await client.query('ROLLBACK');
+            return { pago, applied: false };
+        }
+
+        // Same lock order as the purchase route (Evento first) to avoid deadlocks with concurrent checkouts
+        await client.query('SELECT eventoID FROM Evento WHERE eventoID = $1 FOR UPDATE', [pago.eventoid]);
+
+        if (estado === 'COMPLETADO') {
+            await client.query('UPDATE Pago SET estado = \'COMPLETADO\', fechaPago = NOW() WHERE pagoID = $1', [pago.pagoid]);
+            const issued = await client.query(
+                'UPDATE Boleto SET estado = \'ACTIVO\' WHERE pagoID = $1 AND estado = \'PENDIENTE\' RETURNING boletoID, usuarioID',
+                [pago.pagoid]
+            );
+            boletos = issued.rows;
+
+            const ticketsPerHolder = {};
+            boletos.forEach(boleto => {
+                ticketsPerHolder[boleto.usuarioid] = (ticketsPerHolder[boleto.usuarioid] || 0) + 1;
+            });
+            for (const [holderID, count] of Object.entries(ticketsPerHolder)) {
+                // Only attendees have a boletosComprados counter; the update is a no-op for organizers
+                await client.query('UPDATE Asistente SET boletosComprados = boletosComprados + $1 WHERE usuarioID = $2', [count, holderID]);
+            }
+        } else {
+            await client.query('UPDATE Pago SET estado = \'FALLIDO\' WHERE pagoID = $1', [pago.pagoid]);
+            const voided = await client.query(
+                'UPDATE Boleto SET estado = \'CANCELADO\' WHERE pagoID = $1 AND estado = \'PENDIENTE\' RETURNING boletoID, asientoID',
+                [pago.pagoid]
+            );
+            boletos = voided.rows;
+
+            // Give the inventory reserved at checkout back
+            const seatIDs = boletos.filter(boleto => boleto.asientoid).map(boleto => boleto.asientoid);
+            if (seatIDs.length > 0) {
+                await releaseSoldSeats(client, pago.eventoid, seatIDs);
+            }
+            await client.query(
+                'UPDATE Evento SET boletosVendidos = GREATEST(boletosVendidos - $1, 0) WHERE eventoID = $2',
+                [boletos.length, pago.eventoid]
+            );
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    const boletoIds = boletos.map(boleto => boleto.boletoid);
+    try {
+        await pool.query(
+            'INSERT INTO Actividad(usuarioID, tipo, descripcion, fecha, detalles, direccionIP) VALUES($1, $2, $3, NOW(), $4, $5)',
+            [
+                pago.usuarioid,
+                estado === 'COMPLETADO' ? 'COMPRA' : 'OTRO',
+                estado === 'COMPLETADO' ? `Compra realizada para Evento ${pago.eventoid}` : `Pago fallido para Evento ${pago.eventoid}`,
+                JSON.stringify({ pagoId: pago.pagoid, boletoIds, eventoID: pago.eventoid, monto: pago.monto, proveedor, referencia }),
+                direccionIP || null
+            ]
+        );
+    } catch (activityLogError) {
+        console.error('Error logging activity for payment confirmation:', activityLogError);
+    }
+
+    await notifySafely(pool, estado === 'COMPLETADO'
+        ? {
+            usuarioID: pago.usuarioid,
+            titulo: 'Compra confirmada',
+            mensaje: `Tu pago #${pago.pagoid} por ${pago.monto} fue confirmado. Boletos emitidos: ${boletoIds.length}.`,
+            tipo: 'CONFIRMACION_COMPRA'
+        }
+        : {
+            usuarioID: pago.usuarioid,
+            titulo: 'Pago no completado',
+            mensaje: `Tu pago #${pago.pagoid} no pudo completarse y los boletos reservados fueron liberados.`,
+            tipo: 'SISTEMA'
+        });
+
+    return { pago: { ...pago, estado }, applied: true, boletoIds };
+}
+
+// Fails the PENDIENTE payments whose checkout session expired without a webhook (run by the VENCER_PAGOS job).
+async function failExpiredPayments(pool) {
+    const expired = await pool.query(
+        'SELECT proveedor, referencia FROM Pago WHERE estado = \'PENDIENTE\' AND fechaExpiracion <= NOW()'
+    );
+    for (const pago of expired.rows) {
+        await applyPaymentResult(pool, pago.proveedor, pago.referencia, 'FALLIDO', null);
+    }
+    return expired.rows.length;
+}
+
+module.exports = {
+    PAYMENT_SESSION_MINUTES,
+    applyPaymentResult,
+    failExpiredPayments,
+};
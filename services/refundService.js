@@ -0,0 +1,145 @@
+// Refunds of completed payments: cancels the refunded tickets, frees their seats
+// and gives the capacity back to the event.
+// The money is sent back by a REEMBOLSAR_PAGO job enqueued in the same transaction, so the provider is only called
+// once the refund is committed, and a failed call is retried instead of leaving the refund to be approved again.
+
+const { getGateway } = require('./paymentGateways');
+const { releaseSoldSeats } = require('./seatInventory');
+
+// The provider call is retried with the job runner's backoff; after that the job stays FALLIDO for an administrator
+const REFUND_MAX_ATTEMPTS = 8;
+
+// Locks a payment and its tickets for a refund (call inside a transaction).
+// Returns { pago, boletos } or null when the payment does not exist.
+async function loadPaymentForRefund(client, pagoID) {
+    const pagoResult = await client.query(
+        'SELECT p.*, e.nombre AS eventoNombre, e.estado AS eventoEstado, e.organizadorID, e.fechaLimiteReembolso, '
+        + '(e.fecha + e.horaInicio) <= NOW() AS eventoIniciado, '
+        + '(e.fechaLimiteReembolso IS NOT NULL AND e.fechaLimiteReembolso < NOW()) AS plazoVencido '
+        + 'FROM Pago p JOIN Evento e ON p.eventoID = e.eventoID WHERE p.pagoID = $1 FOR UPDATE OF p',
+        [pagoID]
+    );
+    if (pagoResult.rows.length === 0) {
+        return null;
+    }
+    const boletosResult = await client.query(
+        'SELECT boletoID, estado, precio, asientoID, usuarioID FROM Boleto WHERE pagoID = $1 ORDER BY boletoID FOR UPDATE',
+        [pagoID]
+    );
+    return { pago: pagoResult.rows[0], boletos: boletosResult.rows };
+}
+
+// Checks which tickets to refund and how much. Without boletoIDs every ACTIVO ticket of the payment is refunded;
+// without monto the price of those tickets is refunded (never more than what is left of the payment).
+// Returns { boletoIDs, monto, errors }.
+function validateRefundSelection({ pago, boletos }, boletoIDs, monto) {
+    const errors = [];
+    const activeTickets = boletos.filter(boleto => boleto.estado === 'ACTIVO');
+
+    let selected = activeTickets;
+    if (boletoIDs !== undefined && boletoIDs !== null) {
+        if (!Array.isArray(boletoIDs) || boletoIDs.length === 0 || boletoIDs.some(id => !Number.isInteger(id) || id <= 0)) {
+            errors.push('Si se proporciona boletoIDs, debe ser un arreglo no vacío de IDs de boleto.');
+            return { errors };
+        }
+        const invalid = boletoIDs.filter(id => !activeTickets.some(boleto => boleto.boletoid === id));
+        if (invalid.length > 0) {
+            errors.push(`Los boletos ${invalid.join(', ')} no pertenecen al pago o ya no están activos.`);
+        }
+        selected = activeTickets.filter(boleto => boletoIDs.includes(boleto.boletoid));
+    }
+    if (selected.length === 0) {
+        errors.push('El pago no tiene boletos activos que reembolsar.');
+    }
+
+    // Amounts in cents to avoid floating point drift
+    const ticketsCents = selected.reduce((total, boleto) => total + Math.round(parseFloat(boleto.precio) * 100), 0);
+    const remainingCents = Math.round(parseFloat(pago.monto) * 100) - Math.round(parseFloat(pago.montoreembolsado) * 100);
+    const maxCents = Math.min(ticketsCents, remainingCents);
+    let montoCents = maxCents;
+    if (monto !== undefined && monto !== null) {
+        if (isNaN(monto) || parseFloat(monto) < 0 || Math.round(parseFloat(monto) * 100) > maxCents) {
+            errors.push(`monto debe ser un número entre 0 y ${(maxCents / 100).toFixed(2)}.`);
+        } else {
+            montoCents = Math.round(parseFloat(monto) * 100);
+        }
+    }
+
+    return { boletoIDs: selected.map(boleto => boleto.boletoid), monto: montoCents / 100, errors };
+}
+
+// Applies a validated refund inside the caller's transaction.
+// The payment becomes REEMBOLSADO once none of its tickets is ACTIVO or USADO anymore.
+// Returns trabajoReembolsoID, the REEMBOLSAR_PAGO job that sends the money back (null when there is nothing to send).
+async function applyRefund(client, { pago, boletos }, boletoIDs, monto) {
+    const refunded = boletos.filter(boleto => boletoIDs.includes(boleto.boletoid));
+
+    await client.query('UPDATE Boleto SET estado = \'CANCELADO\' WHERE boletoID = ANY($1::int[])', [boletoIDs]);
+
+    const seatIDs = refunded.filter(boleto => boleto.asientoid).map(boleto => boleto.asientoid);
+    if (seatIDs.length > 0) {
+        await releaseSoldSeats(client, pago.eventoid, seatIDs);
+    }
+    await client.query(
+        'UPDATE Evento SET boletosVendidos = GREATEST(boletosVendidos - $1, 0) WHERE eventoID = $2',
+        [refunded.length, pago.eventoid]
+    );
+
+    const ticketsPerHolder = {};
+    refunded.forEach(boleto => {
+        ticketsPerHolder[boleto.usuarioid] = (ticketsPerHolder[boleto.usuarioid] || 0) + 1;
+    });
+    for (const [holderID, count] of Object.entries(ticketsPerHolder)) {
+        await client.query(
+            'UPDATE Asistente SET boletosComprados = GREATEST(boletosComprados - $1, 0) WHERE usuarioID = $2',
+            [count, holderID]
+        );
+    }
+
+    const stillValid = boletos.some(boleto => !boletoIDs.includes(boleto.boletoid) && ['ACTIVO', 'USADO'].includes(boleto.estado));
+    const pagoResult = await client.query(
+        'UPDATE Pago SET montoReembolsado = montoReembolsado + $1, estado = CASE WHEN $2 THEN estado ELSE \'REEMBOLSADO\' END '
+        + 'WHERE pagoID = $3 RETURNING estado, montoReembolsado',
+        [monto, stillValid, pago.pagoid]
+    );
+
+    // Money goes back through the gateway that charged it (payments made before gateways existed have no provider).
+    // The refunded total grows with every refund, so it identifies this one: it is the job key and the idempotency
+    // key given to the provider.
+    let trabajoReembolsoID = null;
+    if (pago.proveedor && monto > 0) {
+        const clave = `REEMBOLSAR_PAGO:${pago.pagoid}:${pagoResult.rows[0].montoreembolsado}`;
+        const jobResult = await client.query(
+            'INSERT INTO Trabajo(tipo, claveUnica, parametros, programadoPara, maxIntentos) VALUES(\'REEMBOLSAR_PAGO\', $1, $2, NOW(), $3) '
+            + 'RETURNING trabajoID',
+            [clave, JSON.stringify({ pagoID: pago.pagoid, proveedor: pago.proveedor, referencia: pago.referencia, monto, clave }), REFUND_MAX_ATTEMPTS]
+        );
+        trabajoReembolsoID = jobResult.rows[0].trabajoid;
+    }
+
+    return {
+        boletoIDs,
+        asientoIDs: seatIDs,
+        monto,
+        trabajoReembolsoID,
+        estadoPago: pagoResult.rows[0].estado,
+        montoReembolsadoTotal: pagoResult.rows[0].montoreembolsado
+    };
+}
+
+// REEMBOLSAR_PAGO job: asks the provider to send the money back. Throwing makes the runner retry with the same key.
+async function sendRefundToProvider(pool, { pagoID, proveedor, referencia, monto, clave }) {
+    const gateway = getGateway(proveedor);
+    if (!gateway) {
+        throw new Error(`Unknown payment provider: ${proveedor}`);
+    }
+    const refund = await gateway.refundPayment({ referencia, monto, claveIdempotencia: clave });
+    return { pagoID, monto, referenciaReembolso: refund.referenciaReembolso };
+}
+
+module.exports = {
+    loadPaymentForRefund,
+    validateRefundSelection,
+    applyRefund,
+    sendRefundToProvider,
+};
@@ -0,0 +1,315 @@
+// Report generation: builds the report data from the database and writes it as CSV, EXCEL or PDF.
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Generated files are kept outside of 'uploads' so they are only reachable through the authenticated download route.
+const reportsDir = path.join(__dirname, '../reports');
+
+const validReportTypes = ['OCUPACION', 'VENTAS', 'ASISTENCIA', 'PERSONAL'];
+const validReportFormats = ['PDF', 'EXCEL', 'CSV'];
+const fileExtensions = { PDF: 'pdf', EXCEL: 'xlsx', CSV: 'csv' };
+
+// Builds the WHERE clause shared by the report queries.
+// dateColumn is the column the fechaInicio/fechaFin range applies to.
+function buildFilters({ fechaInicio, fechaFin, eventoID }, dateColumn) {
+    const conditions = [];
+    const params = [];
+
+    if (fechaInicio) {
+        params.push(fechaInicio);
+        conditions.push(`${dateColumn} >= $${params.length}`);
+    }
+    if (fechaFin) {
+        params.push(fechaFin);
+        conditions.push(`${dateColumn} <= $${params.length}`);
+    }
+    if (eventoID) {
+        params.push(eventoID);
+        conditions.push(`e.eventoID = $${params.length}`);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// Sums the given numeric columns over all rows.
+function sumColumns(rows, keys) {
+    const totals = {};
+    keys.forEach(key => {
+        totals[key] = rows.reduce((acc, row) => acc + Number(row[key] || 0), 0);
+    });
+    return totals;
+}
+
+const reportBuilders = {
+    OCUPACION: async (db, filters) => {
+        const { where, params } = buildFilters(filters, 'e.fecha');
+        const result = await db.query(
+            'SELECT e.eventoID, e.nombre, e.fecha, l.nombre AS lugar, e.capacidad, e.boletosVendidos, '
+            + 'COUNT(b.boletoID) FILTER (WHERE b.estado IN (\'ACTIVO\', \'USADO\'))::int AS boletosValidos, '
+            + 'ROUND(100.0 * e.boletosVendidos / e.capacidad, 2) AS porcentajeOcupacion '
+            + 'FROM Evento e '
+            + 'JOIN Lugar l ON e.lugarID = l.lugarID '
+            + 'LEFT JOIN Boleto b ON b.eventoID = e.eventoID '
+            + `${where} `
+            + 'GROUP BY e.eventoID, l.nombre '
+            + 'ORDER BY e.fecha ASC, e.eventoID ASC',
+            params
+        );
+        const totals = sumColumns(result.rows, ['capacidad', 'boletosvendidos']);
+        return {
+            titulo: 'Reporte de ocupación',
+            columnas: [
+                { key: 'eventoid', header: 'Evento ID' },
+                { key: 'nombre', header: 'Evento' },
+                { key: 'fecha', header: 'Fecha' },
+                { key: 'lugar', header: 'Lugar' },
+                { key: 'capacidad', header: 'Capacidad' },
+                { key: 'boletosvendidos', header: 'Boletos vendidos' },
+                { key: 'boletosvalidos', header: 'Boletos válidos' },
+                { key: 'porcentajeocupacion', header: '% Ocupación' }
+            ],
+            filas: result.rows,
+            resumen: {
+                eventos: result.rows.length,
+                capacidadTotal: totals.capacidad,
+                boletosVendidos: totals.boletosvendidos,
+                porcentajeOcupacion: totals.capacidad > 0 ? Math.round(10000 * totals.boletosvendidos / totals.capacidad) / 100 : 0
+            }
+        };
+    },
+
+    // montoTotal is what was kept after refunds: partially refunded payments stay COMPLETADO, and a REEMBOLSADO
+    // payment may keep part of its amount when the refund was smaller than the price.
+    VENTAS: async (db, filters) => {
+        const { where, params } = buildFilters(filters, 'p.fechaPago::date');
+        const result = await db.query(
+            'SELECT e.eventoID, e.nombre, mp.nombre AS metodoPago, '
+            + 'COUNT(DISTINCT p.pagoID) FILTER (WHERE p.estado = \'COMPLETADO\')::int AS pagosCompletados, '
+            + 'COALESCE(SUM(p.monto - p.montoReembolsado) FILTER (WHERE p.estado IN (\'COMPLETADO\', \'REEMBOLSADO\')), 0) AS montoTotal, '
+            + 'COALESCE(SUM(p.montoReembolsado) FILTER (WHERE p.estado IN (\'COMPLETADO\', \'REEMBOLSADO\')), 0) AS montoReembolsado, '
+            + 'COUNT(DISTINCT p.pagoID) FILTER (WHERE p.estado = \'REEMBOLSADO\')::int AS pagosReembolsados, '
+            + 'COUNT(DISTINCT p.pagoID) FILTER (WHERE p.estado = \'FALLIDO\')::int AS pagosFallidos '
+            + 'FROM Pago p '
+            + 'JOIN Evento e ON p.eventoID = e.eventoID '
+            + 'JOIN MetodoPago mp ON p.metodoPagoID = mp.metodoPagoID '
+            + `${where} `
+            + 'GROUP BY e.eventoID, mp.metodoPagoID '
+            + 'ORDER BY e.eventoID ASC, mp.nombre ASC',
+            params
+        );
+        const totals = sumColumns(result.rows, ['pagoscompletados', 'montototal', 'montoreembolsado', 'pagosreembolsados', 'pagosfallidos']);
+        return {
+            titulo: 'Reporte de ventas',
+            columnas: [
+                { key: 'eventoid', header: 'Evento ID' },
+                { key: 'nombre', header: 'Evento' },
+                { key: 'metodopago', header: 'Método de pago' },
+                { key: 'pagoscompletados', header: 'Pagos completados' },
+                { key: 'montototal', header: 'Monto total (neto)' },
+                { key: 'montoreembolsado', header: 'Monto reembolsado' },
+                { key: 'pagosreembolsados', header: 'Pagos reembolsados' },
+                { key: 'pagosfallidos', header: 'Pagos fallidos' }
+            ],
+            filas: result.rows,
+            resumen: {
+                pagosCompletados: totals.pagoscompletados,
+                montoTotal: Math.round(totals.montototal * 100) / 100,
+                montoReembolsado: Math.round(totals.montoreembolsado * 100) / 100,
+                pagosReembolsados: totals.pagosreembolsados,
+                pagosFallidos: totals.pagosfallidos
+            }
+        };
+    },
+
+    ASISTENCIA: async (db, filters) => {
+        const { where, params } = buildFilters(filters, 'e.fecha');
+        const result = await db.query(
+            'SELECT e.eventoID, e.nombre, e.fecha, '
+            + 'COUNT(b.boletoID) FILTER (WHERE b.estado IN (\'ACTIVO\', \'USADO\', \'EXPIRADO\'))::int AS boletosEmitidos, '
+            + 'COUNT(b.boletoID) FILTER (WHERE b.estado = \'USADO\')::int AS asistentes, '
+            + 'COUNT(b.boletoID) FILTER (WHERE b.estado IN (\'ACTIVO\', \'EXPIRADO\'))::int AS ausentes, '
+            + 'COUNT(b.boletoID) FILTER (WHERE b.estado = \'CANCELADO\')::int AS cancelados '
+            + 'FROM Evento e '
+            + 'LEFT JOIN Boleto b ON b.eventoID = e.eventoID '
+            + `${where} `
+            + 'GROUP BY e.eventoID '
+            + 'ORDER BY e.fecha ASC, e.eventoID ASC',
+            params
+        );
+        result.rows.forEach(row => {
+            row.porcentajeasistencia = row.boletosemitidos > 0 ? Math.round(10000 * row.asistentes / row.boletosemitidos) / 100 : 0;
+        });
+        const totals = sumColumns(result.rows, ['boletosemitidos', 'asistentes', 'ausentes', 'cancelados']);
+        return {
+            titulo: 'Reporte de asistencia',
+            columnas: [
+                { key: 'eventoid', header: 'Evento ID' },
+                { key: 'nombre', header: 'Evento' },
+                { key: 'fecha', header: 'Fecha' },
+                { key: 'boletosemitidos', header: 'Boletos emitidos' },
+                { key: 'asistentes', header: 'Asistentes' },
+                { key: 'ausentes', header: 'Ausentes' },
+                { key: 'cancelados', header: 'Cancelados' },
+                { key: 'porcentajeasistencia', header: '% Asistencia' }
+            ],
+            filas: result.rows,
+            resumen: {
+                boletosEmitidos: totals.boletosemitidos,
+                asistentes: totals.asistentes,
+                ausentes: totals.ausentes,
+                cancelados: totals.cancelados,
+                porcentajeAsistencia: totals.boletosemitidos > 0 ? Math.round(10000 * totals.asistentes / totals.boletosemitidos) / 100 : 0
+            }
+        };
+    },
+
+    PERSONAL: async (db, filters) => {
+        const { where, params } = buildFilters(filters, 'e.fecha');
+        const result = await db.query(
+            'SELECT e.eventoID, e.nombre AS evento, e.fecha, ar.nombre AS area, ar.tipo AS tipoArea, '
+            + 'u.nombre AS encargado, u.correoElectronico AS correo, o.departamento '
+            + 'FROM AreaManager am '
+            + 'JOIN Evento e ON am.eventoID = e.eventoID '
+            + 'JOIN Area ar ON am.areaID = ar.areaID '
+            + 'JOIN Organizador o ON am.organizadorID = o.usuarioID '
+            + 'JOIN Usuario u ON o.usuarioID = u.usuarioID '
+            + `${where} `
+            + 'ORDER BY e.fecha ASC, e.eventoID ASC, ar.nombre ASC',
+            params
+        );
+        return {
+            titulo: 'Reporte de personal',
+            columnas: [
+                { key: 'eventoid', header: 'Evento ID' },
+                { key: 'evento', header: 'Evento' },
+                { key: 'fecha', header: 'Fecha' },
+                { key: 'area', header: 'Área' },
+                { key: 'tipoarea', header: 'Tipo de área' },
+                { key: 'encargado', header: 'Encargado' },
+                { key: 'correo', header: 'Correo' },
+                { key: 'departamento', header: 'Departamento' }
+            ],
+            filas: result.rows,
+            resumen: {
+                asignaciones: result.rows.length,
+                encargados: new Set(result.rows.map(row => row.correo)).size
+            }
+        };
+    }
+};
+
+// Formats a cell value for text outputs (CSV and PDF).
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().substring(0, 10);
+    }
+    return String(value);
+}
+
+function escapeCsv(value) {
+    const text = formatCell(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const reportWriters = {
+    CSV: async (report, filePath) => {
+        const lines = [report.columnas.map(col => escapeCsv(col.header)).join(',')];
+        report.filas.forEach(row => {
+            lines.push(report.columnas.map(col => escapeCsv(row[col.key])).join(','));
+        });
+        // BOM so Excel detects UTF-8 (accents in headers and names)
+        await fs.promises.writeFile(filePath, '\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+    },
+
+    EXCEL: async (report, filePath) => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(report.titulo.substring(0, 31));
+        sheet.columns = report.columnas.map(col => ({ header: col.header, key: col.key, width: Math.max(col.header.length + 2, 14) }));
+        sheet.getRow(1).font = { bold: true };
+        report.filas.forEach(row => {
+            const values = {};
+            report.columnas.forEach(col => {
+                const value = row[col.key];
+                // pg returns DECIMAL/NUMERIC as strings
+                values[col.key] = typeof value === 'string' && value !== '' && !isNaN(value) ? Number(value) : value;
+            });
+            sheet.addRow(values);
+        });
+
+        const summarySheet = workbook.addWorksheet('Resumen');
+        summarySheet.columns = [{ header: 'Indicador', key: 'indicador', width: 24 }, { header: 'Valor', key: 'valor', width: 16 }];
+        summarySheet.getRow(1).font = { bold: true };
+        Object.entries(report.resumen).forEach(([indicador, valor]) => summarySheet.addRow({ indicador, valor }));
+
+        await workbook.xlsx.writeFile(filePath);
+    },
+
+    PDF: (report, filePath) => new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+        const stream = fs.createWriteStream(filePath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+
+        doc.fontSize(16).text(report.titulo);
+        doc.fontSize(9).text(`Generado: ${new Date().toISOString()}`);
+        doc.moveDown();
+
+        const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const columnWidth = tableWidth / report.columnas.length;
+        const drawRow = (cells, bold) => {
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+                doc.addPage();
+            }
+            const y = doc.y;
+            let rowHeight = 0;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            cells.forEach((cell, index) => {
+                const x = doc.page.margins.left + index * columnWidth;
+                doc.text(cell, x, y, { width: columnWidth - 4 });
+                rowHeight = Math.max(rowHeight, doc.y - y);
+            });
+            doc.x = doc.page.margins.left;
+            doc.y = y + rowHeight + 4;
+        };
+
+        drawRow(report.columnas.map(col => col.header), true);
+        report.filas.forEach(row => drawRow(report.columnas.map(col => formatCell(row[col.key])), false));
+
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(10).text('Resumen');
+        doc.font('Helvetica').fontSize(9);
+        Object.entries(report.resumen).forEach(([indicador, valor]) => doc.text(`${indicador}: ${valor}`));
+
+        doc.end();
+    })
+};
+
+// Builds the report data and writes the file. Returns { fileName, report }.
+async function generateReport(db, tipo, formato, filters) {
+    const report = await reportBuilders[tipo](db, filters);
+
+    if (!fs.existsSync(reportsDir)) {
+        fs.mkdirSync(reportsDir, { recursive: true });
+    }
+    const fileName = `${Date.now()}-${tipo.toLowerCase()}.${fileExtensions[formato]}`;
+    await reportWriters[formato](report, path.join(reportsDir, fileName));
+
+    return { fileName, report };
+}
+
+module.exports = {
+    reportsDir,
+    validReportTypes,
+    validReportFormats,
+    generateReport,
+};
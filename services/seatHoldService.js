@@ -0,0 +1,58 @@
+// Time-limited seat holds (ReservaAsiento) taken between picking seats and paying.
+// A hold puts the seat in RESERVADO in the event's inventory (AsientoEvento); releasing it puts it back to DISPONIBLE.
+
+// How long a hold lasts and how many seats a user can hold at once (configurable through .env)
+const HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 10;
+const MAX_SEATS_PER_HOLD = parseInt(process.env.SEAT_HOLD_MAX_SEATS, 10) || 10;
+
+// Deletes the expired holds and puts their seats back to DISPONIBLE (run by the LIBERAR_RESERVAS job).
+// `db` can be the pool or a client inside a transaction. Returns the released asientoIDs.
+async function releaseExpiredHolds(db) {
+    const result = await db.query(
+        'WITH expired AS (DELETE FROM ReservaAsiento WHERE fechaExpiracion <= NOW() RETURNING asientoID, eventoID) '
+        + 'UPDATE AsientoEvento ae SET estado = \'DISPONIBLE\', fechaModificacion = NOW() FROM expired '
+        + 'WHERE ae.asientoID = expired.asientoID AND ae.eventoID = expired.eventoID AND ae.estado = \'RESERVADO\' '
+        + 'RETURNING ae.asientoID'
+    );
+    return result.rows.map(row => row.asientoid);
+}
+
+// Releases the holds of a user for an event (all of them, or only the given seats).
+async function releaseUserHolds(db, usuarioID, eventoID, asientoIDs) {
+    const params = [usuarioID, eventoID];
+    let seatFilter = '';
+    if (asientoIDs) {
+        params.push(asientoIDs);
+        seatFilter = 'AND asientoID = ANY($3::int[]) ';
+    }
+    const result = await db.query(
+        'WITH released AS (DELETE FROM ReservaAsiento WHERE usuarioID = $1 AND eventoID = $2 '
+        + seatFilter
+        + 'RETURNING asientoID, eventoID) '
+        + 'UPDATE AsientoEvento ae SET estado = \'DISPONIBLE\', fechaModificacion = NOW() FROM released '
+        + 'WHERE ae.asientoID = released.asientoID AND ae.eventoID = released.eventoID AND ae.estado = \'RESERVADO\' '
+        + 'RETURNING ae.asientoID',
+        params
+    );
+    return result.rows.map(row => row.asientoid);
+}
+
+// Releases every hold of an event (e.g. when it stops being on sale). Returns the released asientoIDs.
+async function releaseEventHolds(db, eventoID) {
+    const result = await db.query(
+        'WITH released AS (DELETE FROM ReservaAsiento WHERE eventoID = $1 RETURNING asientoID) '
+        + 'UPDATE AsientoEvento ae SET estado = \'DISPONIBLE\', fechaModificacion = NOW() FROM released '
+        + 'WHERE ae.asientoID = released.asientoID AND ae.eventoID = $1 AND ae.estado = \'RESERVADO\' '
+        + 'RETURNING ae.asientoID',
+        [eventoID]
+    );
+    return result.rows.map(row => row.asientoid);
+}
+
+module.exports = {
+    HOLD_MINUTES,
+    MAX_SEATS_PER_HOLD,
+    releaseExpiredHolds,
+    releaseUserHolds,
+    releaseEventHolds,
+};
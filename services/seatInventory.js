@@ -0,0 +1,140 @@
+// Per-event seat inventory (AsientoEvento). Seats are physical and shared by every event at their Lugar;
+// each event keeps its own state for them, so selling A1 for one event leaves it free for the others.
+// The inventory is created when the event is published (services/eventLifecycle.js). Until then the event's
+// seats are DISPONIBLE, except for those the layout already changed. A physically BLOQUEADO seat
+// (Asiento.estado) is unavailable for every event, but the seats already held or sold keep their state.
+
+const physicalSeatStates = ['DISPONIBLE', 'BLOQUEADO'];
+const eventSeatStates = ['DISPONIBLE', 'OCUPADO', 'RESERVADO', 'BLOQUEADO'];
+// States staff can set by hand; RESERVADO and OCUPADO follow the holds (ReservaAsiento) and tickets (Boleto)
+const manualSeatStates = ['DISPONIBLE', 'BLOQUEADO'];
+
+// State of seat `a` (Asiento) for the event of `ae` (AsientoEvento, LEFT JOINed)
+const EVENT_SEAT_STATE = '(CASE WHEN a.estado = \'BLOQUEADO\' AND COALESCE(ae.estado, \'DISPONIBLE\') = \'DISPONIBLE\' '
+    + 'THEN \'BLOQUEADO\' ELSE COALESCE(ae.estado, \'DISPONIBLE\') END)';
+
+// Adds every seat of the event's venue to its inventory. Seats already in it keep their state.
+// Returns the number of seats added.
+async function createEventInventory(db, eventoID) {
+    const result = await db.query(
+        'INSERT INTO AsientoEvento(eventoID, asientoID) '
+        + 'SELECT e.eventoID, a.asientoID FROM Evento e JOIN Area ar ON ar.lugarID = e.lugarID JOIN Asiento a ON a.areaID = ar.areaID '
+        + 'WHERE e.eventoID = $1 '
+        + 'ON CONFLICT (eventoID, asientoID) DO NOTHING',
+        [eventoID]
+    );
+    return result.rowCount;
+}
+
+// Drops the inventory of an event (e.g. when it moves to another venue); an ACTIVO event gets the seats of its current venue.
+async function rebuildEventInventory(db, eventoID) {
+    await db.query('DELETE FROM AsientoEvento WHERE eventoID = $1', [eventoID]);
+    await db.query(
+        'INSERT INTO AsientoEvento(eventoID, asientoID) '
+        + 'SELECT e.eventoID, a.asientoID FROM Evento e JOIN Area ar ON ar.lugarID = e.lugarID JOIN Asiento a ON a.areaID = ar.areaID '
+        + 'WHERE e.eventoID = $1 AND e.estado = \'ACTIVO\'',
+        [eventoID]
+    );
+}
+
+// Seats of the event that are held or sold
+async function countTakenSeats(db, eventoID) {
+    const result = await db.query(
+        'SELECT COUNT(*)::int AS total FROM AsientoEvento WHERE eventoID = $1 AND estado IN (\'RESERVADO\', \'OCUPADO\')',
+        [eventoID]
+    );
+    return result.rows[0].total;
+}
+
+// New seats of a venue join the inventory of the ACTIVO events held there as DISPONIBLE.
+async function addSeatsToInventories(db, asientoIDs) {
+    await db.query(
+        'INSERT INTO AsientoEvento(eventoID, asientoID) '
+        + 'SELECT e.eventoID, a.asientoID FROM Asiento a JOIN Area ar ON a.areaID = ar.areaID JOIN Evento e ON e.lugarID = ar.lugarID '
+        + 'WHERE a.asientoID = ANY($1::int[]) AND e.estado = \'ACTIVO\' '
+        + 'ON CONFLICT (eventoID, asientoID) DO NOTHING',
+        [asientoIDs]
+    );
+}
+
+// Sets the state of seats for one event, adding them to its inventory if needed.
+async function setEventSeatState(db, eventoID, asientoIDs, estado) {
+    await db.query(
+        'INSERT INTO AsientoEvento(eventoID, asientoID, estado) SELECT $1, seat_id, $3 FROM unnest($2::int[]) AS seat_id '
+        + 'ON CONFLICT (eventoID, asientoID) DO UPDATE SET estado = EXCLUDED.estado, fechaModificacion = NOW()',
+        [eventoID, asientoIDs, estado]
+    );
+}
+
+// Seats of the event's venue with their state for the event, optionally limited to one area.
+async function getEventSeats(db, eventoID, areaID = null) {
+    const result = await db.query(
+        `SELECT a.asientoID, a.codigo, a.fila, a.columna, ${EVENT_SEAT_STATE} AS estado, a.areaID AS areaid `
+        + 'FROM Evento e JOIN Area ar ON ar.lugarID = e.lugarID JOIN Asiento a ON a.areaID = ar.areaID '
+        + 'LEFT JOIN AsientoEvento ae ON ae.eventoID = e.eventoID AND ae.asientoID = a.asientoID '
+        + 'WHERE e.eventoID = $1 AND ($2::int IS NULL OR a.areaID = $2) ORDER BY a.asientoID ASC',
+        [eventoID, areaID]
+    );
+    return result.rows;
+}
+
+// Locks the inventory rows of the given seats for the event (ordered by asientoID so concurrent buyers do not deadlock)
+// and returns them with their state. Seats missing from the inventory are not returned.
+async function lockEventSeats(db, eventoID, asientoIDs) {
+    const result = await db.query(
+        `SELECT a.asientoID, a.codigo, ${EVENT_SEAT_STATE} AS estado `
+        + 'FROM AsientoEvento ae JOIN Asiento a ON ae.asientoID = a.asientoID '
+        + 'WHERE ae.eventoID = $1 AND ae.asientoID = ANY($2::int[]) ORDER BY ae.asientoID FOR UPDATE OF ae',
+        [eventoID, asientoIDs]
+    );
+    return result.rows;
+}
+
+// Seats of the event with a pending or valid ticket or an unexpired hold
+async function findTakenSeats(db, eventoID, asientoIDs) {
+    const result = await db.query(
+        'SELECT asientoID FROM Boleto WHERE eventoID = $1 AND asientoID = ANY($2::int[]) AND estado IN (\'PENDIENTE\', \'ACTIVO\', \'USADO\') '
+        + 'UNION SELECT asientoID FROM ReservaAsiento WHERE eventoID = $1 AND asientoID = ANY($2::int[]) AND fechaExpiracion > NOW()',
+        [eventoID, asientoIDs]
+    );
+    return result.rows.map(row => row.asientoid);
+}
+
+// Hand-made change of the state of seats for an event (one of manualSeatStates), inside the caller's transaction.
+// Seats that are held or sold are refused: nothing is changed and their asientoIDs are returned.
+async function setManualSeatState(client, eventoID, asientoIDs, estado) {
+    // Same lock as holds and checkouts take, so a seat cannot be held between the check and the update
+    await lockEventSeats(client, eventoID, asientoIDs);
+    const taken = await findTakenSeats(client, eventoID, asientoIDs);
+    if (taken.length > 0) {
+        return taken;
+    }
+    await setEventSeatState(client, eventoID, asientoIDs, estado);
+    return [];
+}
+
+// Gives seats taken for the event (sold and then voided or refunded) back to its inventory.
+async function releaseSoldSeats(db, eventoID, asientoIDs) {
+    await db.query(
+        'UPDATE AsientoEvento SET estado = \'DISPONIBLE\', fechaModificacion = NOW() '
+        + 'WHERE eventoID = $1 AND asientoID = ANY($2::int[]) AND estado = \'OCUPADO\'',
+        [eventoID, asientoIDs]
+    );
+}
+
+module.exports = {
+    physicalSeatStates,
+    eventSeatStates,
+    manualSeatStates,
+    EVENT_SEAT_STATE,
+    createEventInventory,
+    rebuildEventInventory,
+    countTakenSeats,
+    addSeatsToInventories,
+    setEventSeatState,
+    getEventSeats,
+    lockEventSeats,
+    findTakenSeats,
+    setManualSeatState,
+    releaseSoldSeats,
+};
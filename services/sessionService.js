@@ -0,0 +1,147 @@
+// Login sessions (SesionUsuario): short-lived access JWTs plus a server-side refresh token
+// that is rotated on every use. Revoking the session invalidates both.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh tokens are `<sesionID>.<random secret>`; only the hash of the secret is stored.
+function newRefreshSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Loads a user with the role used in the JWT payload. Returns null when the user does not exist.
+async function loadSessionUser(db, usuarioID) {
+    const result = await db.query(
+        'SELECT u.usuarioID, u.estado, '
+        + 'CASE WHEN a.usuarioID IS NOT NULL THEN \'ASISTENTE\' '
+        + 'WHEN o.usuarioID IS NOT NULL AND o.nivelPermiso = \'ADMINISTRADOR\' THEN \'ADMINISTRADOR\' '
+        + 'WHEN o.usuarioID IS NOT NULL THEN \'ORGANIZADOR\' '
+        + 'ELSE NULL END as role, o.nivelPermiso '
+        + 'FROM Usuario u '
+        + 'LEFT JOIN Asistente a ON u.usuarioID = a.usuarioID '
+        + 'LEFT JOIN Organizador o ON u.usuarioID = o.usuarioID '
+        + 'WHERE u.usuarioID = $1',
+        [usuarioID]
+    );
+    return result.rows[0] || null;
+}
+
+function issueAccessToken(user, sesionID) {
+    return jwt.sign(
+        { userId: user.usuarioid, role: user.role, nivelPermiso: user.nivelpermiso, sid: sesionID },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Opens a session for a user that just authenticated. Returns { token, refreshToken, sesionID }.
+async function createSession(db, user, { direccionIP, agenteUsuario } = {}) {
+    const secret = newRefreshSecret();
+    const result = await db.query(
+        'INSERT INTO SesionUsuario(usuarioID, refreshTokenHash, fechaCreacion, fechaExpiracion, ultimoUso, direccionIP, agenteUsuario) '
+        + 'VALUES($1, $2, NOW(), NOW() + make_interval(days => $3), NOW(), $4, $5) RETURNING sesionID',
+        [user.usuarioid, hashToken(secret), REFRESH_TOKEN_DAYS, direccionIP || null, agenteUsuario ? agenteUsuario.substring(0, 255) : null]
+    );
+    const sesionID = result.rows[0].sesionid;
+    return { token: issueAccessToken(user, sesionID), refreshToken: `${sesionID}.${secret}`, sesionID };
+}
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Returns { token, refreshToken, sesionID } or { error } with a reason:
+// INVALID (malformed/unknown), EXPIRED, REVOKED, REUSED (an already rotated token: the session is revoked) or INACTIVE_USER.
+async function rotateSession(pool, refreshToken) {
+    const [sesionPart, secret] = String(refreshToken || '').split('.');
+    const sesionID = parseInt(sesionPart, 10);
+    if (isNaN(sesionID) || !secret) {
+        return { error: 'INVALID' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const sessionResult = await client.query(
+            'SELECT sesionID, usuarioID, refreshTokenHash, revocada, fechaExpiracion < NOW() AS expirada '
+            + 'FROM SesionUsuario WHERE sesionID = $1 FOR UPDATE',
+            [sesionID]
+        );
+        const session = sessionResult.rows[0];
+        if (!session) {
+            await client.query('ROLLBACK');
+            return { error: 'INVALID' };
+        }
+        if (session.revocada) {
+            await client.query('ROLLBACK');
+            return { error: 'REVOKED' };
+        }
+        if (session.expirada) {
+            await client.query('ROLLBACK');
+            return { error: 'EXPIRED' };
+        }
+
+        const presented = Buffer.from(hashToken(secret));
+        const current = Buffer.from(session.refreshtokenhash);
+        if (presented.length !== current.length || !crypto.timingSafeEqual(presented, current)) {
+            // A rotated token came back: someone else may hold the current one, so the whole session goes
+            await client.query('UPDATE SesionUsuario SET revocada = TRUE, fechaRevocacion = NOW() WHERE sesionID = $1', [sesionID]);
+            await client.query('COMMIT');
+            return { error: 'REUSED' };
+        }
+
+        const user = await loadSessionUser(client, session.usuarioid);
+        if (!user || user.estado !== 'ACTIVO') {
+            await client.query('UPDATE SesionUsuario SET revocada = TRUE, fechaRevocacion = NOW() WHERE sesionID = $1', [sesionID]);
+            await client.query('COMMIT');
+            return { error: 'INACTIVE_USER' };
+        }
+
+        const newSecret = newRefreshSecret();
+        await client.query(
+            'UPDATE SesionUsuario SET refreshTokenHash = $1, ultimoUso = NOW() WHERE sesionID = $2',
+            [hashToken(newSecret), sesionID]
+        );
+        await client.query('COMMIT');
+
+        return { token: issueAccessToken(user, sesionID), refreshToken: `${sesionID}.${newSecret}`, sesionID };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Revokes one session of a user. Returns true when an active session was revoked.
+async function revokeSession(db, usuarioID, sesionID) {
+    const result = await db.query(
+        'UPDATE SesionUsuario SET revocada = TRUE, fechaRevocacion = NOW() WHERE sesionID = $1 AND usuarioID = $2 AND revocada = FALSE RETURNING sesionID',
+        [sesionID, usuarioID]
+    );
+    return result.rows.length > 0;
+}
+
+// Revokes every active session of a user, optionally keeping one (e.g. the session changing the password).
+// Returns how many were revoked.
+async function revokeUserSessions(db, usuarioID, exceptSesionID) {
+    const result = await db.query(
+        'UPDATE SesionUsuario SET revocada = TRUE, fechaRevocacion = NOW() '
+        + 'WHERE usuarioID = $1 AND revocada = FALSE AND sesionID <> COALESCE($2, 0) RETURNING sesionID',
+        [usuarioID, exceptSesionID || null]
+    );
+    return result.rows.length;
+}
+
+module.exports = {
+    loadSessionUser,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+};
@@ -0,0 +1,87 @@
+// Signed ticket codes (Boleto.codigoQR).
+// A code is `GE1.<payload>.<signature>` (base64url): the payload holds the ticket, event and seat,
+// the signature is Ed25519, so scanners can check a code offline with the public key alone.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_PREFIX = 'GE1';
+const keysDir = path.join(__dirname, '../keys');
+const privateKeyFile = path.join(keysDir, 'ticket-signing-private.pem');
+const publicKeyFile = path.join(keysDir, 'ticket-signing-public.pem');
+
+let signingKeys = null;
+
+// Keys come from TICKET_SIGNING_PRIVATE_KEY / TICKET_SIGNING_PUBLIC_KEY (PEM).
+// Without them a key pair is generated once and kept in keys/ so issued codes stay valid across restarts.
+function getSigningKeys() {
+    if (signingKeys) return signingKeys;
+
+    let privatePem = process.env.TICKET_SIGNING_PRIVATE_KEY;
+    let publicPem = process.env.TICKET_SIGNING_PUBLIC_KEY;
+
+    if (!privatePem) {
+        if (fs.existsSync(privateKeyFile)) {
+            privatePem = fs.readFileSync(privateKeyFile, 'utf8');
+        } else {
+            console.warn('[TicketToken] TICKET_SIGNING_PRIVATE_KEY is not defined, generating a key pair in keys/.');
+            const pair = crypto.generateKeyPairSync('ed25519');
+            privatePem = pair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+            fs.mkdirSync(keysDir, { recursive: true });
+            fs.writeFileSync(privateKeyFile, privatePem, { mode: 0o600 });
+            fs.writeFileSync(publicKeyFile, pair.publicKey.export({ type: 'spki', format: 'pem' }));
+        }
+    }
+
+    const privateKey = crypto.createPrivateKey(privatePem.replace(/\\n/g, '\n')); // .env values usually carry escaped newlines
+    const publicKey = publicPem ? crypto.createPublicKey(publicPem.replace(/\\n/g, '\n')) : crypto.createPublicKey(privateKey);
+    signingKeys = { privateKey, publicKey };
+    return signingKeys;
+}
+
+// Public key (PEM) that scanners use to verify codes
+function getPublicKeyPem() {
+    return getSigningKeys().publicKey.export({ type: 'spki', format: 'pem' });
+}
+
+// Creates the signed code of a ticket. Short keys keep the QR small:
+// b = boletoID, e = eventoID, s = asientoID (null for general admission), i = issued at (unix seconds)
+function signTicket({ boletoID, eventoID, asientoID }) {
+    const payload = Buffer.from(JSON.stringify({
+        b: boletoID,
+        e: eventoID,
+        s: asientoID || null,
+        i: Math.floor(Date.now() / 1000)
+    })).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(`${TOKEN_PREFIX}.${payload}`), getSigningKeys().privateKey).toString('base64url');
+    return `${TOKEN_PREFIX}.${payload}.${signature}`;
+}
+
+// Checks a code and returns { boletoID, eventoID, asientoID, emitidoEn }, or null when it is malformed or not signed by us.
+function verifyTicketToken(token) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+    try {
+        const valid = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), getSigningKeys().publicKey, Buffer.from(parts[2], 'base64url'));
+        if (!valid) return null;
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        if (!Number.isInteger(payload.b) || !Number.isInteger(payload.e)) return null;
+        return {
+            boletoID: payload.b,
+            eventoID: payload.e,
+            asientoID: payload.s,
+            emitidoEn: new Date(payload.i * 1000)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    getPublicKeyPem,
+    signTicket,
+    verifyTicketToken,
+};
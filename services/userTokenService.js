@@ -0,0 +1,42 @@
+// Single-use, expiring tokens sent to users by email (TokenUsuario). Only the SHA-256 of a token is stored.
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Creates a token of `tipo` for a user, valid for `minutes`. Earlier unused tokens of the same type stop working.
+// Returns the raw token (to be sent to the user, never stored).
+async function createUserToken(db, usuarioID, tipo, minutes, direccionIP) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.query(
+        'UPDATE TokenUsuario SET fechaUso = NOW() WHERE usuarioID = $1 AND tipo = $2 AND fechaUso IS NULL',
+        [usuarioID, tipo]
+    );
+    await db.query(
+        'INSERT INTO TokenUsuario(usuarioID, tipo, tokenHash, fechaCreacion, fechaExpiracion, direccionIP) '
+        + 'VALUES($1, $2, $3, NOW(), NOW() + make_interval(mins => $4), $5)',
+        [usuarioID, tipo, hashToken(token), minutes, direccionIP || null]
+    );
+    return token;
+}
+
+// Consumes a token: it is marked as used in the same statement that checks it, so it works only once.
+// Returns the usuarioID, or null when the token is unknown, already used or expired.
+async function consumeUserToken(db, tipo, token) {
+    if (typeof token !== 'string' || token.length === 0) {
+        return null;
+    }
+    const result = await db.query(
+        'UPDATE TokenUsuario SET fechaUso = NOW() '
+        + 'WHERE tokenHash = $1 AND tipo = $2 AND fechaUso IS NULL AND fechaExpiracion > NOW() RETURNING usuarioID',
+        [hashToken(token), tipo]
+    );
+    return result.rows.length > 0 ? result.rows[0].usuarioid : null;
+}
+
+module.exports = {
+    createUserToken,
+    consumeUserToken,
+};
@@ -0,0 +1,111 @@
+// Venue bookings. Two events at the same Lugar conflict when their times, widened by the venue's
+// setup/teardown buffer (Lugar.margenMinutos), overlap. The buffer can reach into the previous or next day.
+// CANCELADO events do not book the venue.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Serializes the booking checks of a venue until the end of the caller's transaction,
+// so two requests cannot both see the slot as free and book it.
+async function lockVenue(client, lugarID) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext(\'Lugar\'), $1)', [lugarID]);
+}
+
+// Events of the venue that conflict with the given slot. fecha is 'YYYY-MM-DD', times are 'HH:MM[:SS]'.
+// excludeEventoID leaves out the event being updated.
+async function findVenueConflicts(db, { lugarID, fecha, horaInicio, horaFin, excludeEventoID = null }) {
+    const result = await db.query(
+        'SELECT e.eventoID, e.nombre, e.estado, to_char(e.fecha, \'YYYY-MM-DD\') AS fecha, e.horaInicio, e.horaFin '
+        + 'FROM Evento e JOIN Lugar l ON e.lugarID = l.lugarID '
+        + 'WHERE e.lugarID = $1 AND e.fecha BETWEEN $2::date - 1 AND $2::date + 1 AND e.estado <> \'CANCELADO\' '
+        + 'AND ($5::int IS NULL OR e.eventoID <> $5) '
+        + 'AND ($2::date + $3::time) < (e.fecha + e.horaFin) + make_interval(mins => l.margenMinutos) '
+        + 'AND (e.fecha + e.horaInicio) - make_interval(mins => l.margenMinutos) < ($2::date + $4::time) '
+        + 'ORDER BY e.fecha ASC, e.horaInicio ASC',
+        [lugarID, fecha, horaInicio, horaFin, excludeEventoID]
+    );
+    return result.rows;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Days from fecha `from` to fecha `to` ('YYYY-MM-DD')
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (MINUTES_PER_DAY * 60 * 1000));
+}
+
+function toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Booked and free slots of a venue per day between desde and hasta ('YYYY-MM-DD', both included).
+// A booked slot is blocked from margenMinutos before the event to margenMinutos after it; the free slots are
+// the rest of each day, so any event that fits inside one does not conflict. Returns null when the Lugar does not exist.
+async function getVenueAvailability(db, lugarID, desde, hasta) {
+    const lugarResult = await db.query('SELECT lugarID, nombre, margenMinutos FROM Lugar WHERE lugarID = $1', [lugarID]);
+    if (lugarResult.rows.length === 0) {
+        return null;
+    }
+    const lugar = lugarResult.rows[0];
+    const margin = lugar.margenminutos;
+
+    const daysResult = await db.query(
+        'SELECT to_char(d, \'YYYY-MM-DD\') AS fecha FROM generate_series($1::date, $2::date, INTERVAL \'1 day\') AS d',
+        [desde, hasta]
+    );
+    const eventsResult = await db.query(
+        'SELECT eventoID, nombre, estado, to_char(fecha, \'YYYY-MM-DD\') AS fecha, horaInicio, horaFin FROM Evento '
+        + 'WHERE lugarID = $1 AND fecha BETWEEN $2::date - 1 AND $3::date + 1 AND estado <> \'CANCELADO\' '
+        + 'ORDER BY fecha ASC, horaInicio ASC',
+        [lugarID, desde, hasta]
+    );
+
+    const dias = daysResult.rows.map(({ fecha }) => {
+        // Blocked slots in minutes from the start of this day, clipped to the day; events of the previous
+        // and next day only show up here when their buffer reaches into it
+        const ocupados = [];
+        for (const evento of eventsResult.rows) {
+            const offset = daysBetween(fecha, evento.fecha) * MINUTES_PER_DAY;
+            const start = Math.max(offset + toMinutes(evento.horainicio) - margin, 0);
+            const end = Math.min(offset + toMinutes(evento.horafin) + margin, MINUTES_PER_DAY);
+            if (start >= end) continue;
+            ocupados.push({
+                eventoID: evento.eventoid,
+                nombre: evento.nombre,
+                estado: evento.estado,
+                fecha: evento.fecha,
+                horaInicio: evento.horainicio,
+                horaFin: evento.horafin,
+                bloqueadoDesde: toTime(start),
+                bloqueadoHasta: toTime(end),
+            });
+        }
+
+        // Walk the blocked slots in order; the gaps between them are free
+        const libres = [];
+        let cursor = 0;
+        for (const slot of ocupados) {
+            const start = toMinutes(slot.bloqueadoDesde);
+            const end = toMinutes(slot.bloqueadoHasta);
+            if (start > cursor) {
+                libres.push({ horaInicio: toTime(cursor), horaFin: toTime(start) });
+            }
+            cursor = Math.max(cursor, end);
+        }
+        if (cursor < MINUTES_PER_DAY) {
+            libres.push({ horaInicio: toTime(cursor), horaFin: toTime(MINUTES_PER_DAY) });
+        }
+
+        return { fecha, ocupados, libres };
+    });
+
+    return { lugarID: lugar.lugarid, nombre: lugar.nombre, margenMinutos: margin, desde, hasta, dias };
+}
+
+module.exports = {
+    lockVenue,
+    findVenueConflicts,
+    getVenueAvailability,
+};